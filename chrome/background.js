@@ -0,0 +1,287 @@
+/**
+ * JustCite - Background Service Worker
+ * Context menu items and keyboard commands that cite the current page, a link
+ * or a selected DOI/ISBN without opening the popup
+ */
+
+importScripts(
+  'creators.js',
+  'citationFormatter.js',
+  'cslStyles.js',
+  'citationImporter.js',
+  'citationLibrary.js',
+  'pageMetadata.js',
+  'pdfMetadata.js',
+  'metadataService.js',
+  'identifierResolvers.js',
+  'zoteroClient.js',
+  'zoteroConnector.js'
+);
+
+// Fetched pages are parsed in the offscreen document, which has a DOMParser
+IdentifierResolvers.parseHtml = (html, url) => sendToOffscreen('parseHtml', { html, url });
+
+const OFFSCREEN_URL = 'offscreen.html';
+const BADGE_TIMEOUT = 4000;
+
+const MENU_ITEMS = {
+  'cite-page': { title: 'Cite this page', contexts: ['page'] },
+  'cite-link': { title: 'Cite this link', contexts: ['link'] },
+  'cite-selection': { title: 'Cite "%s"', contexts: ['selection'] }
+};
+
+// Keyboard commands (see "commands" in manifest.json) that copy a citation
+const COPY_COMMANDS = {
+  'copy-citation': {},
+  'copy-bibtex': { style: 'bibtex' },
+  'copy-in-text': { inText: true }
+};
+
+const BADGES = {
+  working: { text: '…', color: '#6b7280' },
+  success: { text: '✓', color: '#16a34a' },
+  error: { text: '!', color: '#dc2626' }
+};
+
+let creatingOffscreen = null;
+let badgeTimer = null;
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    for (const [id, item] of Object.entries(MENU_ITEMS)) {
+      chrome.contextMenus.create({ id, ...item });
+    }
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  switch (info.menuItemId) {
+    case 'cite-page':
+      citeAndCopy(() => MetadataService.fromTab(tab));
+      break;
+    case 'cite-link':
+      citeAndCopy(() => getLinkMetadata(info.linkUrl));
+      break;
+    case 'cite-selection':
+      citeAndCopy(() => getSelectionMetadata(info.selectionText));
+      break;
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  const getMetadata = () => MetadataService.fromTab(tab);
+  if (command === 'save-to-zotero') {
+    saveToZotero(getMetadata);
+  } else if (COPY_COMMANDS[command]) {
+    citeAndCopy(getMetadata, COPY_COMMANDS[command]);
+  }
+});
+
+/**
+ * Look up metadata, format it in the default style (or the given one), copy it
+ * and record it in the library. Progress and failures are shown on the toolbar badge.
+ * @param {Function} getMetadata - async function returning raw metadata
+ * @param {Object} [options] - { style, inText } copy the first in-text form instead
+ */
+async function citeAndCopy(getMetadata, { style = null, inText = false } = {}) {
+  showBadge('working');
+  try {
+    const prefs = await MetadataService.getPreferences();
+    const citationStyle = style || prefs.style;
+    const metadata = MetadataService.applyPreferences(await getMetadata(), prefs);
+
+    const citation = await formatCitation(metadata, citationStyle);
+    const text = inText
+      ? await getInTextCitation(metadata, citationStyle)
+      : CitationFormatter.wrapOutput(citation, citationStyle, prefs.outputFormat);
+    await sendToOffscreen('copy', { text });
+    await CitationLibrary.record({ metadata, style: citationStyle, citation, action: 'copy' });
+
+    showBadge('success', `Copied: ${metadata.title || metadata.url}`);
+  } catch (error) {
+    console.error('Error citing from the background:', error);
+    showBadge('error', error.message);
+  }
+}
+
+/**
+ * Save to Zotero, into the library and collection last chosen in the popup and with
+ * the tags last used there. An item already in the library with the same DOI or URL
+ * is filed in that collection instead of saved again; title-only matches are saved,
+ * as telling them apart needs the popup. When the popup settings save to Zotero
+ * desktop, the item goes into the collection selected there instead.
+ * @param {Function} getMetadata - async function returning raw metadata
+ */
+async function saveToZotero(getMetadata) {
+  showBadge('working');
+  try {
+    if (await ZoteroConnector.isEnabled()) {
+      await saveToZoteroDesktop(getMetadata);
+      return;
+    }
+
+    const credentials = await ZoteroClient.getCredentials();
+    if (!credentials) {
+      throw new Error('Zotero is not configured. Add your API key in the popup settings.');
+    }
+
+    const prefs = await MetadataService.getPreferences();
+    const metadata = MetadataService.applyPreferences(await getMetadata(), prefs);
+    const item = ZoteroClient.toItem(metadata);
+    const { zoteroLastLibrary, zoteroLastCollection, zoteroLastTags } =
+      await chrome.storage.local.get(['zoteroLastLibrary', 'zoteroLastCollection', 'zoteroLastTags']);
+    credentials.library = zoteroLastLibrary || '';
+    if (zoteroLastCollection) item.collections = [zoteroLastCollection];
+    item.tags = (zoteroLastTags || []).map(tag => ({ tag }));
+
+    let duplicate;
+    try {
+      const duplicates = await ZoteroClient.findDuplicates(metadata, credentials);
+      duplicate = duplicates.find(match => match.matchedBy !== 'title');
+    } catch (error) {
+      console.error('Error checking Zotero for duplicates:', error);
+    }
+    if (duplicate) {
+      const added = zoteroLastCollection && await ZoteroClient.addToCollection(duplicate, zoteroLastCollection, credentials);
+      showBadge('success', added ? 'Already in Zotero; added to the collection' : 'Item already exists in Zotero');
+      return;
+    }
+
+    const result = await ZoteroClient.saveItem(item, credentials);
+    if (result.status === 'unchanged') {
+      showBadge('success', 'Item already exists in Zotero');
+      return;
+    }
+
+    const citation = await formatCitation(metadata, prefs.style);
+    await CitationLibrary.record({ metadata, style: prefs.style, citation, action: 'zotero' });
+    showBadge('success', `Saved to Zotero: ${metadata.title || metadata.url}`);
+  } catch (error) {
+    console.error('Error saving to Zotero from the background:', error);
+    showBadge('error', error.message);
+  }
+}
+
+/**
+ * Save to Zotero desktop, into the collection selected in Zotero, with the tags
+ * last used in the popup
+ */
+async function saveToZoteroDesktop(getMetadata) {
+  const prefs = await MetadataService.getPreferences();
+  const metadata = MetadataService.applyPreferences(await getMetadata(), prefs);
+  const item = ZoteroClient.toItem(metadata);
+  const { zoteroLastTags } = await chrome.storage.local.get(['zoteroLastTags']);
+  item.tags = (zoteroLastTags || []).map(tag => ({ tag }));
+
+  await ZoteroConnector.saveItems([ZoteroConnector.toConnectorItem(item)], metadata.url);
+
+  const citation = await formatCitation(metadata, prefs.style);
+  await CitationLibrary.record({ metadata, style: prefs.style, citation, action: 'zotero' });
+  showBadge('success', `Saved to Zotero desktop: ${metadata.title || metadata.url}`);
+}
+
+/**
+ * Format a citation. CSL styles need DOMParser, so they are rendered in the
+ * offscreen document.
+ */
+async function formatCitation(metadata, style) {
+  if (!CitationFormatter.isCSLStyle(style)) {
+    return CitationFormatter.format(metadata, style);
+  }
+  const xml = await CSLStyles.getXml(style.slice(CitationFormatter.CSL_PREFIX.length));
+  return sendToOffscreen('format', { metadata, style, xml });
+}
+
+/**
+ * Get the first in-text form of a citation (parenthetical, first footnote, \cite)
+ */
+async function getInTextCitation(metadata, style) {
+  let forms;
+  if (CitationFormatter.isCSLStyle(style)) {
+    const xml = await CSLStyles.getXml(style.slice(CitationFormatter.CSL_PREFIX.length));
+    forms = await sendToOffscreen('inText', { metadata, style, xml });
+  } else {
+    forms = CitationFormatter.getInTextCitations(metadata, style);
+  }
+  if (forms.length === 0) {
+    throw new Error(`${style} has no in-text citation form`);
+  }
+  return forms[0].text;
+}
+
+/**
+ * Get metadata for a link without opening it: doi.org, arXiv and PubMed links
+ * are looked up by their identifier, anything else is fetched and parsed like
+ * an open page
+ */
+async function getLinkMetadata(url) {
+  const identifier = IdentifierResolvers.detect(url) || { type: 'url', value: url };
+  try {
+    return await IdentifierResolvers.resolve(identifier);
+  } catch (error) {
+    if (identifier.type !== 'url') throw error;
+    console.error('Error fetching link:', error);
+    return MetadataService.enhanceWithSemanticScholar({ url });
+  }
+}
+
+/**
+ * Get metadata for an identifier (DOI, arXiv ID, PubMed ID, ISBN) in the selected text
+ */
+async function getSelectionMetadata(text) {
+  const identifier = IdentifierResolvers.detect(text);
+  if (!identifier) {
+    throw new Error('No DOI, arXiv ID, PubMed ID or ISBN in the selected text');
+  }
+  return IdentifierResolvers.resolve(identifier);
+}
+
+/**
+ * Create the offscreen document if it isn't open yet
+ */
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) return;
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['CLIPBOARD', 'DOM_PARSER'],
+      justification: 'Copy citations to the clipboard and parse linked pages and CSL styles'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+/**
+ * Run an action (see offscreen.js) in the offscreen document
+ */
+async function sendToOffscreen(action, data = {}) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action, ...data });
+  if (!response) {
+    throw new Error('The offscreen document did not respond');
+  }
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response.result;
+}
+
+/**
+ * Show progress on the toolbar icon; the message goes in the icon's tooltip
+ */
+function showBadge(state, message = '') {
+  const badge = BADGES[state];
+  clearTimeout(badgeTimer);
+  chrome.action.setBadgeBackgroundColor({ color: badge.color });
+  chrome.action.setBadgeText({ text: badge.text });
+  chrome.action.setTitle({ title: message ? `JustCite - ${message}` : 'JustCite' });
+
+  if (state !== 'working') {
+    badgeTimer = setTimeout(() => {
+      chrome.action.setBadgeText({ text: '' });
+      chrome.action.setTitle({ title: 'JustCite' });
+    }, BADGE_TIMEOUT);
+  }
+}
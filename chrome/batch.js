@@ -0,0 +1,486 @@
+/**
+ * JustCite - Cite All Tabs Page Script
+ * Reads every web page open in this window, or looks up a pasted list of
+ * identifiers, lists the sources for review with warnings, and copies or
+ * exports the included ones as one bibliography
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // DOM Elements
+  const titleEl = document.getElementById('batch-title');
+  const iconEl = document.getElementById('batch-icon');
+  const statusEl = document.getElementById('batch-status');
+  const modeButtons = document.querySelectorAll('.version-btn[data-mode]');
+  const modeElements = document.querySelectorAll('[data-batch-mode]');
+  const enhanceCheckbox = document.getElementById('batch-enhance');
+  const refreshBtn = document.getElementById('batch-refresh');
+  const identifiersInput = document.getElementById('batch-identifiers');
+  const resolveBtn = document.getElementById('batch-resolve');
+  const styleSelect = document.getElementById('batch-style');
+  const selectAll = document.getElementById('batch-select-all');
+  const summaryEl = document.getElementById('batch-summary');
+  const batchList = document.getElementById('batch-list');
+  const batchEmpty = document.getElementById('batch-empty');
+  const bibliographyCode = document.getElementById('batch-bibliography');
+  const failuresSection = document.getElementById('batch-failures-section');
+  const failuresTitle = document.getElementById('batch-failures-title');
+  const failuresList = document.getElementById('batch-failures');
+  const exportBtn = document.getElementById('batch-export');
+  const copyBtn = document.getElementById('batch-copy');
+  const toast = document.getElementById('toast');
+
+  // Only web pages can be scripted; chrome://, the Web Store and extension pages are skipped
+  const SCRIPTABLE_URL = /^(https?|file):/i;
+
+  const OUTPUT_FILES = {
+    plain: { extension: 'txt', mimeType: 'text/plain' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    html: { extension: 'html', mimeType: 'text/html' }
+  };
+
+  const MODES = {
+    tabs: { title: 'Cite All Tabs', icon: 'tab', empty: 'No web pages are open in this window.' },
+    identifiers: { title: 'Cite a List', icon: 'list', empty: 'Paste identifiers above and press Resolve.' }
+  };
+
+  // One per tab or resolved identifier: { metadata, warnings, included }
+  let items = [];
+  // Identifiers that could not be looked up: { identifier, message }
+  let failures = [];
+  // Each mode keeps its own list while the other is shown
+  const savedItems = { tabs: null, identifiers: null };
+  let mode = new URLSearchParams(window.location.search).get('mode') === 'identifiers' ? 'identifiers' : 'tabs';
+  const prefs = await MetadataService.getPreferences();
+  let reading = false;
+
+  /**
+   * Show toast notification
+   */
+  function showToast(message, isError = false) {
+    const toastMessage = toast.querySelector('.toast-message');
+    const toastIcon = toast.querySelector('.material-icons');
+
+    toastMessage.textContent = message;
+    toastIcon.textContent = isError ? 'error' : 'check_circle';
+    toast.classList.toggle('error', isError);
+    toast.classList.add('show');
+
+    setTimeout(() => {
+      toast.classList.remove('show');
+    }, 2500);
+  }
+
+  /**
+   * Gaps that would show up in the formatted citation
+   */
+  function getWarnings(metadata) {
+    const warnings = [];
+    if (!metadata.title) warnings.push('No title');
+    if (Creators.fromMetadata(metadata).length === 0) warnings.push('No author');
+    if (!metadata.year) warnings.push('No date');
+    return warnings;
+  }
+
+  /**
+   * Extract a tab's metadata, falling back to its title and URL
+   */
+  async function readTab(tab) {
+    const warnings = [];
+    let metadata;
+
+    if (tab.discarded) {
+      // Unloaded tabs have no document to run the extractor in
+      metadata = { url: tab.url, title: tab.title || '' };
+      warnings.push('Tab is unloaded; reload it to read the page');
+    } else {
+      try {
+        metadata = await MetadataService.extractFromTab(tab);
+      } catch (error) {
+        console.error(`Error reading ${tab.url}:`, error);
+        metadata = { url: tab.url, title: tab.title || '' };
+        warnings.push('Page could not be read; only its title and URL are used');
+      }
+    }
+
+    if (enhanceCheckbox.checked && MetadataService.isIncomplete(metadata)) {
+      metadata = await MetadataService.enhanceWithSemanticScholar(metadata);
+    }
+    MetadataService.applyPreferences(metadata, prefs);
+
+    return { metadata, warnings: [...warnings, ...getWarnings(metadata)], included: true };
+  }
+
+  /**
+   * Leave out later entries for a source that is already in the list
+   */
+  function excludeDuplicates() {
+    const seen = new Set();
+    items.forEach(item => {
+      const identity = CitationLibrary.getIdentity(item.metadata);
+      if (seen.has(identity)) {
+        item.warnings.push(mode === 'tabs' ? 'Same source as another tab' : 'Same source as another identifier');
+        item.included = false;
+      }
+      seen.add(identity);
+    });
+  }
+
+  /**
+   * Read every web page in this window, one at a time so the Semantic Scholar
+   * lookups stay within its rate limit
+   */
+  async function readTabs() {
+    if (reading) return;
+    setReading(true);
+    items = [];
+    renderList();
+
+    try {
+      const currentTab = await chrome.tabs.getCurrent();
+      const windowTabs = (await chrome.tabs.query({ currentWindow: true }))
+        .filter(tab => !currentTab || tab.id !== currentTab.id);
+      const tabs = windowTabs.filter(tab => SCRIPTABLE_URL.test(tab.url || ''));
+      const skipped = windowTabs.length - tabs.length;
+
+      for (const [i, tab] of tabs.entries()) {
+        statusEl.textContent = `Reading tab ${i + 1} of ${tabs.length}...`;
+        items.push(await readTab(tab));
+        renderList();
+      }
+      excludeDuplicates();
+
+      statusEl.textContent = `${tabs.length} tab${tabs.length === 1 ? '' : 's'}` +
+        (skipped > 0 ? ` (${skipped} browser page${skipped === 1 ? '' : 's'} skipped)` : '');
+    } catch (error) {
+      console.error('Error reading tabs:', error);
+      statusEl.textContent = 'Could not read the tabs in this window';
+    } finally {
+      setReading(false);
+      renderList();
+    }
+  }
+
+  /**
+   * Look up every identifier in the pasted text, one at a time so the lookup
+   * services aren't flooded. Identifiers that fail are reported, not listed.
+   */
+  async function resolveIdentifiers() {
+    if (reading) return;
+    const identifiers = IdentifierResolvers.findAll(identifiersInput.value);
+    if (identifiers.length === 0) {
+      showToast('No DOIs, arXiv IDs, PubMed IDs or ISBNs found', true);
+      return;
+    }
+
+    setReading(true);
+    items = [];
+    failures = [];
+    renderList();
+
+    for (const [i, identifier] of identifiers.entries()) {
+      statusEl.textContent = `Resolving ${i + 1} of ${identifiers.length}...`;
+      try {
+        const metadata = MetadataService.applyPreferences(await IdentifierResolvers.resolve(identifier), prefs);
+        items.push({ metadata, warnings: getWarnings(metadata), included: true });
+      } catch (error) {
+        console.error(`Error resolving ${identifier.value}:`, error);
+        failures.push({ identifier, message: error.message });
+      }
+      renderList();
+    }
+    excludeDuplicates();
+
+    statusEl.textContent = `${items.length} of ${identifiers.length} identifier${identifiers.length === 1 ? '' : 's'} resolved`;
+    setReading(false);
+    renderList();
+  }
+
+  /**
+   * Disable the controls that start or switch a read while one is running
+   */
+  function setReading(value) {
+    reading = value;
+    refreshBtn.disabled = value;
+    resolveBtn.disabled = value;
+    modeButtons.forEach(button => {
+      button.disabled = value;
+    });
+  }
+
+  /**
+   * Switch between the open tabs and the identifier list
+   */
+  function setMode(value) {
+    savedItems[mode] = { items, failures, status: statusEl.textContent };
+    mode = value;
+    showMode();
+  }
+
+  /**
+   * Show the current mode's controls and list; the tabs are read the first time
+   */
+  function showMode() {
+    const saved = savedItems[mode];
+
+    modeButtons.forEach(button => button.classList.toggle('active', button.dataset.mode === mode));
+    modeElements.forEach(el => el.classList.toggle('visible', el.dataset.batchMode === mode));
+    titleEl.textContent = MODES[mode].title;
+    iconEl.textContent = MODES[mode].icon;
+    document.title = `JustCite - ${MODES[mode].title}`;
+    batchEmpty.textContent = MODES[mode].empty;
+    history.replaceState(null, '', mode === 'tabs' ? 'batch.html' : `batch.html?mode=${mode}`);
+
+    if (saved) {
+      ({ items, failures } = saved);
+      statusEl.textContent = saved.status;
+      renderList();
+    } else {
+      items = [];
+      failures = [];
+      statusEl.textContent = '';
+      if (mode === 'tabs') {
+        readTabs();
+      } else {
+        renderList();
+      }
+    }
+  }
+
+  /**
+   * Render the source list
+   */
+  function renderList() {
+    batchList.innerHTML = '';
+
+    items.forEach(entry => {
+      const metadata = entry.metadata;
+      const item = document.createElement('li');
+      item.className = 'library-item' + (entry.included ? '' : ' excluded');
+
+      const checkLabel = document.createElement('label');
+      checkLabel.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = entry.included;
+      checkbox.addEventListener('change', () => {
+        entry.included = checkbox.checked;
+        renderList();
+      });
+      const checkmark = document.createElement('span');
+      checkmark.className = 'checkmark';
+      checkLabel.append(checkbox, checkmark);
+
+      const body = document.createElement('div');
+      body.className = 'library-item-body';
+      const title = document.createElement('div');
+      title.className = 'library-item-title';
+      title.textContent = metadata.title || metadata.url || 'Untitled';
+      title.title = metadata.url || '';
+      const meta = document.createElement('div');
+      meta.className = 'library-item-meta';
+      meta.textContent = [metadata.author, metadata.year, metadata.journal || metadata.publisher]
+        .filter(Boolean)
+        .join(' · ');
+      body.append(title, meta);
+
+      if (entry.warnings.length > 0) {
+        const warnings = document.createElement('div');
+        warnings.className = 'batch-warnings';
+        entry.warnings.forEach(warning => {
+          const chip = document.createElement('span');
+          chip.className = 'batch-warning';
+          const icon = document.createElement('span');
+          icon.className = 'material-icons';
+          icon.textContent = 'warning';
+          chip.append(icon, warning);
+          warnings.appendChild(chip);
+        });
+        body.appendChild(warnings);
+      }
+
+      const badge = document.createElement('span');
+      badge.className = 'library-item-badge';
+      badge.textContent = metadata.sourceType || '';
+
+      item.append(checkLabel, body, badge);
+      batchList.appendChild(item);
+    });
+
+    const included = items.filter(entry => entry.included).length;
+    const warned = items.filter(entry => entry.included && entry.warnings.length > 0).length;
+    batchEmpty.style.display = items.length === 0 && !reading ? 'block' : 'none';
+    summaryEl.textContent = items.length === 0 ? '' :
+      `${included} of ${items.length} included` + (warned > 0 ? `, ${warned} with warnings` : '');
+    selectAll.checked = items.length > 0 && included === items.length;
+
+    renderFailures();
+    renderBibliography();
+  }
+
+  /**
+   * Report the identifiers that could not be looked up
+   */
+  function renderFailures() {
+    failuresList.innerHTML = '';
+    failures.forEach(({ identifier, message }) => {
+      const item = document.createElement('li');
+      const value = document.createElement('strong');
+      value.textContent = identifier.value;
+      item.append(`${IdentifierResolvers.get(identifier.type).label} `, value, ` - ${message}`);
+      failuresList.appendChild(item);
+    });
+    failuresTitle.textContent = `Not resolved (${failures.length})`;
+    failuresSection.style.display = failures.length > 0 ? 'block' : 'none';
+  }
+
+  function getIncludedMetadata() {
+    return items.filter(entry => entry.included).map(entry => entry.metadata);
+  }
+
+  /**
+   * Build the combined bibliography in the chosen style, sorted the way the
+   * style sorts its reference list. Export formats produce the file as-is.
+   */
+  function getBibliography() {
+    const metadataList = getIncludedMetadata();
+    const style = styleSelect.value;
+    if (metadataList.length === 0) return '';
+
+    if (CitationFormatter.EXPORT_FORMATS[style]) {
+      return CitationFormatter.toExportFile(metadataList, style);
+    }
+    return CitationFormatter.toBibliography(metadataList, style)
+      .map(entry => CitationFormatter.wrapOutput(entry, style, prefs.outputFormat))
+      .join(prefs.outputFormat === 'markdown' ? '\n\n' : '\n');
+  }
+
+  function renderBibliography() {
+    try {
+      bibliographyCode.textContent = getBibliography();
+    } catch (error) {
+      console.error('Error generating bibliography:', error);
+      bibliographyCode.textContent = 'Error generating bibliography';
+    }
+  }
+
+  /**
+   * Add the included sources to the citation library
+   */
+  async function recordInLibrary(action) {
+    const style = styleSelect.value;
+    try {
+      await CitationLibrary.recordMany(getIncludedMetadata().map(metadata => ({
+        metadata,
+        style,
+        citation: CitationFormatter.format(metadata, style),
+        action
+      })));
+    } catch (error) {
+      console.error('Error saving citations to library:', error);
+    }
+  }
+
+  /**
+   * Trigger a file download for generated text
+   */
+  function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Add the bundled and installed CSL styles to the style picker
+   */
+  async function loadCSLStyles() {
+    try {
+      const selected = styleSelect.value;
+      CSLStyles.populateSelect(styleSelect, await CSLStyles.loadAll());
+      styleSelect.value = selected;
+      if (!styleSelect.value) styleSelect.value = 'apa';
+    } catch (error) {
+      console.error('Error loading CSL styles:', error);
+    }
+  }
+
+  // Event Listeners
+  styleSelect.addEventListener('change', renderBibliography);
+
+  refreshBtn.addEventListener('click', readTabs);
+
+  resolveBtn.addEventListener('click', resolveIdentifiers);
+
+  identifiersInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      resolveIdentifiers();
+    }
+  });
+
+  modeButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      if (button.dataset.mode !== mode) setMode(button.dataset.mode);
+    });
+  });
+
+  enhanceCheckbox.addEventListener('change', () => {
+    chrome.storage.local.set({ batchEnhance: enhanceCheckbox.checked }).catch(() => {});
+  });
+
+  selectAll.addEventListener('change', () => {
+    items.forEach(entry => {
+      entry.included = selectAll.checked;
+    });
+    renderList();
+  });
+
+  copyBtn.addEventListener('click', async () => {
+    const bibliography = getBibliography();
+    if (!bibliography) {
+      showToast('No citations to copy', true);
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(bibliography);
+      showToast('Bibliography copied to clipboard!');
+      await recordInLibrary('copy');
+    } catch (error) {
+      console.error('Error copying to clipboard:', error);
+      showToast('Failed to copy bibliography', true);
+    }
+  });
+
+  exportBtn.addEventListener('click', async () => {
+    const bibliography = getBibliography();
+    if (!bibliography) {
+      showToast('No citations to export', true);
+      return;
+    }
+
+    const style = styleSelect.value;
+    const { extension, mimeType } = CitationFormatter.EXPORT_FORMATS[style] || OUTPUT_FILES[prefs.outputFormat];
+    downloadFile(bibliography, `references.${extension}`, mimeType);
+    showToast(`Exported ${getIncludedMetadata().length} citations`);
+    await recordInLibrary('export');
+  });
+
+  // Initialize
+  await loadCSLStyles();
+  try {
+    const stored = await chrome.storage.local.get(['batchEnhance']);
+    styleSelect.value = prefs.style;
+    if (!styleSelect.value) styleSelect.value = 'apa';
+    if (stored.batchEnhance !== undefined) enhanceCheckbox.checked = stored.batchEnhance;
+  } catch (error) {
+    console.error('Error loading preferences:', error);
+  }
+
+  showMode();
+});
@@ -1,6 +1,8 @@
 /**
  * JustCite - Citation Formatter
- * Generates citations in various formats: BibTeX, APA, MLA, Chicago, Harvard, IEEE
+ * Generates citations in various formats: BibTeX, APA, MLA, Chicago (notes-bibliography
+ * and author-date), Harvard, IEEE, the machine-readable RIS, CSL-JSON and EndNote XML
+ * export formats, and any installed CSL style (via CSLEngine)
  */
 
 const CitationFormatter = {
@@ -23,21 +25,14 @@ const CitationFormatter = {
    * - shorttitle(n,m): first n words of title, max m chars each
    */
   generateKeyFromFormat(metadata, format) {
-    const author = metadata.author || 'unknown';
     const title = metadata.title || 'untitled';
     const year = metadata.year || new Date().getFullYear().toString();
     
-    // Extract first author's last name
-    const firstAuthor = author.split(/[;]/)[0].trim();
-    let lastName = '';
-    
-    if (firstAuthor.includes(',')) {
-      // Format: "Last, First"
-      lastName = firstAuthor.split(',')[0].trim();
-    } else {
-      // Format: "First Last"
-      const parts = firstAuthor.split(' ');
-      lastName = parts[parts.length - 1] || firstAuthor;
+    // Extract first author's (or editor's) last name (particles dropped, first word of an organization)
+    const firstAuthor = this.getContributors(metadata).creators[0];
+    let lastName = 'unknown';
+    if (firstAuthor) {
+      lastName = firstAuthor.literal ? firstAuthor.literal.split(/\s+/)[0] : firstAuthor.family || firstAuthor.given;
     }
     
     const cleanLastName = lastName.replace(/[^a-zA-Z]/g, '');
@@ -70,18 +65,108 @@ const CitationFormatter = {
     return key || 'citation';
   },
 
+  /**
+   * Make citation keys unique within a bibliography.
+   * Repeated keys get a/b/c... suffixes (then aa, ab, ...), like Better BibTeX.
+   */
+  resolveKeyCollisions(keys) {
+    const used = new Set();
+    return keys.map(key => {
+      let unique = key;
+      let index = 0;
+      while (used.has(unique)) {
+        unique = key + this.getKeySuffix(index++);
+      }
+      used.add(unique);
+      return unique;
+    });
+  },
+
+  /**
+   * Convert a 0-based index to an alphabetic suffix: 0 -> a, 25 -> z, 26 -> aa
+   */
+  getKeySuffix(index) {
+    let suffix = '';
+    let n = index + 1;
+    while (n > 0) {
+      n--;
+      suffix = String.fromCharCode(97 + (n % 26)) + suffix;
+      n = Math.floor(n / 26);
+    }
+    return suffix;
+  },
+
+  /**
+   * Get the structured creators of a citation (see Creators)
+   * @param {Object} metadata
+   * @param {string} [role]
+   */
+  getCreators(metadata, role = 'author') {
+    return Creators.fromMetadata(metadata, role);
+  },
+
+  /**
+   * Work out who heads a citation: the authors or, for a work without authors,
+   * the first of the stand-in roles that has names (an edited volume is listed
+   * under its editors).
+   * @param {Object} metadata
+   * @param {string[]} [standIns] - roles that may take the author position, in order
+   * @returns {Object} { creators, role, editors, translators } where editors and
+   *   translators leave out the role already in the author position
+   */
+  getContributors(metadata, standIns = ['editor', 'translator']) {
+    let role = 'author';
+    let creators = this.getCreators(metadata);
+    if (creators.length === 0) {
+      role = standIns.find(standIn => this.getCreators(metadata, standIn).length > 0) || 'author';
+      creators = this.getCreators(metadata, role);
+    }
+
+    return {
+      creators,
+      role,
+      editors: role === 'editor' ? [] : this.getCreators(metadata, 'editor'),
+      translators: role === 'translator' ? [] : this.getCreators(metadata, 'translator')
+    };
+  },
+
+  /**
+   * Role abbreviations per style: [singular, plural]
+   */
+  ROLE_LABELS: {
+    apa: { editor: ['Ed.', 'Eds.'], translator: ['Trans.', 'Trans.'] },
+    mla: { editor: ['editor', 'editors'], translator: ['translator', 'translators'] },
+    chicago: { editor: ['ed.', 'eds.'], translator: ['trans.', 'trans.'] },
+    harvard: { editor: ['ed.', 'eds.'], translator: ['trans.', 'trans.'] },
+    ieee: { editor: ['Ed.', 'Eds.'], translator: ['Trans.', 'Trans.'] }
+  },
+
+  getRoleLabel(style, role, count) {
+    const labels = (this.ROLE_LABELS[style] || {})[role];
+    if (!labels) return '';
+    return count > 1 ? labels[1] : labels[0];
+  },
+
+  /**
+   * Join names in natural order: "A", "A and B", "A, B, and C" (and: "and" or "&")
+   */
+  joinNames(names, and = 'and', serialComma = true) {
+    if (names.length <= 1) return names.join('');
+    if (names.length === 2) return `${names[0]} ${and} ${names[1]}`;
+    return `${names.slice(0, -1).join(', ')}${serialComma ? ',' : ''} ${and} ${names[names.length - 1]}`;
+  },
+
   /**
    * Format authors for different citation styles
+   * @param {Object[]} authorList - creators
+   * @param {string} style
    */
-  formatAuthors(authors, style) {
-    if (!authors) return '';
-    
-    // Split authors by semicolon or "and"
-    const authorList = authors.split(/;|(\sand\s)/).filter(a => a && a.trim() !== 'and').map(a => a.trim());
+  formatAuthors(authorList, style) {
+    if (!authorList || authorList.length === 0) return '';
     
     switch (style) {
       case 'bibtex':
-        return authorList.join(' and ');
+        return authorList.map(a => Creators.toSortName(a, { bibtex: true })).join(' and ');
       
       case 'apa':
         if (authorList.length === 1) {
@@ -106,54 +191,50 @@ const CitationFormatter = {
         }
       
       case 'chicago':
-        if (authorList.length === 1) {
-          return this.formatAuthorChicago(authorList[0]);
-        } else if (authorList.length <= 3) {
-          const formatted = authorList.slice(0, -1).map((a, i) => 
-            i === 0 ? this.formatAuthorChicago(a) : this.formatAuthorChicago(a, true)
-          ).join(', ');
-          return `${formatted}, and ${this.formatAuthorChicago(authorList[authorList.length - 1], true)}`;
-        } else {
-          return `${this.formatAuthorChicago(authorList[0])} et al.`;
-        }
+        return this.formatNamesChicago(authorList);
       
       case 'harvard':
       case 'ieee':
       default:
-        return authorList.map((a, i) => this.formatAuthorAPA(a)).join(', ');
+        return authorList.map(a => this.formatAuthorAPA(a)).join(', ');
     }
   },
 
+  /**
+   * "van der Berg, J.-P.", "King, M. L., Jr.", "World Health Organization"
+   */
   formatAuthorAPA(author) {
-    const parts = author.split(',').map(p => p.trim());
-    if (parts.length >= 2) {
-      const lastName = parts[0];
-      const initials = parts[1].split(' ').map(n => n.charAt(0).toUpperCase() + '.').join(' ');
-      return `${lastName}, ${initials}`;
-    }
-    const words = author.split(' ');
-    if (words.length >= 2) {
-      const lastName = words[words.length - 1];
-      const initials = words.slice(0, -1).map(n => n.charAt(0).toUpperCase() + '.').join(' ');
-      return `${lastName}, ${initials}`;
-    }
-    return author;
+    return Creators.toSortName(author, { initials: true });
   },
 
+  /**
+   * Inverted ("King, Martin Luther, Jr.") or natural order ("Martin Luther King, Jr.")
+   */
   formatAuthorMLA(author, invertOrder = false) {
-    const parts = author.split(',').map(p => p.trim());
-    if (parts.length >= 2) {
-      return invertOrder ? `${parts[1]} ${parts[0]}` : `${parts[0]}, ${parts[1]}`;
-    }
-    const words = author.split(' ');
-    if (words.length >= 2 && !invertOrder) {
-      return `${words[words.length - 1]}, ${words.slice(0, -1).join(' ')}`;
-    }
-    return author;
+    return invertOrder ? Creators.toDisplayName(author, { suffixComma: true }) : Creators.toSortName(author);
   },
 
+  /**
+   * Like MLA, but Chicago drops the comma before "Jr." in natural order
+   */
   formatAuthorChicago(author, invertOrder = false) {
-    return this.formatAuthorMLA(author, invertOrder);
+    return invertOrder ? Creators.toDisplayName(author) : Creators.toSortName(author);
+  },
+
+  /**
+   * Format a Chicago name list. Bibliography entries invert the first name
+   * and list up to ten names (seven and "et al." beyond that); notes keep
+   * natural order and switch to "et al." after three names.
+   */
+  formatNamesChicago(names, { note = false } = {}) {
+    if (names.length === 0) return '';
+    const format = (name, i) => this.formatAuthorChicago(name, note || i > 0);
+
+    if (note && names.length > 3) return `${format(names[0], 0)} et al.`;
+    if (!note && names.length > 10) return `${names.slice(0, 7).map(format).join(', ')}, et al.`;
+    if (names.length === 1) return format(names[0], 0);
+    if (names.length === 2) return `${format(names[0], 0)}${note ? '' : ','} and ${format(names[1], 1)}`;
+    return `${names.slice(0, -1).map(format).join(', ')}, and ${format(names[names.length - 1], names.length - 1)}`;
   },
 
   /**
@@ -183,16 +264,13 @@ const CitationFormatter = {
         }
         return year;
       
-      case 'chicago':
-        if (date) {
-          try {
-            const d = new Date(date);
-            if (!isNaN(d.getTime())) {
-              return d.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-            }
-          } catch (e) {}
-        }
-        return year;
+      case 'chicago': {
+        // Only print as much of the date as is known ("2024" must not become "January 1, 2024")
+        const [y, month, day] = this.getDateParts(metadata);
+        if (!month) return year || String(y || '');
+        const monthName = new Date(2000, month - 1, 1).toLocaleString('en-US', { month: 'long' });
+        return day ? `${monthName} ${day}, ${y}` : `${monthName} ${y}`;
+      }
       
       default:
         return year || date;
@@ -217,33 +295,56 @@ const CitationFormatter = {
 
   /**
    * Generate BibTeX citation
+   * @param {Object} metadata
+   * @param {string} [citationKey] - Use this key instead of generating one
    */
-  toBibTeX(metadata) {
+  toBibTeX(metadata, citationKey = null) {
     const keyFormat = metadata.keyFormat || 'auth.lower + shorttitle(3,3) + year';
-    const key = this.generateKeyFromFormat(metadata, keyFormat);
+    const key = citationKey || this.generateKeyFromFormat(metadata, keyFormat);
     const type = this.getBibTeXType(metadata.sourceType, metadata);
+    const sourceType = this.getSourceType(metadata);
     
     let fields = [];
     
     // Format authors properly for BibTeX (separated by " and ")
-    if (metadata.author) {
-      const formattedAuthors = this.formatAuthors(metadata.author, 'bibtex');
-      fields.push(`  author = {${formattedAuthors}}`);
-    }
+    // BibTeX has no field for series editors or other contributors; biblatex adds translator
+    ['author', 'editor', 'translator'].forEach(role => {
+      const creators = this.getCreators(metadata, role);
+      if (creators.length > 0) fields.push(`  ${role} = {${this.formatAuthors(creators, 'bibtex')}}`);
+    });
     if (metadata.title) fields.push(`  title = {${metadata.title}}`);
     if (metadata.year) fields.push(`  year = {${metadata.year}}`);
     if (metadata.url) fields.push(`  url = {${metadata.url}}`);
-    if (metadata.publisher) fields.push(`  publisher = {${metadata.publisher}}`);
-    // Use booktitle for conference papers (inproceedings), journal for articles
+    // Theses name their school and reports their institution; a preprint's repository is its archive
+    const isEprint = sourceType === 'preprint' && metadata.number;
+    if (metadata.publisher && !isEprint) {
+      const publisherField = { thesis: 'school', report: 'institution' }[sourceType] || 'publisher';
+      fields.push(`  ${publisherField} = {${metadata.publisher}}`);
+    }
+    if (metadata.place) fields.push(`  address = {${metadata.place}}`);
+    if (metadata.edition) fields.push(`  edition = {${metadata.edition}}`);
+    // Use booktitle for conference papers (inproceedings) and chapters (incollection), journal for articles
     if (metadata.journal) {
-      if (type === 'inproceedings') {
+      if (type === 'inproceedings' || type === 'incollection') {
         fields.push(`  booktitle = {${metadata.journal}}`);
       } else {
         fields.push(`  journal = {${metadata.journal}}`);
       }
     }
+    // Theses other than PhD and master's theses ("Bachelor's thesis") keep their own description
+    if (sourceType === 'thesis' && metadata.thesisType && !this.getThesisKind(metadata)) {
+      fields.push(`  type = {${metadata.thesisType}}`);
+    }
     if (metadata.volume) fields.push(`  volume = {${metadata.volume}}`);
     if (metadata.issue) fields.push(`  number = {${metadata.issue}}`);
+    else if (sourceType === 'report' && metadata.number) fields.push(`  number = {${metadata.number}}`);
+    if (isEprint) {
+      fields.push(`  eprint = {${metadata.number.replace(/^[^:]*:/, '')}}`);
+      if (metadata.publisher) fields.push(`  archiveprefix = {${metadata.publisher}}`);
+    }
+    if (metadata.version && (sourceType === 'dataset' || sourceType === 'software')) {
+      fields.push(`  version = {${metadata.version}}`);
+    }
     if (metadata.pages) fields.push(`  pages = {${metadata.pages}}`);
     if (metadata.doi) fields.push(`  doi = {${metadata.doi}}`);
     if (metadata.isbn) fields.push(`  isbn = {${metadata.isbn}}`);
@@ -257,42 +358,143 @@ const CitationFormatter = {
     return `@${type}{${key},\n${fields.join(',\n')}\n}`;
   },
 
+  /**
+   * Generate a complete .bib file from several citations, with unique keys
+   */
+  toBibTeXFile(metadataList) {
+    return this.toBibliography(metadataList, 'bibtex').join('\n\n') + '\n';
+  },
+
   getBibTeXType(sourceType, metadata = {}) {
+    const type = this.getSourceType({ ...metadata, sourceType });
+
     // For conference papers, use inproceedings
-    if (metadata.isConference) {
+    if (type === 'conference') {
       return 'inproceedings';
     }
-    
+
     // For articles/journals without journal info, use misc (like arXiv preprints)
-    if ((sourceType === 'article' || sourceType === 'journal') && !metadata.journal) {
+    if ((type === 'article' || type === 'journal') && !metadata.journal) {
       return 'misc';
     }
-    
+
+    if (type === 'thesis') {
+      return this.getThesisKind(metadata) === 'masters' ? 'mastersthesis' : 'phdthesis';
+    }
+
     const typeMap = {
       'webpage': 'online',
       'article': 'article',
       'book': 'book',
       'journal': 'article',
-      'news': 'article'
+      'news': 'article',
+      'chapter': 'incollection',
+      'report': 'techreport',
+      'dataset': 'dataset',
+      'software': 'software',
+      'preprint': 'misc'
     };
-    return typeMap[sourceType] || 'misc';
+    return typeMap[type] || 'misc';
+  },
+
+  /**
+   * Resolve the source type of a citation. Older citations mark conference
+   * papers as articles with an isConference flag.
+   */
+  getSourceType(metadata) {
+    const type = metadata.sourceType || 'webpage';
+    if (metadata.isConference && (type === 'article' || type === 'journal')) return 'conference';
+    return type;
+  },
+
+  /**
+   * Chapters and conference papers appear in a book or proceedings (kept in
+   * metadata.journal); their editors edit that container, not the work itself
+   */
+  isContainedType(type) {
+    return type === 'chapter' || type === 'conference';
+  },
+
+  /**
+   * Works whose titles are italicized rather than quoted
+   */
+  isStandaloneType(type) {
+    return ['book', 'report', 'dataset', 'software'].includes(type);
+  },
+
+  /**
+   * Thesis descriptions per style: { phd, masters }
+   */
+  THESIS_LABELS: {
+    apa: { phd: 'Doctoral dissertation', masters: "Master's thesis" },
+    mla: { phd: 'PhD dissertation', masters: 'MA thesis' },
+    chicago: { phd: 'PhD diss.', masters: "Master's thesis" },
+    harvard: { phd: 'PhD thesis', masters: "Master's thesis" },
+    ieee: { phd: 'Ph.D. dissertation', masters: 'M.S. thesis' }
+  },
+
+  /**
+   * Classify metadata.thesisType as 'phd' (the default), 'masters', or ''
+   * for anything else (e.g. "Bachelor's thesis"), which is printed as entered
+   */
+  getThesisKind(metadata) {
+    const thesisType = metadata.thesisType || '';
+    if (/master|\bm\.?(a|s|sc|phil)\b/i.test(thesisType)) return 'masters';
+    if (!thesisType || /ph\.?\s?d|doctor/i.test(thesisType)) return 'phd';
+    return '';
+  },
+
+  getThesisLabel(metadata, style) {
+    const kind = this.getThesisKind(metadata);
+    return kind ? this.THESIS_LABELS[style][kind] : metadata.thesisType;
+  },
+
+  /**
+   * Repository identifier of a preprint, e.g. "arXiv:2101.00001"
+   */
+  getArchiveId(metadata) {
+    const number = metadata.number || '';
+    if (!number || number.includes(':') || !metadata.publisher) return number;
+    return `${metadata.publisher}:${number}`;
+  },
+
+  getLink(metadata) {
+    return metadata.doi ? `https://doi.org/${metadata.doi}` : metadata.url || '';
   },
 
   /**
    * Generate APA 7th Edition citation
    */
   toAPA(metadata) {
-    const authors = this.formatAuthors(metadata.author, 'apa') || 'Unknown Author';
+    const type = this.getSourceType(metadata);
+    const isContained = this.isContainedType(type);
+    const contributors = this.getContributors(metadata, isContained ? [] : ['editor']);
+    let authors = this.formatAuthors(contributors.creators, 'apa') || 'Unknown Author';
+    if (contributors.role === 'editor') {
+      authors += ` (${this.getRoleLabel('apa', 'editor', contributors.creators.length)}).`;
+    }
     const year = metadata.year || 'n.d.';
-    const title = metadata.title || 'Untitled';
-    
+    let title = metadata.title || 'Untitled';
+    const link = this.getLink(metadata);
+    const formatNames = creators => this.joinNames(creators.map(creator => Creators.toDisplayName(creator, { initials: true })), '&');
+
+    // "Meditations (G. Hays, Trans.)"
+    if (type === 'book') {
+      const roles = [['editor', contributors.editors], ['translator', contributors.translators]]
+        .filter(([, creators]) => creators.length > 0)
+        .map(([role, creators]) => `${formatNames(creators)}, ${this.getRoleLabel('apa', role, creators.length)}`);
+      if (roles.length > 0) title += ` (${roles.join('; ')})`;
+    }
+
+    // Initials and "(Ed.)." end in a period already; "World Health Organization" doesn't
+    if (!authors.endsWith('.')) authors += '.';
     let citation = `${authors} (${year}). `;
-    
-    if (metadata.sourceType === 'webpage' || metadata.sourceType === 'news') {
+
+    if (type === 'webpage' || type === 'news') {
       citation += `${title}. `;
       if (metadata.publisher) citation += `${metadata.publisher}. `;
       if (metadata.url) citation += `${metadata.url}`;
-    } else if (metadata.sourceType === 'journal' || metadata.sourceType === 'article') {
+    } else if (type === 'journal' || type === 'article') {
       citation += `${title}. `;
       if (metadata.journal) {
         citation += `${metadata.journal}`;
@@ -301,17 +503,46 @@ const CitationFormatter = {
         if (metadata.pages) citation += `, ${metadata.pages}`;
         citation += '. ';
       }
-      if (metadata.doi) citation += `https://doi.org/${metadata.doi}`;
-      else if (metadata.url) citation += metadata.url;
-    } else if (metadata.sourceType === 'book') {
+      citation += link;
+    } else if (type === 'book') {
       citation += `${title}. `;
       if (metadata.publisher) citation += metadata.publisher;
       if (metadata.doi) citation += `. https://doi.org/${metadata.doi}`;
+    } else if (isContained) {
+      // "In E. Editor (Ed.), Book title (pp. 1-10). Publisher."
+      citation += `${title}. `;
+      if (metadata.journal) {
+        citation += 'In ';
+        if (contributors.editors.length > 0) {
+          citation += `${formatNames(contributors.editors)} (${this.getRoleLabel('apa', 'editor', contributors.editors.length)}), `;
+        }
+        citation += metadata.journal;
+        if (metadata.pages) citation += ` (pp. ${metadata.pages})`;
+        citation += '. ';
+      }
+      if (metadata.publisher) citation += `${metadata.publisher}. `;
+      citation += link;
+    } else if (type === 'thesis') {
+      const description = [this.getThesisLabel(metadata, 'apa'), metadata.publisher].filter(Boolean).join(', ');
+      citation += `${title} [${description}]. ${link}`;
+    } else if (type === 'report') {
+      citation += metadata.number ? `${title} (Report No. ${metadata.number}). ` : `${title}. `;
+      if (metadata.publisher) citation += `${metadata.publisher}. `;
+      citation += link;
+    } else if (type === 'dataset' || type === 'software') {
+      if (metadata.version) title += ` (Version ${metadata.version})`;
+      citation += `${title} [${type === 'dataset' ? 'Data set' : 'Computer software'}]. `;
+      if (metadata.publisher) citation += `${metadata.publisher}. `;
+      citation += link;
+    } else if (type === 'preprint') {
+      citation += `${title}. `;
+      if (metadata.publisher) citation += `${metadata.publisher}. `;
+      citation += link;
     } else {
       citation += `${title}. `;
       if (metadata.url) citation += metadata.url;
     }
-    
+
     return citation.trim();
   },
 
@@ -319,14 +550,32 @@ const CitationFormatter = {
    * Generate MLA 9th Edition citation
    */
   toMLA(metadata) {
-    const authors = this.formatAuthors(metadata.author, 'mla');
+    const type = this.getSourceType(metadata);
+    const isContained = this.isContainedType(type);
+    const contributors = this.getContributors(metadata, isContained ? ['translator'] : ['editor', 'translator']);
+    let authors = this.formatAuthors(contributors.creators, 'mla');
+    if (authors && contributors.role !== 'author') {
+      authors += `, ${this.getRoleLabel('mla', contributors.role, contributors.creators.length)}`;
+    }
     const title = metadata.title || 'Untitled';
-    
+    const year = metadata.year || 'n.d.';
+    const link = this.getLink(metadata);
+    const formatNames = creators => {
+      const names = creators.map(creator => Creators.toDisplayName(creator, { suffixComma: true }));
+      return names.length > 2 ? `${names[0]} et al.` : this.joinNames(names);
+    };
+
+    // "Edited by Gregory Hays, translated by ..." follows the title of a book
+    const roles = [['Edited by', contributors.editors], ['translated by', contributors.translators]]
+      .filter(([, creators]) => creators.length > 0)
+      .map(([label, creators]) => `${label} ${formatNames(creators)}`);
+    const secondary = roles.join(', ').replace(/^t/, 'T');
+
     let citation = '';
-    
-    if (authors) citation += `${authors}. `;
-    
-    if (metadata.sourceType === 'webpage' || metadata.sourceType === 'news') {
+
+    if (authors) citation += authors.endsWith('.') ? `${authors} ` : `${authors}. `;
+
+    if (type === 'webpage' || type === 'news') {
       citation += `"${title}." `;
       if (metadata.publisher) citation += `${metadata.publisher}, `;
       citation += `${this.formatDate(metadata, 'mla')}, `;
@@ -334,7 +583,7 @@ const CitationFormatter = {
       if (metadata.includeAccessDate) {
         citation += ` Accessed ${this.getAccessDate('mla')}.`;
       }
-    } else if (metadata.sourceType === 'journal' || metadata.sourceType === 'article') {
+    } else if (type === 'journal' || type === 'article') {
       citation += `"${title}." `;
       if (metadata.journal) citation += `${metadata.journal}, `;
       if (metadata.volume) citation += `vol. ${metadata.volume}, `;
@@ -342,10 +591,41 @@ const CitationFormatter = {
       citation += `${this.formatDate(metadata, 'mla')}, `;
       if (metadata.pages) citation += `pp. ${metadata.pages}. `;
       if (metadata.doi) citation += `https://doi.org/${metadata.doi}`;
-    } else if (metadata.sourceType === 'book') {
+    } else if (type === 'book') {
       citation += `${title}. `;
+      if (secondary) citation += `${secondary}, `;
       if (metadata.publisher) citation += `${metadata.publisher}, `;
-      citation += `${metadata.year || 'n.d.'}.`;
+      citation += `${year}.`;
+    } else if (isContained) {
+      // "Chapter." Book, edited by E. Editor, Publisher, Year, pp. 1-10.
+      citation += `"${title}." `;
+      const container = [
+        metadata.journal,
+        contributors.editors.length > 0 ? `edited by ${formatNames(contributors.editors)}` : '',
+        metadata.publisher,
+        year,
+        metadata.pages ? `pp. ${metadata.pages}` : ''
+      ];
+      citation += `${container.filter(Boolean).join(', ')}.`;
+      if (link) citation += ` ${link}.`;
+    } else if (type === 'thesis') {
+      citation += `${title}. ${year}. `;
+      citation += `${[metadata.publisher, this.getThesisLabel(metadata, 'mla')].filter(Boolean).join(', ')}.`;
+      if (link) citation += ` ${link}.`;
+    } else if (type === 'report' || type === 'dataset' || type === 'software') {
+      citation += `${title}. `;
+      const details = [
+        type === 'report' && metadata.number ? `Report no. ${metadata.number}` : '',
+        type !== 'report' && metadata.version ? `Version ${metadata.version}` : '',
+        metadata.publisher,
+        year
+      ];
+      citation += `${details.filter(Boolean).join(', ')}.`;
+      if (link) citation += ` ${link}.`;
+    } else if (type === 'preprint') {
+      citation += `"${title}." `;
+      citation += `${[metadata.publisher, this.formatDate(metadata, 'mla')].filter(Boolean).join(', ')}.`;
+      if (link) citation += ` ${link}.`;
     } else {
       citation += `"${title}." `;
       if (metadata.url) citation += `${metadata.url}.`;
@@ -353,59 +633,306 @@ const CitationFormatter = {
         citation += ` Accessed ${this.getAccessDate('mla')}.`;
       }
     }
-    
+
     return citation.trim();
   },
 
   /**
-   * Generate Chicago 17th Edition citation (Notes-Bibliography)
+   * Format an edition for Chicago ("2" -> "2nd ed.", "Rev." -> "Rev. ed.")
+   */
+  formatEdition(edition) {
+    if (!edition) return '';
+    const value = String(edition).trim();
+    if (/\bed(ition|\.)?$/i.test(value)) return value.replace(/\s*edition$/i, ' ed.');
+    if (/^\d+$/.test(value)) return `${value}${this.getOrdinalSuffix(Number(value))} ed.`;
+    return `${value} ed.`;
+  },
+
+  getOrdinalSuffix(n) {
+    if (n % 100 >= 11 && n % 100 <= 13) return 'th';
+    return { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  },
+
+  /**
+   * Collect the pieces shared by the Chicago notes-bibliography and author-date forms
+   */
+  getChicagoParts(metadata) {
+    const type = this.getSourceType(metadata);
+    const isContained = this.isContainedType(type);
+    const contributors = this.getContributors(metadata, isContained ? ['translator'] : ['editor', 'translator']);
+    const place = metadata.place || '';
+    const publisher = metadata.publisher || '';
+
+    return {
+      type,
+      // Editors (or translators) stand in for the author of an edited volume
+      creators: contributors.creators,
+      creatorLabel: this.getRoleLabel('chicago', contributors.role, contributors.creators.length),
+      // Editors and translators of a work that also has authors are listed after the title
+      secondary: [['editor', isContained ? [] : contributors.editors], ['translator', contributors.translators]]
+        .filter(([, creators]) => creators.length > 0)
+        .map(([role, creators]) => ({ role, names: this.formatNamesChicago(creators, { note: true }) })),
+      // Editors of the book or proceedings a chapter or paper appears in
+      containerEditors: isContained ? this.formatNamesChicago(contributors.editors, { note: true }) : '',
+      title: metadata.title || 'Untitled',
+      edition: this.formatEdition(metadata.edition),
+      imprint: place && publisher ? `${place}: ${publisher}` : place || publisher,
+      date: metadata.date || metadata.year ? this.formatDate(metadata, 'chicago') : '',
+      year: metadata.year || 'n.d.',
+      link: this.getLink(metadata)
+    };
+  },
+
+  /**
+   * Report number or version of a report, dataset or software ("Report No. 12", "Version 2.1")
+   */
+  getChicagoDetail(metadata, type) {
+    if (type === 'report') return metadata.number ? `Report No. ${metadata.number}` : '';
+    return metadata.version ? `Version ${metadata.version}` : '';
+  },
+
+  /**
+   * Generate Chicago 17th Edition bibliography entry (Notes-Bibliography)
    */
   toChicago(metadata) {
-    const authors = this.formatAuthors(metadata.author, 'chicago');
-    const title = metadata.title || 'Untitled';
-    
-    let citation = '';
-    
-    if (authors) citation += `${authors}. `;
-    
-    if (metadata.sourceType === 'webpage' || metadata.sourceType === 'news') {
-      citation += `"${title}." `;
-      if (metadata.publisher) citation += `${metadata.publisher}. `;
-      if (metadata.date || metadata.year) {
-        citation += `${this.formatDate(metadata, 'chicago')}. `;
+    const parts = this.getChicagoParts(metadata);
+    const type = parts.type;
+    const segments = [];
+
+    if (parts.creators.length > 0) {
+      segments.push([this.formatNamesChicago(parts.creators), parts.creatorLabel].filter(Boolean).join(', '));
+    }
+
+    if (type === 'book') {
+      segments.push(parts.title);
+      parts.secondary.forEach(({ role, names }) => {
+        segments.push(`${role === 'editor' ? 'Edited' : 'Translated'} by ${names}`);
+      });
+      if (parts.edition) segments.push(parts.edition);
+      segments.push([parts.imprint, metadata.year || 'n.d.'].filter(Boolean).join(', '));
+      if (metadata.doi) segments.push(parts.link);
+    } else if (type === 'journal' || type === 'article') {
+      segments.push(`"${parts.title}"`);
+      let source = metadata.journal || '';
+      if (metadata.volume) source += ` ${metadata.volume}`;
+      if (metadata.issue) source += `, no. ${metadata.issue}`;
+      source += ` (${parts.year})`;
+      if (metadata.pages) source += `: ${this.formatPageRange(metadata.pages)}`;
+      segments.push(source.trim());
+      if (parts.link) segments.push(parts.link);
+    } else if (this.isContainedType(type)) {
+      // "Chapter." In Book, edited by E. Editor, 1-10. Place: Publisher, Year.
+      segments.push(`"${parts.title}"`);
+      parts.secondary.forEach(({ names }) => segments.push(`Translated by ${names}`));
+      if (metadata.journal) {
+        let source = `In ${metadata.journal}`;
+        if (parts.containerEditors) source += `, edited by ${parts.containerEditors}`;
+        if (metadata.pages) source += `, ${this.formatPageRange(metadata.pages)}`;
+        segments.push(source);
       }
-      if (metadata.url) citation += `${metadata.url}.`;
-    } else if (metadata.sourceType === 'journal' || metadata.sourceType === 'article') {
-      citation += `"${title}." `;
-      if (metadata.journal) citation += `${metadata.journal} `;
-      if (metadata.volume) citation += `${metadata.volume}`;
-      if (metadata.issue) citation += `, no. ${metadata.issue}`;
-      citation += ` (${metadata.year || 'n.d.'}): `;
-      if (metadata.pages) citation += `${metadata.pages}. `;
-      if (metadata.doi) citation += `https://doi.org/${metadata.doi}`;
-    } else if (metadata.sourceType === 'book') {
-      citation += `${title}. `;
-      if (metadata.publisher) citation += `${metadata.publisher}, `;
-      citation += `${metadata.year || 'n.d.'}.`;
+      segments.push([parts.imprint, parts.year].filter(Boolean).join(', '));
+      if (parts.link) segments.push(parts.link);
+    } else if (type === 'thesis') {
+      segments.push(`"${parts.title}"`);
+      segments.push([this.getThesisLabel(metadata, 'chicago'), metadata.publisher, parts.year].filter(Boolean).join(', '));
+      if (parts.link) segments.push(parts.link);
+    } else if (type === 'report' || type === 'dataset' || type === 'software') {
+      segments.push(parts.title);
+      const detail = this.getChicagoDetail(metadata, type);
+      if (detail) segments.push(detail);
+      segments.push([parts.imprint, parts.year].filter(Boolean).join(', '));
+      if (parts.link) segments.push(parts.link);
+    } else if (type === 'preprint') {
+      segments.push(`"${parts.title}"`);
+      segments.push(['Preprint', metadata.publisher, parts.date || parts.year].filter(Boolean).join(', '));
+      if (parts.link) segments.push(parts.link);
     } else {
-      citation += `"${title}." `;
-      if (metadata.url) citation += `${metadata.url}.`;
+      segments.push(`"${parts.title}"`);
+      if (metadata.publisher) segments.push(metadata.publisher);
+      if (parts.date) {
+        segments.push(parts.date);
+      } else if (metadata.includeAccessDate && metadata.url) {
+        // Chicago only asks for an access date when the source is undated
+        segments.push(`Accessed ${this.getAccessDate('chicago')}`);
+      }
+      if (metadata.url) segments.push(metadata.url);
     }
-    
-    return citation.trim();
+
+    return this.punctuateQuotes(segments.map(segment => segment.replace(/\.$/, '')).join('. ') + '.');
+  },
+
+  /**
+   * Generate the first, full footnote for Chicago notes-bibliography
+   * @param {Object} metadata
+   * @param {string} [locator] - page(s) being cited
+   */
+  toChicagoNote(metadata, locator = '') {
+    const parts = this.getChicagoParts(metadata);
+    const type = parts.type;
+    const segments = [];
+
+    if (parts.creators.length > 0) {
+      segments.push([this.formatNamesChicago(parts.creators, { note: true }), parts.creatorLabel].filter(Boolean).join(', '));
+    }
+
+    if (type === 'book') {
+      let title = parts.title;
+      parts.secondary.forEach(({ role, names }) => {
+        title += `, ${role === 'editor' ? 'ed.' : 'trans.'} ${names}`;
+      });
+      if (parts.edition) title += `, ${parts.edition}`;
+      title += ` (${[parts.imprint, metadata.year || 'n.d.'].filter(Boolean).join(', ')})`;
+      segments.push(title);
+      if (locator) segments.push(locator);
+      if (metadata.doi) segments.push(parts.link);
+    } else if (type === 'journal' || type === 'article') {
+      segments.push(`"${parts.title}"`);
+      let source = metadata.journal || '';
+      if (metadata.volume) source += ` ${metadata.volume}`;
+      if (metadata.issue) source += `, no. ${metadata.issue}`;
+      source += ` (${parts.year})`;
+      if (locator) source += `: ${locator}`;
+      segments.push(source.trim());
+      if (parts.link) segments.push(parts.link);
+    } else if (this.isContainedType(type)) {
+      segments.push(`"${parts.title}"`);
+      parts.secondary.forEach(({ names }) => segments.push(`trans. ${names}`));
+      const source = [
+        metadata.journal ? `in ${metadata.journal}` : '',
+        parts.containerEditors ? `ed. ${parts.containerEditors}` : ''
+      ].filter(Boolean).join(', ');
+      segments.push(`${source} (${[parts.imprint, parts.year].filter(Boolean).join(', ')})`.trim());
+      if (locator) segments.push(locator);
+      if (parts.link) segments.push(parts.link);
+    } else if (type === 'thesis') {
+      segments.push(`"${parts.title}" (${[this.getThesisLabel(metadata, 'chicago'), metadata.publisher, parts.year].filter(Boolean).join(', ')})`);
+      if (locator) segments.push(locator);
+      if (parts.link) segments.push(parts.link);
+    } else if (type === 'report' || type === 'dataset' || type === 'software') {
+      let title = parts.title;
+      const detail = this.getChicagoDetail(metadata, type);
+      if (detail) title += `, ${type === 'report' ? detail : detail.toLowerCase()}`;
+      title += ` (${[parts.imprint, parts.year].filter(Boolean).join(', ')})`;
+      segments.push(title);
+      if (locator) segments.push(locator);
+      if (parts.link) segments.push(parts.link);
+    } else if (type === 'preprint') {
+      segments.push(`"${parts.title}" (${['preprint', metadata.publisher, parts.date || parts.year].filter(Boolean).join(', ')})`);
+      if (locator) segments.push(locator);
+      if (parts.link) segments.push(parts.link);
+    } else {
+      segments.push(`"${parts.title}"`);
+      if (metadata.publisher) segments.push(metadata.publisher);
+      if (parts.date) {
+        segments.push(parts.date);
+      } else if (metadata.includeAccessDate && metadata.url) {
+        segments.push(`accessed ${this.getAccessDate('chicago')}`);
+      }
+      if (locator) segments.push(locator);
+      if (metadata.url) segments.push(metadata.url);
+    }
+
+    return this.punctuateQuotes(segments.join(', ') + '.');
+  },
+
+  /**
+   * Generate the shortened footnote used after the first full note
+   */
+  toChicagoShortNote(metadata, locator = '') {
+    const parts = this.getChicagoParts(metadata);
+    const names = parts.creators.map(creator => Creators.getFamily(creator));
+    const shortTitle = this.getShortTitle(metadata.title);
+    const title = this.isStandaloneType(parts.type) ? shortTitle : `"${shortTitle}"`;
+    const segments = [this.joinInTextNames(names, 'and', 4, true), title, locator].filter(Boolean);
+    return this.punctuateQuotes(segments.join(', ') + '.');
+  },
+
+  /**
+   * Generate Chicago 17th Edition reference list entry (Author-Date)
+   */
+  toChicagoAuthorDate(metadata) {
+    const parts = this.getChicagoParts(metadata);
+    const type = parts.type;
+    const segments = [];
+    const title = this.isStandaloneType(type) ? parts.title : `"${parts.title}"`;
+
+    // Without an author, the title moves into the author position
+    if (parts.creators.length > 0) {
+      segments.push([this.formatNamesChicago(parts.creators), parts.creatorLabel].filter(Boolean).join(', '));
+      segments.push(parts.year);
+      segments.push(title);
+    } else {
+      segments.push(title);
+      segments.push(parts.year);
+    }
+
+    if (type === 'book') {
+      if (parts.edition) segments.push(parts.edition);
+      parts.secondary.forEach(({ role, names }) => {
+        segments.push(`${role === 'editor' ? 'Edited' : 'Translated'} by ${names}`);
+      });
+      if (parts.imprint) segments.push(parts.imprint);
+      if (metadata.doi) segments.push(parts.link);
+    } else if (type === 'journal' || type === 'article') {
+      let source = metadata.journal || '';
+      if (metadata.volume) source += ` ${metadata.volume}`;
+      if (metadata.issue) source += `, no. ${metadata.issue}`;
+      if (metadata.pages) source += `: ${this.formatPageRange(metadata.pages)}`;
+      if (source.trim()) segments.push(source.trim());
+      if (parts.link) segments.push(parts.link);
+    } else if (this.isContainedType(type)) {
+      parts.secondary.forEach(({ names }) => segments.push(`Translated by ${names}`));
+      if (metadata.journal) {
+        let source = `In ${metadata.journal}`;
+        if (parts.containerEditors) source += `, edited by ${parts.containerEditors}`;
+        if (metadata.pages) source += `, ${this.formatPageRange(metadata.pages)}`;
+        segments.push(source);
+      }
+      if (parts.imprint) segments.push(parts.imprint);
+      if (parts.link) segments.push(parts.link);
+    } else if (type === 'thesis') {
+      segments.push([this.getThesisLabel(metadata, 'chicago'), metadata.publisher].filter(Boolean).join(', '));
+      if (parts.link) segments.push(parts.link);
+    } else if (type === 'report' || type === 'dataset' || type === 'software') {
+      const detail = this.getChicagoDetail(metadata, type);
+      if (detail) segments.push(detail);
+      if (parts.imprint) segments.push(parts.imprint);
+      if (parts.link) segments.push(parts.link);
+    } else if (type === 'preprint') {
+      segments.push(['Preprint', metadata.publisher].filter(Boolean).join(', '));
+      if (parts.link) segments.push(parts.link);
+    } else {
+      if (metadata.publisher) segments.push(metadata.publisher);
+      if (metadata.date && parts.date !== metadata.year) {
+        segments.push(parts.date);
+      } else if (!metadata.date && metadata.includeAccessDate && metadata.url) {
+        segments.push(`Accessed ${this.getAccessDate('chicago')}`);
+      }
+      if (metadata.url) segments.push(metadata.url);
+    }
+
+    return this.punctuateQuotes(segments.map(segment => segment.replace(/\.$/, '')).join('. ') + '.');
   },
 
   /**
    * Generate Harvard citation
    */
   toHarvard(metadata) {
-    const authors = this.formatAuthors(metadata.author, 'harvard') || 'Unknown Author';
+    const type = this.getSourceType(metadata);
+    const isContained = this.isContainedType(type);
+    const contributors = this.getContributors(metadata, isContained ? [] : ['editor']);
+    let authors = this.formatAuthors(contributors.creators, 'harvard') || 'Unknown Author';
+    if (contributors.role === 'editor') {
+      authors += ` (${this.getRoleLabel('harvard', 'editor', contributors.creators.length)})`;
+    }
     const year = metadata.year || 'n.d.';
     const title = metadata.title || 'Untitled';
-    
+    // "doi: 10.1000/1." or "Available at: https://..."
+    const link = metadata.doi ? `doi: ${metadata.doi}.` : metadata.url ? `Available at: ${metadata.url}.` : '';
+
     let citation = `${authors} (${year}) `;
-    
-    if (metadata.sourceType === 'webpage' || metadata.sourceType === 'news') {
+
+    if (type === 'webpage' || type === 'news') {
       citation += `'${title}', `;
       if (metadata.publisher) citation += `${metadata.publisher}, `;
       citation += `Available at: ${metadata.url || 'URL'}`;
@@ -413,7 +940,7 @@ const CitationFormatter = {
         citation += ` (Accessed: ${this.getAccessDate('harvard')})`;
       }
       citation += '.';
-    } else if (metadata.sourceType === 'journal' || metadata.sourceType === 'article') {
+    } else if (type === 'journal' || type === 'article') {
       citation += `'${title}', `;
       if (metadata.journal) citation += `${metadata.journal}, `;
       if (metadata.volume) citation += `${metadata.volume}`;
@@ -421,14 +948,51 @@ const CitationFormatter = {
       if (metadata.pages) citation += `, pp. ${metadata.pages}`;
       citation += '.';
       if (metadata.doi) citation += ` doi: ${metadata.doi}.`;
-    } else if (metadata.sourceType === 'book') {
+    } else if (type === 'book') {
+      citation += `${title}. `;
+      [['Edited', contributors.editors], ['Translated', contributors.translators]].forEach(([label, creators]) => {
+        if (creators.length === 0) return;
+        const names = creators.map(creator => Creators.toDisplayName(creator, { initials: true }));
+        citation += `${label} by ${this.joinNames(names, 'and', false)}. `;
+      });
+      if (metadata.publisher) citation += `${metadata.publisher}.`;
+    } else if (isContained) {
+      // "'Chapter', in Editor, E. (ed.) Book. Place: Publisher, pp. 1-10."
+      citation += `'${title}'`;
+      const editors = contributors.editors.length > 0
+        ? `${this.formatAuthors(contributors.editors, 'harvard')} (${this.getRoleLabel('harvard', 'editor', contributors.editors.length)})`
+        : '';
+      const container = [editors, metadata.journal].filter(Boolean).join(' ');
+      citation += container ? `, in ${container}. ` : '. ';
+      const imprint = [[metadata.place, metadata.publisher].filter(Boolean).join(': '), metadata.pages ? `pp. ${metadata.pages}` : '']
+        .filter(Boolean)
+        .join(', ');
+      if (imprint) citation += `${imprint}.`;
+      if (link) citation = `${citation.trimEnd()} ${link}`;
+    } else if (type === 'thesis') {
+      citation += `${title}. ${this.getThesisLabel(metadata, 'harvard')}. `;
+      if (metadata.publisher) citation += `${metadata.publisher}.`;
+      if (link) citation = `${citation.trimEnd()} ${link}`;
+    } else if (type === 'report') {
       citation += `${title}. `;
+      if (metadata.number) citation += `Report no. ${metadata.number}. `;
+      if (metadata.publisher) citation += `${metadata.publisher}.`;
+      if (link) citation = `${citation.trimEnd()} ${link}`;
+    } else if (type === 'dataset' || type === 'software') {
+      citation += title;
+      if (metadata.version) citation += ` (Version ${metadata.version})`;
+      citation += ` [${type === 'dataset' ? 'Dataset' : 'Computer program'}]. `;
       if (metadata.publisher) citation += `${metadata.publisher}.`;
+      if (link) citation = `${citation.trimEnd()} ${link}`;
+    } else if (type === 'preprint') {
+      citation += `'${title}'. `;
+      citation += metadata.publisher ? `${metadata.publisher} [Preprint].` : '[Preprint].';
+      if (link) citation = `${citation.trimEnd()} ${link}`;
     } else {
       citation += `'${title}'. `;
       if (metadata.url) citation += `Available at: ${metadata.url}.`;
     }
-    
+
     return citation.trim();
   },
 
@@ -436,14 +1000,22 @@ const CitationFormatter = {
    * Generate IEEE citation
    */
   toIEEE(metadata) {
-    const authors = this.formatAuthorsIEEE(metadata.author);
+    const type = this.getSourceType(metadata);
+    const isContained = this.isContainedType(type);
+    const contributors = this.getContributors(metadata, isContained ? [] : ['editor']);
+    let authors = this.formatAuthorsIEEE(contributors.creators);
+    if (authors && contributors.role === 'editor') {
+      authors += `, ${this.getRoleLabel('ieee', 'editor', contributors.creators.length)}`;
+    }
     const title = metadata.title || 'Untitled';
-    
+    const year = metadata.year || 'n.d.';
+    const pages = metadata.pages ? `pp. ${metadata.pages}` : '';
+
     let citation = '';
-    
+
     if (authors) citation += `${authors}, `;
-    
-    if (metadata.sourceType === 'webpage' || metadata.sourceType === 'news') {
+
+    if (type === 'webpage' || type === 'news') {
       citation += `"${title}," `;
       if (metadata.publisher) citation += `${metadata.publisher}. `;
       if (metadata.url) {
@@ -452,49 +1024,657 @@ const CitationFormatter = {
           citation += ` [Accessed: ${this.getAccessDate('ieee')}].`;
         }
       }
-    } else if (metadata.sourceType === 'journal' || metadata.sourceType === 'article') {
+    } else if (type === 'journal' || type === 'article') {
       citation += `"${title}," `;
       if (metadata.journal) citation += `${metadata.journal}, `;
       if (metadata.volume) citation += `vol. ${metadata.volume}, `;
       if (metadata.issue) citation += `no. ${metadata.issue}, `;
       if (metadata.pages) citation += `pp. ${metadata.pages}, `;
-      citation += `${metadata.year || 'n.d.'}.`;
+      citation += `${year}.`;
       if (metadata.doi) citation += ` doi: ${metadata.doi}.`;
-    } else if (metadata.sourceType === 'book') {
-      citation += `${title}. `;
+    } else if (type === 'book') {
+      citation += title;
+      // "Meditations, G. Hays, Trans."
+      [['editor', contributors.editors], ['translator', contributors.translators]].forEach(([role, creators]) => {
+        if (creators.length > 0) {
+          citation += `, ${this.formatAuthorsIEEE(creators)}, ${this.getRoleLabel('ieee', role, creators.length)}`;
+        }
+      });
+      citation += citation.endsWith('.') ? ' ' : '. ';
       if (metadata.publisher) citation += `${metadata.publisher}, `;
-      citation += `${metadata.year || 'n.d.'}.`;
+      citation += `${year}.`;
+    } else if (type === 'chapter') {
+      // "Chapter," in Book, E. Editor, Ed. City: Publisher, year, pp. 1-10.
+      citation += `"${title}," `;
+      if (metadata.journal) {
+        citation += `in ${metadata.journal}`;
+        if (contributors.editors.length > 0) {
+          citation += `, ${this.formatAuthorsIEEE(contributors.editors)}, ${this.getRoleLabel('ieee', 'editor', contributors.editors.length)}`;
+        }
+        citation += citation.endsWith('.') ? ' ' : '. ';
+      }
+      const imprint = [metadata.place, metadata.publisher].filter(Boolean).join(': ');
+      citation += `${[imprint, year, pages].filter(Boolean).join(', ')}.`;
+      if (metadata.doi) citation += ` doi: ${metadata.doi}.`;
+    } else if (type === 'conference') {
+      // "Paper," in Proc. Conference, City, year, pp. 1-10.
+      citation += `"${title}," `;
+      citation += `${[metadata.journal ? `in ${metadata.journal}` : '', metadata.place, year, pages].filter(Boolean).join(', ')}.`;
+      if (metadata.doi) citation += ` doi: ${metadata.doi}.`;
+    } else if (type === 'thesis') {
+      citation += `"${title}," `;
+      citation += `${[this.getThesisLabel(metadata, 'ieee'), metadata.publisher, metadata.place, year].filter(Boolean).join(', ')}.`;
+      if (metadata.doi) citation += ` doi: ${metadata.doi}.`;
+    } else if (type === 'report') {
+      citation += `"${title}," `;
+      const number = metadata.number ? `Tech. Rep. ${metadata.number}` : 'Tech. Rep.';
+      citation += `${[metadata.publisher, metadata.place, number, year].filter(Boolean).join(', ')}.`;
+      if (metadata.doi) citation += ` doi: ${metadata.doi}.`;
+    } else if (type === 'dataset' || type === 'software') {
+      citation += `"${title}," `;
+      citation += `${[metadata.version ? `Version ${metadata.version}` : '', metadata.publisher, year].filter(Boolean).join(', ')}.`;
+      if (metadata.doi) citation += ` doi: ${metadata.doi}.`;
+      else if (metadata.url) citation += ` [Online]. Available: ${metadata.url}`;
+    } else if (type === 'preprint') {
+      // "Title," year, arXiv:2101.00001.
+      const archiveId = this.getArchiveId(metadata);
+      citation += `"${title}," `;
+      citation += `${[archiveId ? '' : metadata.publisher, year, archiveId].filter(Boolean).join(', ')}.`;
+      if (metadata.doi) citation += ` doi: ${metadata.doi}.`;
+      else if (!archiveId && metadata.url) citation += ` [Online]. Available: ${metadata.url}`;
     } else {
       citation += `"${title}." `;
       if (metadata.url) citation += `[Online]. Available: ${metadata.url}.`;
     }
-    
+
     return citation.trim();
   },
 
+  /**
+   * IEEE lists initials first: "J.-P. Sartre, M. L. King, Jr."
+   */
   formatAuthorsIEEE(authors) {
-    if (!authors) return '';
-    const authorList = authors.split(/;|(\sand\s)/).filter(a => a && a.trim() !== 'and').map(a => a.trim());
-    
-    return authorList.map(author => {
-      const parts = author.split(',').map(p => p.trim());
-      if (parts.length >= 2) {
-        const initials = parts[1].split(' ').map(n => n.charAt(0).toUpperCase() + '.').join(' ');
-        return `${initials} ${parts[0]}`;
+    return authors.map(author => Creators.toDisplayName(author, { initials: true, suffixComma: true })).join(', ');
+  },
+
+  /**
+   * Split a date string into [year, month, day] numbers (month/day optional)
+   */
+  getDateParts(metadata) {
+    const date = metadata.date || '';
+    const isoMatch = date.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+    if (isoMatch) {
+      return isoMatch.slice(1).filter(Boolean).map(Number);
+    }
+    if (date) {
+      const d = new Date(date);
+      if (!isNaN(d.getTime()) && /[a-zA-Z]/.test(date)) {
+        return [d.getFullYear(), d.getMonth() + 1, d.getDate()];
+      }
+    }
+    return metadata.year ? [Number(metadata.year)] : [];
+  },
+
+  splitPages(pages) {
+    const [start, end] = (pages || '').split(/\s*[-–—]+\s*/);
+    return { start: start || '', end: end || '' };
+  },
+
+  /**
+   * "10-20" -> "10–20", the en dash Chicago uses between page numbers
+   */
+  formatPageRange(pages) {
+    return (pages || '').replace(/\s*[-–—]+\s*/g, '–');
+  },
+
+  /**
+   * Export item types for machine-readable formats, keyed by source type
+   */
+  EXPORT_TYPES: {
+    webpage: { ris: 'ELEC', csl: 'webpage', endnote: ['Web Page', 12] },
+    article: { ris: 'JOUR', csl: 'article-journal', endnote: ['Journal Article', 17] },
+    journal: { ris: 'JOUR', csl: 'article-journal', endnote: ['Journal Article', 17] },
+    book: { ris: 'BOOK', csl: 'book', endnote: ['Book', 6] },
+    news: { ris: 'NEWS', csl: 'article-newspaper', endnote: ['Newspaper Article', 23] },
+    chapter: { ris: 'CHAP', csl: 'chapter', endnote: ['Book Section', 5] },
+    conference: { ris: 'CPAPER', csl: 'paper-conference', endnote: ['Conference Paper', 47] },
+    thesis: { ris: 'THES', csl: 'thesis', endnote: ['Thesis', 32] },
+    report: { ris: 'RPRT', csl: 'report', endnote: ['Report', 27] },
+    dataset: { ris: 'DATA', csl: 'dataset', endnote: ['Dataset', 59] },
+    software: { ris: 'COMP', csl: 'software', endnote: ['Computer Program', 9] },
+    preprint: { ris: 'GEN', csl: 'article', endnote: ['Generic', 13] }
+  },
+
+  getExportType(metadata) {
+    const type = this.getSourceType(metadata);
+    // Articles without a journal are preprints (e.g. arXiv), same as getBibTeXType
+    if ((type === 'article' || type === 'journal') && !metadata.journal) {
+      return this.EXPORT_TYPES.preprint;
+    }
+    return this.EXPORT_TYPES[type] || this.EXPORT_TYPES.webpage;
+  },
+
+  /**
+   * Convert metadata to a CSL-JSON item
+   */
+  toCSLItem(metadata, id = null) {
+    const item = {
+      id: id || this.generateKeyFromFormat(metadata, metadata.keyFormat || 'auth.lower + shorttitle(3,3) + year'),
+      type: this.getExportType(metadata).csl
+    };
+
+    if (metadata.title) item.title = metadata.title;
+    Object.entries(Creators.ROLES).forEach(([role, { csl }]) => {
+      const creators = this.getCreators(metadata, role);
+      if (creators.length > 0) item[csl] = creators.map(creator => Creators.toCSLName(creator));
+    });
+
+    const dateParts = this.getDateParts(metadata);
+    if (dateParts.length > 0) item.issued = { 'date-parts': [dateParts] };
+
+    if (metadata.journal) item['container-title'] = metadata.journal;
+    else if (metadata.sourceType === 'webpage' && metadata.publisher) item['container-title'] = metadata.publisher;
+    if (metadata.publisher && metadata.sourceType !== 'webpage') item.publisher = metadata.publisher;
+    if (metadata.place) item['publisher-place'] = metadata.place;
+    if (metadata.edition) item.edition = metadata.edition;
+    if (metadata.version) item.version = metadata.version;
+    if (metadata.number) item.number = metadata.number;
+    if (item.type === 'thesis') item.genre = this.getThesisLabel(metadata, 'apa');
+    if (metadata.volume) item.volume = metadata.volume;
+    if (metadata.issue) item.issue = metadata.issue;
+    if (metadata.pages) item.page = metadata.pages;
+    if (metadata.doi) item.DOI = metadata.doi;
+    if (metadata.isbn) item.ISBN = metadata.isbn;
+    if (metadata.url) item.URL = metadata.url;
+    if (metadata.includeAccessDate && metadata.url) {
+      const now = new Date();
+      item.accessed = { 'date-parts': [[now.getFullYear(), now.getMonth() + 1, now.getDate()]] };
+    }
+
+    return item;
+  },
+
+  /**
+   * Generate CSL-JSON (as used by Pandoc, Zotero and Mendeley)
+   */
+  toCSLJSON(metadata) {
+    return JSON.stringify([this.toCSLItem(metadata)], null, 2);
+  },
+
+  /**
+   * Generate RIS record
+   */
+  toRIS(metadata) {
+    const lines = [];
+    const add = (tag, value) => {
+      if (value) lines.push(`${tag}  - ${value}`);
+    };
+    const type = this.getExportType(metadata).ris;
+
+    add('TY', type);
+    this.getCreators(metadata).forEach(author => add('AU', Creators.toSortName(author)));
+    this.getCreators(metadata, 'editor').forEach(editor => add('ED', Creators.toSortName(editor)));
+    this.getCreators(metadata, 'seriesEditor').forEach(editor => add('A3', Creators.toSortName(editor)));
+    // A4 (subsidiary author) is read as the translator by Zotero and Mendeley
+    this.getCreators(metadata, 'translator').forEach(translator => add('A4', Creators.toSortName(translator)));
+    add('TI', metadata.title);
+    if (metadata.journal) {
+      add('T2', metadata.journal);
+      if (type === 'JOUR') add('JO', metadata.journal);
+    }
+
+    const [year, month, day] = this.getDateParts(metadata);
+    if (year) {
+      add('PY', String(year));
+      if (month) add('DA', `${year}/${String(month).padStart(2, '0')}/${day ? String(day).padStart(2, '0') : ''}/`);
+    }
+
+    add('VL', metadata.volume);
+    add('IS', metadata.issue);
+    const pages = this.splitPages(metadata.pages);
+    add('SP', pages.start);
+    add('EP', pages.end);
+    add('PB', metadata.publisher);
+    add('CY', metadata.place);
+    add('ET', metadata.edition || metadata.version);
+    if (type === 'THES') add('M3', this.getThesisLabel(metadata, 'apa'));
+    add('M1', metadata.number);
+    add('SN', metadata.isbn);
+    add('DO', metadata.doi);
+    add('UR', metadata.url);
+    if (metadata.includeAccessDate && metadata.url) {
+      add('Y2', new Date().toISOString().split('T')[0].replace(/-/g, '/'));
+    }
+    lines.push('ER  - ');
+
+    return lines.join('\n');
+  },
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  },
+
+  /**
+   * Generate a single EndNote XML <record> element
+   */
+  toEndNoteRecord(metadata, recNumber = 1) {
+    const x = value => this.escapeXml(value);
+    const [refTypeName, refTypeNumber] = this.getExportType(metadata).endnote;
+    const parts = [];
+
+    parts.push(`<rec-number>${recNumber}</rec-number>`);
+    parts.push(`<ref-type name="${refTypeName}">${refTypeNumber}</ref-type>`);
+
+    const toAuthorXml = names => names.map(author => `<author>${x(Creators.toSortName(author))}</author>`).join('');
+    const contributorTags = {
+      author: 'authors',
+      editor: 'secondary-authors',
+      seriesEditor: 'tertiary-authors',
+      contributor: 'subsidiary-authors',
+      translator: 'translated-authors'
+    };
+    const contributors = Object.entries(contributorTags)
+      .map(([role, tag]) => {
+        const creators = this.getCreators(metadata, role);
+        return creators.length > 0 ? `<${tag}>${toAuthorXml(creators)}</${tag}>` : '';
+      })
+      .join('');
+    if (contributors) parts.push(`<contributors>${contributors}</contributors>`);
+
+    const titles = [];
+    if (metadata.title) titles.push(`<title>${x(metadata.title)}</title>`);
+    if (metadata.journal) titles.push(`<secondary-title>${x(metadata.journal)}</secondary-title>`);
+    if (titles.length > 0) parts.push(`<titles>${titles.join('')}</titles>`);
+    if (metadata.journal && refTypeNumber === 17) {
+      parts.push(`<periodical><full-title>${x(metadata.journal)}</full-title></periodical>`);
+    }
+
+    if (metadata.pages) parts.push(`<pages>${x(metadata.pages)}</pages>`);
+    if (metadata.volume) parts.push(`<volume>${x(metadata.volume)}</volume>`);
+    if (metadata.issue || metadata.number) parts.push(`<number>${x(metadata.issue || metadata.number)}</number>`);
+    if (refTypeNumber === 32) parts.push(`<work-type>${x(this.getThesisLabel(metadata, 'apa'))}</work-type>`);
+
+    if (metadata.year || metadata.date) {
+      let dates = metadata.year ? `<year>${x(metadata.year)}</year>` : '';
+      if (metadata.date) dates += `<pub-dates><date>${x(metadata.date)}</date></pub-dates>`;
+      parts.push(`<dates>${dates}</dates>`);
+    }
+
+    if (metadata.publisher) parts.push(`<publisher>${x(metadata.publisher)}</publisher>`);
+    if (metadata.place) parts.push(`<pub-location>${x(metadata.place)}</pub-location>`);
+    if (metadata.edition || metadata.version) parts.push(`<edition>${x(metadata.edition || metadata.version)}</edition>`);
+    if (metadata.isbn) parts.push(`<isbn>${x(metadata.isbn)}</isbn>`);
+    if (metadata.doi) parts.push(`<electronic-resource-num>${x(metadata.doi)}</electronic-resource-num>`);
+    if (metadata.url) parts.push(`<urls><related-urls><url>${x(metadata.url)}</url></related-urls></urls>`);
+    if (metadata.includeAccessDate && metadata.url) {
+      parts.push(`<access-date>${new Date().toISOString().split('T')[0]}</access-date>`);
+    }
+
+    return `<record>${parts.join('')}</record>`;
+  },
+
+  /**
+   * Generate EndNote XML document for a single citation
+   */
+  toEndNoteXML(metadata) {
+    return this.wrapEndNoteRecords([this.toEndNoteRecord(metadata)]);
+  },
+
+  wrapEndNoteRecords(records) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<xml><records>\n${records.join('\n')}\n</records></xml>`;
+  },
+
+  /**
+   * File formats for exporting several citations at once. language names the
+   * format on Markdown code blocks and HTML <code> elements.
+   */
+  EXPORT_FORMATS: {
+    bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex', language: 'bibtex' },
+    ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems', language: 'text' },
+    csljson: { label: 'CSL-JSON', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json', language: 'json' },
+    endnote: { label: 'EndNote XML', extension: 'xml', mimeType: 'application/xml', language: 'xml' }
+  },
+
+  /**
+   * Generate the contents of an export file for several citations
+   */
+  toExportFile(metadataList, format) {
+    switch (format) {
+      case 'ris':
+        return metadataList.map(metadata => this.toRIS(metadata)).join('\n\n') + '\n';
+      case 'csljson': {
+        const ids = this.resolveKeyCollisions(metadataList.map(metadata =>
+          this.generateKeyFromFormat(metadata, metadata.keyFormat || 'auth.lower + shorttitle(3,3) + year')
+        ));
+        return JSON.stringify(metadataList.map((metadata, i) => this.toCSLItem(metadata, ids[i])), null, 2) + '\n';
+      }
+      case 'endnote':
+        return this.wrapEndNoteRecords(metadataList.map((metadata, i) => this.toEndNoteRecord(metadata, i + 1))) + '\n';
+      case 'bibtex':
+      default:
+        return this.toBibTeXFile(metadataList);
+    }
+  },
+
+  /**
+   * Shorten a title for notes and author-less in-text citations:
+   * the main title (before any subtitle), cut to four words if it is long
+   */
+  getShortTitle(title) {
+    const main = (title || 'Untitled').split(/[:?!]\s|\.\s/)[0].trim();
+    const words = main.split(/\s+/);
+    return words.length > 5 ? words.slice(0, 4).join(' ') : main;
+  },
+
+  /**
+   * Move commas and periods inside closing quotes (US style)
+   */
+  punctuateQuotes(text) {
+    return text.replace(/"([,.])/g, '$1"');
+  },
+
+  /**
+   * Join family names for an in-text citation, switching to "et al." at etAlMin names
+   */
+  joinInTextNames(names, and, etAlMin, serialComma = false) {
+    if (names.length === 0) return '';
+    if (names.length >= etAlMin) return `${names[0]} et al.`;
+    if (names.length === 1) return names[0];
+    if (names.length === 2) return `${names[0]} ${and} ${names[1]}`;
+    return `${names.slice(0, -1).join(', ')}${serialComma ? ',' : ''} ${and} ${names[names.length - 1]}`;
+  },
+
+  // Kinds of locator an in-text citation can point to
+  LOCATOR_LABELS: ['page', 'section', 'paragraph', 'timestamp'],
+
+  /**
+   * Label a locator the way the style does: "p. 5", "para. 4" and "Methods section"
+   * in APA and Harvard; bare pages, "par. 4" and "sec. 2" in MLA and Chicago.
+   * Timestamps ("1:02:15") are never labelled.
+   * @param {string} label - one of LOCATOR_LABELS
+   */
+  formatLocator(locator, label = 'page', style = 'apa') {
+    if (!locator) return '';
+    const plural = /[-–,&]/.test(locator);
+    const unlabelledPages = ['mla', 'chicago', 'chicago-author-date'].includes(style);
+
+    switch (label) {
+      case 'timestamp':
+        return locator;
+      case 'paragraph':
+        if (['apa', 'harvard', 'ieee', 'bibtex'].includes(style)) return `${plural ? 'paras.' : 'para.'} ${locator}`;
+        return `${plural ? 'pars.' : 'par.'} ${locator}`;
+      case 'section':
+        if (!/^[\d.]+(?:\s*[-–,&]\s*[\d.]+)*$/.test(locator)) {
+          // A named section: "Discussion section"
+          return /section$/i.test(locator) ? locator : `${locator} section`;
+        }
+        if (['apa', 'harvard'].includes(style)) return `${plural ? 'Sections' : 'Section'} ${locator}`;
+        if (['ieee', 'bibtex'].includes(style)) return `${plural ? 'Secs.' : 'Sec.'} ${locator}`;
+        return `${plural ? 'secs.' : 'sec.'} ${locator}`;
+      default:
+        if (unlabelledPages) return locator;
+        return plural ? `pp. ${locator}` : `p. ${locator}`;
+    }
+  },
+
+  /**
+   * Generate the in-text forms of a citation for the given style
+   * @param {Object} metadata
+   * @param {string} style
+   * @param {Object} [options] - { locator, label } what is being cited within the
+   *   source, and which of LOCATOR_LABELS it is (page by default)
+   * @returns {Object[]} [{ label, text }]; empty for export formats
+   */
+  getInTextCitations(metadata, style, options = {}) {
+    const label = this.LOCATOR_LABELS.includes(options.label) ? options.label : 'page';
+    const locator = this.formatLocator((options.locator || '').trim(), label, style);
+    // APA and Harvard cite an edited volume by its editors; MLA and Chicago also by its translators
+    const standIns = ['apa', 'harvard'].includes(style) ? ['editor'] : ['editor', 'translator'];
+    const names = this.getContributors(metadata, standIns).creators.map(creator => Creators.getFamily(creator));
+    const year = metadata.year || 'n.d.';
+    const shortTitle = this.getShortTitle(metadata.title);
+    const quotedTitle = this.isStandaloneType(this.getSourceType(metadata)) ? shortTitle : `"${shortTitle}"`;
+
+    if (this.isCSLStyle(style)) {
+      const cslStyle = this.cslStyles[style.slice(this.CSL_PREFIX.length)];
+      if (!cslStyle || !cslStyle.citation) return [];
+      const text = CSLEngine.renderCitation(cslStyle, [this.toCSLItem(metadata, 'item-1')], {
+        locator: (options.locator || '').trim(),
+        label
+      });
+      return text ? [{ label: 'In-text', text }] : [];
+    }
+
+    switch (style) {
+      case 'bibtex': {
+        const key = this.generateKeyFromFormat(metadata, metadata.keyFormat || 'auth.lower + shorttitle(3,3) + year');
+        const opt = locator ? `[${locator.replace(/\. /g, '.~')}]` : '';
+        return [
+          { label: 'LaTeX', text: `\\cite${opt}{${key}}` },
+          { label: 'natbib (parenthetical)', text: `\\citep${opt}{${key}}` },
+          { label: 'natbib (textual)', text: `\\citet${opt}{${key}}` }
+        ];
+      }
+
+      case 'apa': {
+        const page = locator ? `, ${locator}` : '';
+        const who = names.length > 0 ? this.joinInTextNames(names, '&', 3) : quotedTitle;
+        const narrative = names.length > 0 ? this.joinInTextNames(names, 'and', 3) : quotedTitle;
+        return [
+          { label: 'Parenthetical', text: this.punctuateQuotes(`(${who}, ${year}${page})`) },
+          { label: 'Narrative', text: `${narrative} (${year}${page})` }
+        ];
+      }
+
+      case 'mla': {
+        const who = names.length > 0 ? this.joinInTextNames(names, 'and', 3) : quotedTitle;
+        return [
+          // Pages and timestamps follow the name directly; other locators after a comma
+          { label: 'Parenthetical', text: `(${[who, locator].filter(Boolean).join(['page', 'timestamp'].includes(label) ? ' ' : ', ')})` }
+        ];
+      }
+
+      case 'chicago':
+        return [
+          { label: 'Footnote (first)', text: this.toChicagoNote(metadata, locator) },
+          { label: 'Footnote (short)', text: this.toChicagoShortNote(metadata, locator) }
+        ];
+
+      case 'chicago-author-date': {
+        const who = names.length > 0 ? this.joinInTextNames(names, 'and', 4, true) : quotedTitle;
+        const page = locator ? `, ${locator}` : '';
+        return [
+          { label: 'Parenthetical', text: this.punctuateQuotes(`(${who} ${year}${page})`) },
+          { label: 'Narrative', text: `${who} (${year}${page})` }
+        ];
+      }
+
+      case 'harvard': {
+        const page = locator ? `, ${locator}` : '';
+        const who = names.length > 0 ? this.joinInTextNames(names, 'and', 4) : quotedTitle;
+        return [
+          { label: 'Parenthetical', text: `(${who}, ${year}${page})` },
+          { label: 'Narrative', text: `${who} (${year}${page})` }
+        ];
+      }
+
+      case 'ieee':
+        return [
+          { label: 'In-text', text: locator ? `[1, ${locator}]` : '[1]' }
+        ];
+
+      default:
+        return [];
+    }
+  },
+
+  /**
+   * Prefix used for style ids that are rendered through a CSL style file
+   */
+  CSL_PREFIX: 'csl:',
+
+  // Parsed CSL styles, keyed by style id (without the prefix)
+  cslStyles: {},
+
+  /**
+   * Parse and register a CSL style so format() can render with it
+   * @param {string} id - style id, used as `csl:<id>` in format()
+   * @param {string} xml - CSL style source
+   */
+  registerCSLStyle(id, xml) {
+    this.cslStyles[id] = CSLEngine.parse(xml);
+    return this.cslStyles[id];
+  },
+
+  unregisterCSLStyle(id) {
+    delete this.cslStyles[id];
+  },
+
+  isCSLStyle(style) {
+    return typeof style === 'string' && style.startsWith(this.CSL_PREFIX);
+  },
+
+  /**
+   * Render a bibliography entry through a registered CSL style.
+   * Like the built-in IEEE style, numeric styles are rendered without the list number.
+   */
+  toCSL(metadata, styleId) {
+    const style = this.cslStyles[styleId];
+    if (!style) {
+      throw new Error(`CSL style "${styleId}" is not installed`);
+    }
+    return CSLEngine.renderBibliography(style, this.toCSLItem(metadata, 'item-1'));
+  },
+
+  /**
+   * Render several entries through a registered CSL style, sorted by the
+   * style's <sort> keys and numbered in that order
+   */
+  toCSLBibliography(metadataList, styleId) {
+    const style = this.cslStyles[styleId];
+    if (!style) {
+      throw new Error(`CSL style "${styleId}" is not installed`);
+    }
+    const items = metadataList.map((metadata, i) => this.toCSLItem(metadata, `item-${i + 1}`));
+    return CSLEngine.sortItems(style, items).map((item, i) =>
+      CSLEngine.renderBibliography(style, item, { citationNumber: i + 1 })
+    );
+  },
+
+  /**
+   * Format several sources as a reference list, in the order the style lists
+   * them: by author (or title, for anonymous works) and year for the author-date
+   * and notes styles, in citation order and numbered for IEEE, by the style's own
+   * sort keys for CSL styles. BibTeX entries get unique keys.
+   * @returns {string[]} one formatted entry per source
+   */
+  toBibliography(metadataList, style) {
+    if (this.isCSLStyle(style)) {
+      return this.toCSLBibliography(metadataList, style.slice(this.CSL_PREFIX.length));
+    }
+
+    switch (style) {
+      case 'bibtex': {
+        const keys = this.resolveKeyCollisions(metadataList.map(metadata =>
+          this.generateKeyFromFormat(metadata, metadata.keyFormat || 'auth.lower + shorttitle(3,3) + year')
+        ));
+        return metadataList.map((metadata, i) => this.toBibTeX(metadata, keys[i]));
       }
-      const words = author.split(' ');
-      if (words.length >= 2) {
-        const initials = words.slice(0, -1).map(n => n.charAt(0).toUpperCase() + '.').join(' ');
-        return `${initials} ${words[words.length - 1]}`;
+      case 'ieee':
+        return metadataList.map((metadata, i) => `[${i + 1}] ${this.toIEEE(metadata)}`);
+      default: {
+        const sortKeys = new Map(metadataList.map(metadata => [metadata, this.getBibliographySortKey(metadata)]));
+        return [...metadataList]
+          .sort((a, b) => {
+            const [ka, kb] = [sortKeys.get(a), sortKeys.get(b)];
+            for (let i = 0; i < ka.length; i++) {
+              const cmp = ka[i].localeCompare(kb[i], 'en', { numeric: true, sensitivity: 'base' });
+              if (cmp !== 0) return cmp;
+            }
+            return 0;
+          })
+          .map(metadata => this.format(metadata, style));
       }
-      return author;
-    }).join(', ');
+    }
+  },
+
+  /**
+   * Reference-list sort key: the names the entry is listed under (or its title,
+   * ignoring a leading article), then the year, then the title
+   */
+  getBibliographySortKey(metadata) {
+    const title = (metadata.title || '').replace(/^(the|an?)\s+/i, '');
+    const names = this.getContributors(metadata).creators.map(creator => Creators.toSortName(creator)).join('; ');
+    return [names || title, metadata.year || '', title];
+  },
+
+  /**
+   * Wrap a citation for pasting as plain text, Markdown or HTML
+   * @param {string} citation
+   * @param {string} style - export formats (BibTeX, RIS, CSL-JSON, EndNote XML) are
+   *   wrapped as a code block
+   * @param {string} outputFormat - 'plain', 'markdown' or 'html'
+   */
+  wrapOutput(citation, style, outputFormat) {
+    const exportFormat = this.EXPORT_FORMATS[style];
+    switch (outputFormat) {
+      case 'markdown':
+        return exportFormat ? '```' + exportFormat.language + '\n' + citation + '\n```' : '> ' + citation;
+      case 'html':
+        return exportFormat
+          ? `<pre><code class="language-${exportFormat.language}">` + this.escapeXml(citation) + '</code></pre>'
+          : '<p class="citation">' + this.escapeXml(citation) + '</p>';
+      default:
+        // plain text - no modification needed
+        return citation;
+    }
+  },
+
+  /**
+   * Format a quoted passage as a block quote ending in its in-text citation,
+   * followed by the full reference
+   * @param {string} text - the passage; blank lines separate its paragraphs
+   * @param {string} citation - the in-text citation, from getInTextCitations()
+   * @param {string} reference - the reference entry, or '' to leave it out
+   * @param {string} style - a reference in an export format is wrapped as a code block
+   * @param {string} outputFormat - 'plain', 'markdown' or 'html'
+   */
+  formatQuote(text, citation, reference, style, outputFormat) {
+    const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    if (paragraphs.length === 0) return '';
+    const last = paragraphs.length - 1;
+    const cite = (paragraph, i) => (i === last && citation ? `${paragraph} ${citation}` : paragraph);
+
+    switch (outputFormat) {
+      case 'markdown': {
+        const quote = paragraphs.map((paragraph, i) => `> ${cite(paragraph, i)}`).join('\n>\n');
+        // Other references stay plain so they don't join the quote block
+        const entry = this.EXPORT_FORMATS[style] ? this.wrapOutput(reference, style, outputFormat) : reference;
+        return [quote, entry].filter(Boolean).join('\n\n');
+      }
+      case 'html': {
+        const quote = '<blockquote>' + paragraphs.map((paragraph, i) => `<p>${this.escapeXml(cite(paragraph, i))}</p>`).join('') + '</blockquote>';
+        return [quote, reference && this.wrapOutput(reference, style, outputFormat)].filter(Boolean).join('\n');
+      }
+      default:
+        return [`“${paragraphs.join('\n\n')}”${citation ? ` ${citation}` : ''}`, reference].filter(Boolean).join('\n\n');
+    }
   },
 
   /**
    * Generate citation in specified style
    */
   format(metadata, style) {
+    if (this.isCSLStyle(style)) {
+      return this.toCSL(metadata, style.slice(this.CSL_PREFIX.length));
+    }
+
     switch (style) {
       case 'bibtex':
         return this.toBibTeX(metadata);
@@ -504,10 +1684,18 @@ const CitationFormatter = {
         return this.toMLA(metadata);
       case 'chicago':
         return this.toChicago(metadata);
+      case 'chicago-author-date':
+        return this.toChicagoAuthorDate(metadata);
       case 'harvard':
         return this.toHarvard(metadata);
       case 'ieee':
         return this.toIEEE(metadata);
+      case 'ris':
+        return this.toRIS(metadata);
+      case 'csljson':
+        return this.toCSLJSON(metadata);
+      case 'endnote':
+        return this.toEndNoteXML(metadata);
       default:
         return this.toBibTeX(metadata);
     }
@@ -0,0 +1,546 @@
+/**
+ * JustCite - Citation Importer
+ * Parses BibTeX and RIS files into the metadata shape used by the popup
+ * (title, author, date, journal, volume, issue, pages, doi, isbn, sourceType, ...)
+ */
+
+const CitationImporter = {
+  /**
+   * Parse a file's contents, detecting the format from the filename or content
+   * @returns {Object[]} list of metadata objects
+   */
+  parse(text, filename = '') {
+    const format = this.detectFormat(text, filename);
+    if (format === 'ris') return this.parseRIS(text);
+    if (format === 'bibtex') return this.parseBibTeX(text);
+    return [];
+  },
+
+  detectFormat(text, filename = '') {
+    const lowerName = filename.toLowerCase();
+    if (lowerName.endsWith('.ris')) return 'ris';
+    if (lowerName.endsWith('.bib') || lowerName.endsWith('.bibtex')) return 'bibtex';
+    if (/^\s*TY\s{2}-/m.test(text)) return 'ris';
+    if (/@\w+\s*[{(]/.test(text)) return 'bibtex';
+    return null;
+  },
+
+  /**
+   * Create an empty metadata object
+   */
+  createMetadata() {
+    return {
+      title: '',
+      creators: [],
+      author: '',
+      date: '',
+      year: '',
+      url: '',
+      publisher: '',
+      doi: '',
+      isbn: '',
+      editor: '',
+      translator: '',
+      seriesEditor: '',
+      contributor: '',
+      edition: '',
+      place: '',
+      journal: '',
+      volume: '',
+      issue: '',
+      pages: '',
+      thesisType: '',
+      number: '',
+      version: '',
+      sourceType: 'webpage'
+    };
+  },
+
+  /**
+   * Normalize identifiers and derived fields shared by all formats
+   */
+  finalizeMetadata(metadata) {
+    if (metadata.doi) {
+      metadata.doi = metadata.doi.trim().replace(/^https?:\/\/(dx\.)?doi\.org\//i, '').replace(/^doi:\s*/i, '');
+    }
+    if (metadata.pages) {
+      metadata.pages = metadata.pages.replace(/\s*[-–—]+\s*/g, '-');
+    }
+    if (!metadata.year && metadata.date) {
+      const yearMatch = metadata.date.match(/(\d{4})/);
+      if (yearMatch) metadata.year = yearMatch[1];
+    }
+    if (!metadata.date && metadata.year) {
+      metadata.date = metadata.year;
+    }
+    return metadata;
+  },
+
+  // ---------------------------------------------------------------------------
+  // BibTeX
+  // ---------------------------------------------------------------------------
+
+  MONTHS: {
+    jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+    jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+  },
+
+  /**
+   * Parse a BibTeX string into metadata objects
+   */
+  parseBibTeX(text) {
+    const results = [];
+    const strings = { ...this.MONTHS };
+    let pos = 0;
+
+    while (pos < text.length) {
+      const at = text.indexOf('@', pos);
+      if (at === -1) break;
+
+      const typeMatch = /^@\s*([a-zA-Z]+)\s*([{(])/.exec(text.slice(at));
+      if (!typeMatch) {
+        pos = at + 1;
+        continue;
+      }
+
+      const type = typeMatch[1].toLowerCase();
+      const open = typeMatch[2];
+      const close = open === '{' ? '}' : ')';
+      const bodyStart = at + typeMatch[0].length;
+      const bodyEnd = this.findClosing(text, bodyStart, open, close);
+      if (bodyEnd === -1) break;
+
+      const body = text.slice(bodyStart, bodyEnd);
+      pos = bodyEnd + 1;
+
+      if (type === 'comment' || type === 'preamble') continue;
+
+      if (type === 'string') {
+        const fields = this.parseBibTeXFields(body, strings);
+        Object.assign(strings, fields);
+        continue;
+      }
+
+      const comma = body.indexOf(',');
+      if (comma === -1) continue;
+
+      const key = body.slice(0, comma).trim();
+      const fields = this.parseBibTeXFields(body.slice(comma + 1), strings);
+      results.push(this.bibTeXToMetadata(type, key, fields));
+    }
+
+    return results;
+  },
+
+  /**
+   * Find the index of the delimiter closing the one just before `start`
+   */
+  findClosing(text, start, open, close) {
+    let depth = 1;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '\\') {
+        i++;
+      } else if (ch === open || (open === '(' && ch === '{')) {
+        depth++;
+      } else if (ch === close || (open === '(' && ch === '}')) {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  },
+
+  /**
+   * Parse "name = value, name = value" pairs. Values may be {braced},
+   * "quoted", numbers or @string macros joined with #.
+   */
+  parseBibTeXFields(body, strings = {}) {
+    const fields = {};
+    let i = 0;
+
+    while (i < body.length) {
+      const nameMatch = /^[\s,]*([\w\-:.]+)\s*=\s*/.exec(body.slice(i));
+      if (!nameMatch) break;
+
+      const name = nameMatch[1].toLowerCase();
+      i += nameMatch[0].length;
+
+      const parts = [];
+      while (i < body.length) {
+        const ch = body[i];
+        if (ch === '{') {
+          const end = this.findClosing(body, i + 1, '{', '}');
+          if (end === -1) return fields;
+          parts.push(body.slice(i + 1, end));
+          i = end + 1;
+        } else if (ch === '"') {
+          let end = i + 1;
+          let depth = 0;
+          while (end < body.length && !(body[end] === '"' && depth === 0)) {
+            if (body[end] === '{') depth++;
+            else if (body[end] === '}') depth--;
+            else if (body[end] === '\\') end++;
+            end++;
+          }
+          parts.push(body.slice(i + 1, end));
+          i = end + 1;
+        } else {
+          const bare = /^[^\s,#}]+/.exec(body.slice(i));
+          if (!bare) break;
+          const word = bare[0];
+          parts.push(Object.prototype.hasOwnProperty.call(strings, word.toLowerCase())
+            ? strings[word.toLowerCase()]
+            : word);
+          i += word.length;
+        }
+
+        const rest = /^\s*#\s*/.exec(body.slice(i));
+        if (!rest) break;
+        i += rest[0].length;
+      }
+
+      fields[name] = ['author', 'editor', 'translator'].includes(name)
+        ? this.cleanBibTeXNames(parts.join(''))
+        : this.cleanLaTeX(parts.join(''));
+    }
+
+    return fields;
+  },
+
+  LATEX_ACCENTS: {
+    '`': { a: 'à', e: 'è', i: 'ì', o: 'ò', u: 'ù', A: 'À', E: 'È', I: 'Ì', O: 'Ò', U: 'Ù' },
+    "'": { a: 'á', e: 'é', i: 'í', o: 'ó', u: 'ú', y: 'ý', c: 'ć', n: 'ń', s: 'ś', z: 'ź', A: 'Á', E: 'É', I: 'Í', O: 'Ó', U: 'Ú', C: 'Ć', S: 'Ś', Z: 'Ź' },
+    '^': { a: 'â', e: 'ê', i: 'î', o: 'ô', u: 'û', A: 'Â', E: 'Ê', I: 'Î', O: 'Ô', U: 'Û' },
+    '"': { a: 'ä', e: 'ë', i: 'ï', o: 'ö', u: 'ü', y: 'ÿ', A: 'Ä', E: 'Ë', I: 'Ï', O: 'Ö', U: 'Ü' },
+    '~': { a: 'ã', n: 'ñ', o: 'õ', A: 'Ã', N: 'Ñ', O: 'Õ' },
+    'c': { c: 'ç', s: 'ş', C: 'Ç', S: 'Ş' },
+    'v': { c: 'č', s: 'š', z: 'ž', r: 'ř', e: 'ě', C: 'Č', S: 'Š', Z: 'Ž', R: 'Ř' },
+    'u': { a: 'ă', g: 'ğ', A: 'Ă', G: 'Ğ' },
+    'H': { o: 'ő', u: 'ű', O: 'Ő', U: 'Ű' }
+  },
+
+  LATEX_SYMBOLS: {
+    ss: 'ß', o: 'ø', O: 'Ø', aa: 'å', AA: 'Å', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', l: 'ł', L: 'Ł', i: 'ı'
+  },
+
+  /**
+   * Convert common LaTeX markup to plain text
+   */
+  cleanLaTeX(value) {
+    let text = value;
+
+    // Accents: \'{e}, {\'e}, \'e, \c{c}
+    // Letter-named accents need a brace or space so \url or \cite are left alone
+    text = text.replace(/\{?\\(?:([`'^"~])|([cvuH])(?=[\s{]))\s*\{?\\?([a-zA-Z])\}?\}?/g, (match, symbol, named, letter) => {
+      const table = this.LATEX_ACCENTS[symbol || named];
+      return (table && table[letter]) || letter;
+    });
+
+    // Symbols: \ss, {\o}, \aa
+    text = text.replace(/\{?\\(ss|aa|AA|ae|AE|oe|OE|o|O|l|L|i)\b\s*\}?/g, (match, symbol) => this.LATEX_SYMBOLS[symbol]);
+
+    text = text
+      .replace(/\\&/g, '&')
+      .replace(/\\%/g, '%')
+      .replace(/\\\$/g, '$')
+      .replace(/\\_/g, '_')
+      .replace(/\\#/g, '#')
+      .replace(/---/g, '—')
+      .replace(/--/g, '–')
+      .replace(/~/g, ' ')
+      .replace(/\\(textit|textbf|emph|textsc|texttt|mathrm|url)\s*\{([^{}]*)\}/g, '$2')
+      .replace(/[{}]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return text;
+  },
+
+  /**
+   * Clean a BibTeX name list ("Last, First and {Organization}") name by name,
+   * keeping the outer braces that mark an organization
+   */
+  cleanBibTeXNames(value) {
+    return Creators.splitNames(value)
+      .map(name => {
+        const braced = name.match(/^\{(.*)\}$/);
+        return braced && !/[{}]/.test(braced[1].replace(/\{[^{}]*\}/g, ''))
+          ? `{${this.cleanLaTeX(braced[1])}}`
+          : this.cleanLaTeX(name);
+      })
+      .join('; ');
+  },
+
+  bibTeXToMetadata(type, key, fields) {
+    const metadata = this.createMetadata();
+
+    metadata.title = fields.title || '';
+    Creators.applyToMetadata(metadata, [
+      ...Creators.parse(fields.author, 'author'),
+      ...Creators.parse(fields.editor, 'editor'),
+      ...Creators.parse(fields.translator, 'translator')
+    ]);
+    metadata.edition = fields.edition || '';
+    metadata.place = fields.address || fields.location || '';
+    metadata.url = fields.url || fields.howpublished?.match(/https?:\/\/\S+/)?.[0] || '';
+    metadata.publisher = fields.publisher || fields.organization || fields.institution || fields.school || '';
+    metadata.doi = fields.doi || '';
+    metadata.isbn = fields.isbn || '';
+    metadata.volume = fields.volume || '';
+    metadata.issue = fields.number || fields.issue || '';
+    metadata.pages = fields.pages || '';
+    metadata.citationKey = key;
+
+    // Dates: biblatex "date" wins, otherwise year + month
+    if (fields.date) {
+      metadata.date = fields.date;
+    } else if (fields.year) {
+      const month = fields.month ? (this.MONTHS[fields.month.slice(0, 3).toLowerCase()] || fields.month.padStart(2, '0')) : '';
+      metadata.date = /^\d{2}$/.test(month) ? `${fields.year}-${month}` : fields.year;
+    }
+
+    switch (type) {
+      case 'article':
+        metadata.journal = fields.journal || fields.journaltitle || '';
+        metadata.sourceType = 'journal';
+        break;
+      case 'inproceedings':
+      case 'conference':
+        metadata.journal = fields.booktitle || '';
+        metadata.sourceType = 'conference';
+        break;
+      case 'incollection':
+      case 'inbook':
+        metadata.journal = fields.booktitle || '';
+        metadata.sourceType = 'chapter';
+        break;
+      case 'phdthesis':
+      case 'mastersthesis':
+      case 'thesis':
+        metadata.sourceType = 'thesis';
+        metadata.thesisType = fields.type || (type === 'mastersthesis' ? "Master's thesis" : '');
+        break;
+      case 'techreport':
+      case 'report':
+        metadata.sourceType = 'report';
+        metadata.number = fields.number || '';
+        metadata.issue = '';
+        break;
+      case 'dataset':
+      case 'software':
+        metadata.sourceType = type;
+        metadata.version = fields.version || '';
+        break;
+      case 'book':
+      case 'mvbook':
+      case 'booklet':
+        metadata.sourceType = 'book';
+        break;
+      case 'online':
+      case 'electronic':
+      case 'www':
+        metadata.sourceType = 'webpage';
+        break;
+      default:
+        metadata.journal = fields.journal || fields.journaltitle || '';
+        if (fields.eprint && !metadata.journal) {
+          // arXiv and other repository preprints: eprint = {2101.00001}, archiveprefix = {arXiv}
+          metadata.sourceType = 'preprint';
+          metadata.publisher = metadata.publisher || fields.archiveprefix || fields.eprinttype || '';
+          metadata.number = metadata.publisher ? `${metadata.publisher}:${fields.eprint}` : fields.eprint;
+        } else {
+          metadata.sourceType = metadata.journal || metadata.doi ? 'article' : (metadata.isbn ? 'book' : (metadata.url ? 'webpage' : 'article'));
+        }
+    }
+
+    return this.finalizeMetadata(metadata);
+  },
+
+  // ---------------------------------------------------------------------------
+  // RIS
+  // ---------------------------------------------------------------------------
+
+  RIS_TYPES: {
+    JOUR: 'journal',
+    JFULL: 'journal',
+    EJOUR: 'journal',
+    MGZN: 'article',
+    NEWS: 'news',
+    BOOK: 'book',
+    EBOOK: 'book',
+    CHAP: 'chapter',
+    ECHAP: 'chapter',
+    CONF: 'conference',
+    CPAPER: 'conference',
+    THES: 'thesis',
+    RPRT: 'report',
+    DATA: 'dataset',
+    COMP: 'software',
+    ELEC: 'webpage',
+    WEB: 'webpage',
+    BLOG: 'webpage'
+  },
+
+  /**
+   * Parse an RIS string into metadata objects
+   */
+  parseRIS(text) {
+    const results = [];
+    let record = null;
+
+    text.split(/\r?\n/).forEach(line => {
+      const match = /^([A-Z][A-Z0-9])\s{2}-\s?(.*)$/.exec(line);
+      if (!match) return;
+
+      const tag = match[1];
+      const value = match[2].trim();
+
+      if (tag === 'TY') {
+        record = { TY: [value] };
+        return;
+      }
+      if (!record) return;
+
+      if (tag === 'ER') {
+        results.push(this.risToMetadata(record));
+        record = null;
+        return;
+      }
+
+      if (!record[tag]) record[tag] = [];
+      if (value) record[tag].push(value);
+    });
+
+    // Tolerate a missing final ER line
+    if (record) results.push(this.risToMetadata(record));
+
+    return results;
+  },
+
+  risToMetadata(record) {
+    const metadata = this.createMetadata();
+    const first = (...tags) => {
+      for (const tag of tags) {
+        if (record[tag] && record[tag].length > 0) return record[tag][0];
+      }
+      return '';
+    };
+
+    const type = first('TY').toUpperCase();
+    metadata.sourceType = this.RIS_TYPES[type] || 'article';
+
+    metadata.title = first('TI', 'T1', 'CT', 'BT');
+    // Names are usually "Family, Given", but exports such as IEEE Xplore's write
+    // "J. Smith"; only clearly corporate names ("World Health Organization") are organizations
+    const toCreator = (name, role) => name.includes(',') || !Creators.isOrganizationName(name)
+      ? Creators.parseName(name, role)
+      : Creators.create({ literal: name, role });
+    Creators.applyToMetadata(metadata, [
+      ...[...(record.AU || []), ...(record.A1 || [])].map(name => toCreator(name, 'author')),
+      ...[...(record.ED || []), ...(record.A2 || [])].map(name => toCreator(name, 'editor')),
+      ...(record.A3 || []).map(name => toCreator(name, 'seriesEditor')),
+      ...(record.A4 || []).map(name => toCreator(name, 'translator'))
+    ]);
+    metadata.edition = first('ET');
+    if (metadata.sourceType === 'software' || metadata.sourceType === 'dataset') {
+      // Zotero writes the version of software and datasets to ET
+      metadata.version = metadata.edition;
+      metadata.edition = '';
+    }
+    if (metadata.sourceType === 'thesis') metadata.thesisType = first('M3');
+    if (metadata.sourceType === 'report') metadata.number = first('M1', 'IS');
+    metadata.place = first('CY', 'PP');
+    metadata.journal = first('T2', 'JO', 'JF', 'JA', 'J2');
+    metadata.volume = first('VL');
+    metadata.issue = first('IS', 'CP');
+    metadata.publisher = first('PB');
+    metadata.url = first('UR', 'L2');
+    metadata.doi = first('DO') || (first('M3').match(/10\.\d{4,}\/\S+/) || [''])[0];
+
+    // SN holds both ISBNs and ISSNs; only keep the ISBN
+    const serial = first('SN');
+    if (serial && serial.replace(/[^0-9X]/gi, '').length >= 10) metadata.isbn = serial;
+
+    const start = first('SP');
+    const end = first('EP');
+    metadata.pages = start && end && start !== end ? `${start}-${end}` : start;
+
+    // RIS dates are YYYY/MM/DD/other
+    const rawDate = first('DA', 'PY', 'Y1', 'Y2');
+    if (rawDate) {
+      const [year, month, day] = rawDate.split('/');
+      metadata.date = [year, month, day].filter(part => part && /^\d+$/.test(part)).join('-');
+      metadata.year = (year.match(/\d{4}/) || [''])[0];
+    }
+
+    // T2 is the book title of a chapter and the proceedings of a paper, but the series of a book
+    if (['book', 'thesis', 'report', 'dataset', 'software'].includes(metadata.sourceType)) {
+      metadata.journal = '';
+    }
+    if (metadata.sourceType === 'report') metadata.issue = '';
+
+    return this.finalizeMetadata(metadata);
+  },
+
+  // ---------------------------------------------------------------------------
+  // Zotero
+  // ---------------------------------------------------------------------------
+
+  ZOTERO_TYPES: {
+    journalArticle: 'journal',
+    magazineArticle: 'article',
+    newspaperArticle: 'news',
+    book: 'book',
+    bookSection: 'chapter',
+    conferencePaper: 'conference',
+    thesis: 'thesis',
+    report: 'report',
+    preprint: 'preprint',
+    dataset: 'dataset',
+    computerProgram: 'software',
+    webpage: 'webpage',
+    blogPost: 'webpage',
+    forumPost: 'webpage'
+  },
+
+  /**
+   * Convert an item from the Zotero Web API (the reverse of ZoteroClient.toItem)
+   * @param {Object} item - { key, data, meta }
+   */
+  fromZoteroItem({ data, meta = {} }) {
+    const metadata = this.createMetadata();
+    const type = data.itemType;
+    metadata.sourceType = this.ZOTERO_TYPES[type] || (data.url && !data.DOI ? 'webpage' : 'article');
+
+    metadata.title = data.title || '';
+    Creators.applyToMetadata(metadata, (data.creators || []).map(creator => Creators.fromZoteroCreator(creator)));
+    // parsedDate is the date in ISO form ("March 5, 2021" -> "2021-03-05")
+    metadata.date = meta.parsedDate || data.date || '';
+    metadata.url = data.url || '';
+    // Items without a DOI field keep it in Extra ("DOI: 10.1000/xyz")
+    metadata.doi = data.DOI || ((data.extra || '').match(/^DOI:\s*(\S+)/im) || [])[1] || '';
+    metadata.isbn = data.ISBN || '';
+    metadata.publisher = data.publisher || data.university || data.institution || data.repository ||
+      data.company || data.websiteTitle || data.blogTitle || data.forumTitle || '';
+    metadata.journal = data.publicationTitle || data.proceedingsTitle || data.bookTitle || '';
+    if (metadata.sourceType === 'conference' && !metadata.journal && !metadata.publisher) {
+      metadata.publisher = data.conferenceName || '';
+    }
+    metadata.edition = data.edition || '';
+    metadata.place = data.place || '';
+    metadata.volume = data.volume || '';
+    metadata.issue = data.issue || '';
+    metadata.pages = data.pages || '';
+    metadata.thesisType = data.thesisType || '';
+    metadata.number = data.reportNumber || data.archiveID || data.number || '';
+    metadata.version = data.versionNumber || '';
+
+    return this.finalizeMetadata(metadata);
+  }
+};
+
+// Export for use in popup.js and library.js
+if (typeof window !== 'undefined') {
+  window.CitationImporter = CitationImporter;
+}
@@ -0,0 +1,159 @@
+/**
+ * JustCite - Citation Library
+ * Persists every generated citation in chrome.storage.local so it can be
+ * browsed, edited and re-used after the popup closes
+ */
+
+const CitationLibrary = {
+  STORAGE_KEY: 'citationLibrary',
+
+  // Keep the per-entry history short; the entry itself holds the latest state
+  MAX_HISTORY: 50,
+
+  /**
+   * Get all stored entries, most recently updated first
+   */
+  async getAll() {
+    const stored = await chrome.storage.local.get([this.STORAGE_KEY]);
+    const entries = Array.isArray(stored[this.STORAGE_KEY]) ? stored[this.STORAGE_KEY] : [];
+    return entries.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  },
+
+  /**
+   * Get a single entry by id
+   */
+  async get(id) {
+    const entries = await this.getAll();
+    return entries.find(entry => entry.id === id) || null;
+  },
+
+  async saveAll(entries) {
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: entries });
+  },
+
+  generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  },
+
+  /**
+   * Build an identity string used to recognise the same source twice.
+   * DOI wins, then ISBN, then URL + title.
+   */
+  getIdentity(metadata = {}) {
+    if (metadata.doi) return 'doi:' + metadata.doi.toLowerCase().trim();
+    if (metadata.isbn) return 'isbn:' + metadata.isbn.replace(/[^0-9xX]/g, '').toLowerCase();
+    const url = (metadata.url || '').trim().replace(/[#?].*$/, '').replace(/\/$/, '');
+    const title = (metadata.title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    return 'url:' + url + '|' + title;
+  },
+
+  /**
+   * Record a generated citation. If the same source is already in the
+   * library, the entry is updated and the action appended to its history.
+   * @param {Object} record - { metadata, style, citation, action, entryId }
+   * @returns {Object} the stored entry
+   */
+  async record({ metadata, style, citation, action = 'copy', entryId = null }) {
+    const entries = await this.getAll();
+    const entry = this.upsert(entries, { metadata, style, citation, action, entryId });
+    await this.saveAll(entries);
+    return entry;
+  },
+
+  /**
+   * Record several citations at once (e.g. from an imported file)
+   * @returns {Object[]} the stored entries
+   */
+  async recordMany(records) {
+    const entries = await this.getAll();
+    const stored = records.map(record => this.upsert(entries, record));
+    await this.saveAll(entries);
+    return stored;
+  },
+
+  /**
+   * Insert or update a record in an in-memory entry list
+   */
+  upsert(entries, { metadata, style, citation, action = 'copy', entryId = null }) {
+    const now = Date.now();
+    const identity = this.getIdentity(metadata);
+
+    let entry = entryId ? entries.find(e => e.id === entryId) : null;
+    if (!entry) {
+      entry = entries.find(e => this.getIdentity(e.metadata) === identity);
+    }
+
+    if (entry) {
+      entry.metadata = { ...metadata };
+      entry.style = style;
+      entry.citation = citation;
+      entry.url = metadata.url || entry.url || '';
+      entry.updatedAt = now;
+    } else {
+      entry = {
+        id: this.generateId(),
+        metadata: { ...metadata },
+        style: style,
+        citation: citation,
+        url: metadata.url || '',
+        createdAt: now,
+        updatedAt: now,
+        history: []
+      };
+      entries.push(entry);
+    }
+
+    entry.history = [{ action, style, timestamp: now }, ...(entry.history || [])].slice(0, this.MAX_HISTORY);
+
+    return entry;
+  },
+
+  /**
+   * Update the metadata (and optionally style/citation) of an entry
+   */
+  async update(id, changes) {
+    const entries = await this.getAll();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return null;
+
+    if (changes.metadata) entry.metadata = { ...entry.metadata, ...changes.metadata };
+    if (changes.style) entry.style = changes.style;
+    if (changes.citation) entry.citation = changes.citation;
+    entry.url = entry.metadata.url || entry.url || '';
+    entry.updatedAt = Date.now();
+
+    await this.saveAll(entries);
+    return entry;
+  },
+
+  /**
+   * Delete one or more entries
+   */
+  async remove(ids) {
+    const idList = Array.isArray(ids) ? ids : [ids];
+    const entries = await this.getAll();
+    await this.saveAll(entries.filter(entry => !idList.includes(entry.id)));
+  },
+
+  /**
+   * Filter entries by a free-text query over title, authors, venue and identifiers
+   */
+  search(entries, query) {
+    const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return entries;
+
+    return entries.filter(entry => {
+      const m = entry.metadata || {};
+      const haystack = [m.title, m.author, m.journal, m.publisher, m.year, m.doi, m.isbn, m.url]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    });
+  }
+};
+
+// Export for use in popup.js and library.js
+if (typeof window !== 'undefined') {
+  window.CitationLibrary = CitationLibrary;
+}
@@ -0,0 +1,339 @@
+/**
+ * JustCite - Creators
+ * Structured author/editor model shared by the formatters, exporters and the popup.
+ * A creator is { given, family, particle, suffix, literal, role }:
+ * - particle: lowercase name prefix kept with the family name ("van der", "de la")
+ * - suffix: generational suffix ("Jr.", "III")
+ * - literal: full name of an organization, never split or initialized
+ *
+ * Creators are stored on metadata.creators. Each role also has a text field on the
+ * metadata (metadata.author, metadata.editor, metadata.translator, ...) holding a
+ * lossless text form ("van der Berg, Jan; King, Jr., Martin Luther; {World Health
+ * Organization}") for display, search and older library entries.
+ */
+
+const Creators = {
+  PARTICLES: ['van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'das', 'dos', 'du',
+    'la', 'le', 'les', 'ter', 'ten', 'zu', 'bin', 'ibn', 'al', 'el', 'st.'],
+
+  SUFFIX_PATTERN: /^(jr|sr|jnr|snr)\.?$|^(ii|iii|iv|v|vi)$/i,
+
+  // Words that only appear in organizations' names ("World Health Organization", "Acme Inc.")
+  ORGANIZATION_PATTERN: new RegExp('\\b(?:' + [
+    'academy', 'agency', 'association', 'authority', 'board', 'bureau', 'cent(?:er|re)s?',
+    'college', 'collaboration', 'commission', 'committee', 'company', 'consortium', 'corp\\.?',
+    'corporation', 'council', 'department', 'federation', 'foundation', 'government', 'group', 'inc\\.?',
+    'institut(?:e|ion)?', 'laboratory', 'league', 'ltd\\.?', 'ministry', 'network', 'office', 'organi[sz]ation',
+    'project', 'society', 'team', 'trust', 'union', 'university', 'working party'
+  ].join('|') + ')(?=\\W|$)', 'i'),
+
+  /**
+   * Contributor roles. The key is the role name, the metadata text field and the
+   * Zotero creator type; csl is the CSL-JSON name variable.
+   */
+  ROLES: {
+    author: { label: 'Author', csl: 'author' },
+    editor: { label: 'Editor', csl: 'editor' },
+    translator: { label: 'Translator', csl: 'translator' },
+    seriesEditor: { label: 'Series editor', csl: 'collection-editor' },
+    contributor: { label: 'Contributor', csl: 'contributor' }
+  },
+
+  /**
+   * Create a creator with all fields present
+   */
+  create(fields = {}) {
+    return {
+      given: (fields.given || '').trim(),
+      family: (fields.family || '').trim(),
+      particle: (fields.particle || '').trim(),
+      suffix: (fields.suffix || '').trim(),
+      literal: (fields.literal || '').trim(),
+      role: fields.role || 'author'
+    };
+  },
+
+  isSuffix(value) {
+    return this.SUFFIX_PATTERN.test((value || '').trim());
+  },
+
+  isParticle(word) {
+    return this.PARTICLES.includes(word) || (/^[a-z]/.test(word) && word.length <= 4 && !/\./.test(word));
+  },
+
+  /**
+   * Whether a name written without a comma is clearly an organization's: it has
+   * a word like "Institute" or "Inc.", an ampersand, or is an acronym ("NASA")
+   */
+  isOrganizationName(name) {
+    const value = (name || '').trim();
+    return this.ORGANIZATION_PATTERN.test(value) || /\s&\s/.test(value) || /^[A-Z]{2,}$/.test(value);
+  },
+
+  /**
+   * Split leading lowercase particles off a family name ("van der Berg" -> "van der", "Berg")
+   */
+  splitParticle(family) {
+    const words = (family || '').trim().split(/\s+/).filter(Boolean);
+    let i = 0;
+    while (i < words.length - 1 && this.isParticle(words[i])) i++;
+    return { particle: words.slice(0, i).join(' '), family: words.slice(i).join(' ') };
+  },
+
+  /**
+   * Split a name list on semicolons or " and " (outside braces)
+   */
+  splitNames(text) {
+    const names = [];
+    let depth = 0;
+    let current = '';
+    const value = text || '';
+
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      if (char === '{') depth++;
+      if (char === '}') depth = Math.max(0, depth - 1);
+
+      if (depth === 0 && char === ';') {
+        names.push(current);
+        current = '';
+      } else if (depth === 0 && /\s/.test(char) && /^\s+and\s+/i.test(value.slice(i))) {
+        names.push(current);
+        current = '';
+        i += value.slice(i).match(/^\s+and\s+/i)[0].length - 1;
+      } else {
+        current += char;
+      }
+    }
+    names.push(current);
+
+    return names.map(name => name.trim()).filter(name => name && name.toLowerCase() !== 'others');
+  },
+
+  /**
+   * Parse a single name in any of the supported forms:
+   * "{Organization}", "Family, Given", "Family, Suffix, Given", "Given Family Suffix"
+   */
+  parseName(name, role = 'author') {
+    const value = name.trim();
+
+    const braced = value.match(/^\{(.+)\}$/);
+    if (braced) return this.create({ literal: braced[1], role });
+
+    const parts = value.split(',').map(part => part.trim()).filter(Boolean);
+
+    if (parts.length >= 3) {
+      const { particle, family } = this.splitParticle(parts[0]);
+      // "Family, Given, Suffix" (RIS, Chicago)
+      if (this.isSuffix(parts[parts.length - 1]) && !this.isSuffix(parts[1])) {
+        return this.create({ family, particle, given: parts.slice(1, -1).join(' '), suffix: parts[parts.length - 1], role });
+      }
+      // BibTeX "von Last, Jr, First"
+      return this.create({ family, particle, suffix: parts[1], given: parts.slice(2).join(' '), role });
+    }
+
+    if (parts.length === 2 && !this.isSuffix(parts[1])) {
+      const { particle, family } = this.splitParticle(parts[0]);
+      return this.create({ family, particle, given: parts[1], role });
+    }
+
+    // Natural order, optionally with a trailing suffix ("Martin Luther King, Jr.")
+    let suffix = parts.length === 2 ? parts[1] : '';
+    const words = parts[0] ? parts[0].split(/\s+/) : [];
+    if (!suffix && words.length > 2 && this.isSuffix(words[words.length - 1])) {
+      suffix = words.pop();
+    }
+
+    if (words.length === 1) {
+      return this.create({ family: words[0], suffix, role });
+    }
+
+    // The family name starts at the first particle after the given names, or is the last word.
+    // Capitalized particles ("Van Gogh") start the family name but stay part of it.
+    let start = words.length - 1;
+    for (let i = 1; i < words.length - 1; i++) {
+      if (this.isParticle(words[i]) || this.PARTICLES.includes(words[i].toLowerCase())) {
+        start = i;
+        break;
+      }
+    }
+    const { particle, family } = this.splitParticle(words.slice(start).join(' '));
+    return this.create({ given: words.slice(0, start).join(' '), family, particle, suffix, role });
+  },
+
+  /**
+   * Parse a name list into creators
+   * @param {string} text - names separated by ";" or " and "
+   * @param {string} [role]
+   */
+  parse(text, role = 'author') {
+    return this.splitNames(text).map(name => this.parseName(name, role));
+  },
+
+  /**
+   * Get the creators of a citation, parsing the text fields of older entries
+   * @param {Object} metadata
+   * @param {string} [role] - only return creators with this role
+   */
+  fromMetadata(metadata, role = null) {
+    const creators = Array.isArray(metadata.creators) && metadata.creators.length > 0
+      ? metadata.creators.map(creator => this.create(creator))
+      : this.fromText(metadata);
+    return role ? creators.filter(creator => creator.role === role) : creators;
+  },
+
+  /**
+   * Parse the text field of every role (metadata.author, metadata.editor, ...)
+   */
+  fromText(metadata) {
+    return Object.keys(this.ROLES).flatMap(role => this.parse(metadata[role], role));
+  },
+
+  /**
+   * Store creators on metadata, keeping the text fields in sync
+   */
+  applyToMetadata(metadata, creators) {
+    metadata.creators = creators.map(creator => this.create(creator));
+    Object.keys(this.ROLES).forEach(role => {
+      metadata[role] = this.toText(creators.filter(creator => creator.role === role));
+    });
+    return metadata;
+  },
+
+  /**
+   * Serialize creators to the lossless "Family, Given; ..." text form
+   */
+  toText(creators) {
+    return creators.map(creator => this.toSortName(creator, { bibtex: true })).join('; ');
+  },
+
+  isEmpty(creator) {
+    return !creator.literal && !creator.family && !creator.given;
+  },
+
+  /**
+   * Family name with its particle ("van der Berg"), or the organization name
+   */
+  getFamily(creator) {
+    if (creator.literal) return creator.literal;
+    return [creator.particle, creator.family].filter(Boolean).join(' ');
+  },
+
+  /**
+   * Initials of the given names. Hyphenated names keep the hyphen ("Jean-Paul" -> "J.-P.")
+   * @param {string} given
+   * @param {Object} [options] - { period: '.', separator: ' ' }
+   */
+  getInitials(given, { period = '.', separator = ' ' } = {}) {
+    return (given || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => word
+        .split('-')
+        .filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + period)
+        .join('-'))
+      .join(separator);
+  },
+
+  /**
+   * "Given particle Family Suffix" ("Martin Luther King Jr.", "Jan van der Berg")
+   * @param {Object} [options] - { initials, suffixComma }
+   */
+  toDisplayName(creator, { initials = false, suffixComma = false } = {}) {
+    if (creator.literal) return creator.literal;
+    const given = initials ? this.getInitials(creator.given) : creator.given;
+    const name = [given, this.getFamily(creator)].filter(Boolean).join(' ');
+    if (!creator.suffix) return name;
+    return suffixComma ? `${name}, ${creator.suffix}` : `${name} ${creator.suffix}`;
+  },
+
+  /**
+   * "particle Family, Given, Suffix" ("van der Berg, Jan", "King, Martin Luther, Jr.")
+   * @param {Object} [options] - { initials, bibtex } where bibtex puts the suffix
+   *   before the given names ("King, Jr., Martin Luther") and braces organizations
+   */
+  toSortName(creator, { initials = false, bibtex = false } = {}) {
+    if (creator.literal) return bibtex ? `{${creator.literal}}` : creator.literal;
+    const family = this.getFamily(creator);
+    const given = initials ? this.getInitials(creator.given) : creator.given;
+    if (!given) return [family, creator.suffix].filter(Boolean).join(bibtex ? ', ' : ' ');
+    if (bibtex) return [family, creator.suffix, given].filter(Boolean).join(', ');
+    return [family, given, creator.suffix].filter(Boolean).join(', ');
+  },
+
+  /**
+   * Convert to a CSL-JSON name
+   */
+  toCSLName(creator) {
+    if (creator.literal) return { literal: creator.literal };
+    const name = { family: creator.family };
+    if (creator.given) name.given = creator.given;
+    if (creator.particle) name['non-dropping-particle'] = creator.particle;
+    if (creator.suffix) name.suffix = creator.suffix;
+    return name;
+  },
+
+  // Creator types Zotero accepts for each item type; other roles are saved as contributors
+  ZOTERO_CREATOR_TYPES: {
+    book: ['author', 'editor', 'translator', 'seriesEditor', 'contributor'],
+    journalArticle: ['author', 'editor', 'translator', 'contributor'],
+    conferencePaper: ['author', 'editor', 'translator', 'seriesEditor', 'contributor'],
+    newspaperArticle: ['author', 'translator', 'contributor'],
+    webpage: ['author', 'translator', 'contributor'],
+    bookSection: ['author', 'editor', 'translator', 'seriesEditor', 'contributor'],
+    thesis: ['author', 'contributor'],
+    report: ['author', 'translator', 'seriesEditor', 'contributor'],
+    dataset: ['author', 'contributor'],
+    computerProgram: ['programmer', 'contributor'],
+    preprint: ['author', 'editor', 'translator', 'contributor']
+  },
+
+  /**
+   * Convert to a Zotero API creator (role names are Zotero creator types)
+   * @param {Object} creator
+   * @param {string} [itemType] - Zotero item type the creator is saved on
+   */
+  toZoteroCreator(creator, itemType = null) {
+    const allowed = this.ZOTERO_CREATOR_TYPES[itemType];
+    let creatorType = creator.role;
+    if (allowed && !allowed.includes(creatorType)) {
+      // The primary creator of some item types has its own name (a program's author is its programmer)
+      creatorType = creatorType === 'author' ? allowed[0] : 'contributor';
+    }
+    if (creator.literal) return { creatorType, name: creator.literal };
+    return {
+      creatorType,
+      firstName: [creator.given, creator.suffix].filter(Boolean).join(', '),
+      lastName: this.getFamily(creator)
+    };
+  },
+
+  // Zotero creator types that aren't the item's main creator
+  ZOTERO_SECONDARY_TYPES: ['bookAuthor', 'reviewedAuthor', 'castMember', 'guest', 'producer', 'scriptwriter',
+    'commenter', 'wordsBy', 'counsel', 'cosponsor', 'attorneyAgent', 'recipient', 'interviewer'],
+
+  /**
+   * Convert a Zotero API creator back (the reverse of toZoteroCreator). Main
+   * creator types of other item types (programmer, director...) become authors.
+   */
+  fromZoteroCreator({ creatorType, name, firstName, lastName }) {
+    let role = creatorType;
+    if (!this.ROLES[role]) role = this.ZOTERO_SECONDARY_TYPES.includes(role) ? 'contributor' : 'author';
+    if (name) return this.create({ literal: name, role });
+    // A single-field name saved as a last name only is an organization
+    if (!firstName) return this.create({ literal: lastName, role });
+
+    // toZoteroCreator appends the suffix to the first name ("Martin Luther, Jr.")
+    const [, given, suffix] = firstName.match(/^(.*?),\s*(\S+)$/) || [null, firstName, ''];
+    const { particle, family } = this.splitParticle(lastName);
+    return this.isSuffix(suffix)
+      ? this.create({ given, family, particle, suffix, role })
+      : this.create({ given: firstName, family, particle, role });
+  }
+};
+
+// Export for use in popup.js, library.js and citationFormatter.js
+if (typeof window !== 'undefined') {
+  window.Creators = Creators;
+}
@@ -0,0 +1,924 @@
+/**
+ * JustCite - CSL Engine
+ * A small Citation Style Language 1.0 processor. Renders CSL-JSON items
+ * (see CitationFormatter.toCSLItem) through a .csl XML style as plain text.
+ *
+ * Supported: macros, text, number, label, date/date-part, names/name/et-al/
+ * substitute, group, choose/if/else-if/else, bibliography sorting, citation
+ * layouts and en-US locale terms and date formats (overridable by the style's
+ * <locale>).
+ * Not supported: disambiguation, cite grouping/collapsing, rich text output.
+ */
+
+const CSLEngine = {
+  // en-US locale terms: [singular, plural] per form. Month names are in MONTHS and MONTHS_SHORT.
+  TERMS: {
+    // General
+    'accessed': { long: ['accessed', 'accessed'] },
+    'ad': { long: ['AD', 'AD'] },
+    'advance online publication': { long: ['advance online publication', 'advance online publication'] },
+    'album': { long: ['album', 'album'] },
+    'and': { long: ['and', 'and'], symbol: ['&', '&'] },
+    'and others': { long: ['and others', 'and others'] },
+    'anonymous': { long: ['anonymous', 'anonymous'], short: ['anon.', 'anon.'] },
+    'at': { long: ['at', 'at'] },
+    'audio recording': { long: ['audio recording', 'audio recording'] },
+    'available at': { long: ['available at', 'available at'] },
+    'bc': { long: ['BC', 'BC'] },
+    'bce': { long: ['BCE', 'BCE'] },
+    'by': { long: ['by', 'by'] },
+    'ce': { long: ['CE', 'CE'] },
+    'circa': { long: ['circa', 'circa'], short: ['c.', 'c.'] },
+    'cited': { long: ['cited', 'cited'] },
+    'et-al': { long: ['et al.', 'et al.'] },
+    'film': { long: ['film', 'film'] },
+    'forthcoming': { long: ['forthcoming', 'forthcoming'] },
+    'from': { long: ['from', 'from'] },
+    'henceforth': { long: ['henceforth', 'henceforth'] },
+    'ibid': { long: ['ibid.', 'ibid.'] },
+    'in': { long: ['in', 'in'] },
+    'in press': { long: ['in press', 'in press'] },
+    'internet': { long: ['internet', 'internet'] },
+    'interview': { long: ['interview', 'interview'] },
+    'letter': { long: ['letter', 'letter'] },
+    'loc-cit': { long: ['loc. cit.', 'loc. cit.'] },
+    'no date': { long: ['no date', 'no date'], short: ['n.d.', 'n.d.'] },
+    'no-place': { long: ['no place', 'no place'], short: ['n.p.', 'n.p.'] },
+    'no-publisher': { long: ['no publisher', 'no publisher'], short: ['n.p.', 'n.p.'] },
+    'on': { long: ['on', 'on'] },
+    'online': { long: ['online', 'online'] },
+    'op-cit': { long: ['op. cit.', 'op. cit.'] },
+    'original-work-published': { long: ['original work published', 'original work published'] },
+    'personal-communication': { long: ['personal communication', 'personal communication'] },
+    'podcast': { long: ['podcast', 'podcast'] },
+    'podcast-episode': { long: ['podcast episode', 'podcast episode'] },
+    'preprint': { long: ['preprint', 'preprint'] },
+    'presented at': { long: ['presented at', 'presented at'] },
+    'radio-broadcast': { long: ['radio broadcast', 'radio broadcast'] },
+    'radio-series': { long: ['radio series', 'radio series'] },
+    'radio-series-episode': { long: ['radio series episode', 'radio series episode'] },
+    'reference': { long: ['reference', 'references'], short: ['ref.', 'refs.'] },
+    'retrieved': { long: ['retrieved', 'retrieved'] },
+    'review-of': { long: ['review of', 'review of'] },
+    'scale': { long: ['scale', 'scale'] },
+    'special-issue': { long: ['special issue', 'special issue'] },
+    'special-section': { long: ['special section', 'special section'] },
+    'television-broadcast': { long: ['television broadcast', 'television broadcast'] },
+    'television-series': { long: ['television series', 'television series'] },
+    'television-series-episode': { long: ['television series episode', 'television series episode'] },
+    'video': { long: ['video', 'video'] },
+    'working-paper': { long: ['working paper', 'working paper'] },
+
+    // Roles
+    'chair': { long: ['chair', 'chairs'], verb: ['chaired by', 'chaired by'] },
+    'collection-editor': { long: ['series editor', 'series editors'], short: ['ser. ed.', 'ser. eds.'], verb: ['edited by', 'edited by'], 'verb-short': ['ed. by', 'ed. by'] },
+    'compiler': { long: ['compiler', 'compilers'], short: ['comp.', 'comps.'], verb: ['compiled by', 'compiled by'], 'verb-short': ['comp. by', 'comp. by'] },
+    'composer': { long: ['composer', 'composers'], short: ['comp.', 'comps.'], verb: ['composed by', 'composed by'], 'verb-short': ['comp. by', 'comp. by'] },
+    'container-author': { long: ['author', 'authors'], verb: ['by', 'by'] },
+    'contributor': { long: ['contributor', 'contributors'], short: ['contrib.', 'contribs.'], verb: ['with', 'with'] },
+    'curator': { long: ['curator', 'curators'], short: ['cur.', 'curs.'], verb: ['curated by', 'curated by'], 'verb-short': ['cur. by', 'cur. by'] },
+    'director': { long: ['director', 'directors'], short: ['dir.', 'dirs.'], verb: ['directed by', 'directed by'], 'verb-short': ['dir. by', 'dir. by'] },
+    'editor': { long: ['editor', 'editors'], short: ['ed.', 'eds.'], verb: ['edited by', 'edited by'], 'verb-short': ['ed.', 'ed.'] },
+    'editorial-director': { long: ['editor', 'editors'], short: ['ed.', 'eds.'], verb: ['edited by', 'edited by'], 'verb-short': ['ed. by', 'ed. by'] },
+    'editortranslator': { long: ['editor & translator', 'editors & translators'], short: ['ed. & tran.', 'eds. & trans.'], verb: ['edited & translated by', 'edited & translated by'], 'verb-short': ['ed. & trans. by', 'ed. & trans. by'] },
+    'executive-producer': { long: ['executive producer', 'executive producers'], short: ['exec. prod.', 'exec. prods.'], verb: ['executive produced by', 'executive produced by'], 'verb-short': ['exec. prod. by', 'exec. prod. by'] },
+    'guest': { long: ['guest', 'guests'], verb: ['with guest', 'with guests'] },
+    'host': { long: ['host', 'hosts'], verb: ['hosted by', 'hosted by'] },
+    'illustrator': { long: ['illustrator', 'illustrators'], short: ['ill.', 'ills.'], verb: ['illustrated by', 'illustrated by'], 'verb-short': ['illus. by', 'illus. by'] },
+    'interviewer': { long: ['interviewer', 'interviewers'], verb: ['interview by', 'interview by'] },
+    'narrator': { long: ['narrator', 'narrators'], short: ['narr.', 'narrs.'], verb: ['narrated by', 'narrated by'], 'verb-short': ['narr. by', 'narr. by'] },
+    'organizer': { long: ['organizer', 'organizers'], short: ['org.', 'orgs.'], verb: ['organized by', 'organized by'], 'verb-short': ['org. by', 'org. by'] },
+    'original-author': { verb: ['by', 'by'] },
+    'performer': { long: ['performer', 'performers'], short: ['perf.', 'perfs.'], verb: ['performed by', 'performed by'], 'verb-short': ['perf. by', 'perf. by'] },
+    'producer': { long: ['producer', 'producers'], short: ['prod.', 'prods.'], verb: ['produced by', 'produced by'], 'verb-short': ['prod. by', 'prod. by'] },
+    'recipient': { verb: ['to', 'to'] },
+    'reviewed-author': { verb: ['by', 'by'] },
+    'script-writer': { long: ['writer', 'writers'], short: ['wr.', 'wrs.'], verb: ['written by', 'written by'], 'verb-short': ['wr. by', 'wr. by'] },
+    'series-creator': { long: ['series creator', 'series creators'], short: ['cre.', 'cres.'], verb: ['created by', 'created by'], 'verb-short': ['cre. by', 'cre. by'] },
+    'translator': { long: ['translator', 'translators'], short: ['tran.', 'trans.'], verb: ['translated by', 'translated by'], 'verb-short': ['trans.', 'trans.'] },
+
+    // Locators and numbers
+    'act': { long: ['act', 'acts'], short: ['act', 'acts'] },
+    'appendix': { long: ['appendix', 'appendices'], short: ['app.', 'apps.'] },
+    'article-locator': { long: ['article', 'articles'], short: ['art.', 'arts.'] },
+    'book': { long: ['book', 'books'], short: ['bk.', 'bks.'] },
+    'canon': { long: ['canon', 'canons'], short: ['c.', 'cc.'] },
+    'chapter': { long: ['chapter', 'chapters'], short: ['chap.', 'chaps.'] },
+    'column': { long: ['column', 'columns'], short: ['col.', 'cols.'] },
+    'edition': { long: ['edition', 'editions'], short: ['ed.', 'eds.'] },
+    'elocation': { long: ['location', 'locations'], short: ['loc.', 'locs.'] },
+    'equation': { long: ['equation', 'equations'], short: ['eq.', 'eqs.'] },
+    'figure': { long: ['figure', 'figures'], short: ['fig.', 'figs.'] },
+    'folio': { long: ['folio', 'folios'], short: ['fol.', 'fols.'] },
+    'issue': { long: ['issue', 'issues'], short: ['no.', 'nos.'] },
+    'line': { long: ['line', 'lines'], short: ['l.', 'll.'] },
+    'note': { long: ['note', 'notes'], short: ['n.', 'nn.'] },
+    'number': { long: ['number', 'numbers'], short: ['no.', 'nos.'] },
+    'number-of-pages': { long: ['page', 'pages'], short: ['p.', 'pp.'] },
+    'number-of-volumes': { long: ['volume', 'volumes'], short: ['vol.', 'vols.'] },
+    'opus': { long: ['opus', 'opera'], short: ['op.', 'opp.'] },
+    'page': { long: ['page', 'pages'], short: ['p.', 'pp.'] },
+    'paragraph': { long: ['paragraph', 'paragraphs'], short: ['para.', 'paras.'], symbol: ['¶', '¶¶'] },
+    'part': { long: ['part', 'parts'], short: ['pt.', 'pts.'] },
+    'rule': { long: ['rule', 'rules'], short: ['r.', 'rr.'] },
+    'scene': { long: ['scene', 'scenes'], short: ['sc.', 'scs.'] },
+    'section': { long: ['section', 'sections'], short: ['sec.', 'secs.'], symbol: ['§', '§§'] },
+    'sub-verbo': { long: ['sub verbo', 'sub verbis'], short: ['s.v.', 's.vv.'] },
+    'supplement': { long: ['supplement', 'supplements'], short: ['supp.', 'supps.'] },
+    'table': { long: ['table', 'tables'], short: ['tbl.', 'tbls.'] },
+    'timestamp': { long: ['timestamp', 'timestamps'], short: ['', ''] },
+    'title-locator': { long: ['title', 'titles'], short: ['tit.', 'tits.'] },
+    'verse': { long: ['verse', 'verses'], short: ['v.', 'vv.'] },
+    'version': { long: ['version', 'versions'], short: ['v.', 'v.'] },
+    'volume': { long: ['volume', 'volumes'], short: ['vol.', 'vols.'] },
+
+    // Seasons
+    'season-01': { long: ['Spring', 'Spring'] },
+    'season-02': { long: ['Summer', 'Summer'] },
+    'season-03': { long: ['Autumn', 'Autumn'] },
+    'season-04': { long: ['Winter', 'Winter'] },
+
+    // Punctuation
+    'open-quote': { long: ['“', '“'] },
+    'close-quote': { long: ['”', '”'] },
+    'open-inner-quote': { long: ['‘', '‘'] },
+    'close-inner-quote': { long: ['’', '’'] },
+    'page-range-delimiter': { long: ['–', '–'] },
+    'colon': { long: [':', ':'] },
+    'comma': { long: [',', ','] },
+    'semicolon': { long: [';', ';'] },
+
+    // Ordinals
+    'ordinal': { long: ['th', 'th'] },
+    'ordinal-01': { long: ['st', 'st'] },
+    'ordinal-02': { long: ['nd', 'nd'] },
+    'ordinal-03': { long: ['rd', 'rd'] },
+    'ordinal-11': { long: ['th', 'th'] },
+    'ordinal-12': { long: ['th', 'th'] },
+    'ordinal-13': { long: ['th', 'th'] },
+    'long-ordinal-01': { long: ['first', 'first'] },
+    'long-ordinal-02': { long: ['second', 'second'] },
+    'long-ordinal-03': { long: ['third', 'third'] },
+    'long-ordinal-04': { long: ['fourth', 'fourth'] },
+    'long-ordinal-05': { long: ['fifth', 'fifth'] },
+    'long-ordinal-06': { long: ['sixth', 'sixth'] },
+    'long-ordinal-07': { long: ['seventh', 'seventh'] },
+    'long-ordinal-08': { long: ['eighth', 'eighth'] },
+    'long-ordinal-09': { long: ['ninth', 'ninth'] },
+    'long-ordinal-10': { long: ['tenth', 'tenth'] }
+  },
+
+  MONTHS: ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'],
+
+  MONTHS_SHORT: ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'Jun.', 'Jul.',
+    'Aug.', 'Sep.', 'Oct.', 'Nov.', 'Dec.'],
+
+  // en-US localized date formats ("March 4, 2021", "03/04/2021"), overridable by
+  // the style's <locale><date form="...">. Parts are date-part attributes.
+  DATES: {
+    text: {
+      delimiter: '',
+      parts: [{ name: 'month', suffix: ' ' }, { name: 'day', suffix: ', ' }, { name: 'year' }]
+    },
+    numeric: {
+      delimiter: '',
+      parts: [
+        { name: 'month', form: 'numeric-leading-zeros', suffix: '/' },
+        { name: 'day', form: 'numeric-leading-zeros', suffix: '/' },
+        { name: 'year' }
+      ]
+    }
+  },
+
+  // Name attributes that are inherited from <style>, <citation> and <bibliography>
+  INHERITABLE_NAME_ATTRIBUTES: [
+    'and', 'delimiter-precedes-et-al', 'delimiter-precedes-last', 'et-al-min',
+    'et-al-use-first', 'et-al-use-last', 'initialize', 'initialize-with',
+    'name-as-sort-order', 'sort-separator', 'name-form', 'name-delimiter', 'names-delimiter'
+  ],
+
+  NAME_VARIABLES: [
+    'author', 'editor', 'translator', 'collection-editor', 'container-author',
+    'composer', 'director', 'illustrator', 'interviewer', 'recipient', 'reviewed-author'
+  ],
+
+  DATE_VARIABLES: ['issued', 'accessed', 'event-date', 'original-date', 'submitted'],
+
+  /**
+   * Parse a CSL style from its XML source
+   * @returns {Object} parsed style
+   */
+  parse(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('The style is not valid XML');
+    }
+
+    const root = doc.documentElement;
+    if (!root || root.localName !== 'style') {
+      throw new Error('Not a CSL style (missing <style> root element)');
+    }
+
+    const info = this.child(root, 'info');
+    const infoText = (name) => {
+      const el = info ? this.child(info, name) : null;
+      return el ? el.textContent.trim() : '';
+    };
+    const parentLink = info
+      ? this.children(info, 'link').find(link => link.getAttribute('rel') === 'independent-parent')
+      : null;
+
+    const macros = {};
+    this.children(root, 'macro').forEach(macro => {
+      macros[macro.getAttribute('name')] = macro;
+    });
+
+    // Merge the style's locale terms and date formats over the built-in en-US ones
+    const terms = JSON.parse(JSON.stringify(this.TERMS));
+    const dates = { ...this.DATES };
+    this.children(root, 'locale').forEach(locale => {
+      const lang = locale.getAttribute('xml:lang');
+      if (lang && !lang.startsWith('en')) return;
+      this.children(locale, 'date').forEach(date => {
+        dates[date.getAttribute('form')] = {
+          delimiter: date.getAttribute('delimiter') || '',
+          parts: this.children(date, 'date-part').map(part => this.getAttributes(part))
+        };
+      });
+      const termsEl = this.child(locale, 'terms');
+      if (!termsEl) return;
+      this.children(termsEl, 'term').forEach(term => {
+        const name = term.getAttribute('name');
+        const form = term.getAttribute('form') || 'long';
+        const single = this.child(term, 'single');
+        const multiple = this.child(term, 'multiple');
+        const singular = single ? single.textContent : term.textContent;
+        const plural = multiple ? multiple.textContent : singular;
+        terms[name] = { ...(terms[name] || {}), [form]: [singular, plural] };
+      });
+    });
+
+    return {
+      id: infoText('id'),
+      title: infoText('title') || 'Untitled style',
+      parentId: parentLink ? parentLink.getAttribute('href') : null,
+      styleClass: root.getAttribute('class') || 'in-text',
+      root,
+      macros,
+      terms,
+      dates,
+      citation: this.child(root, 'citation'),
+      bibliography: this.child(root, 'bibliography')
+    };
+  },
+
+  /**
+   * Read title and id from a style without fully validating it
+   */
+  getStyleInfo(xml) {
+    const style = this.parse(xml);
+    return { id: style.id, title: style.title, parentId: style.parentId, hasBibliography: !!style.bibliography };
+  },
+
+  // ---------------------------------------------------------------------------
+  // Public rendering API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Render a single bibliography entry
+   * @param {Object} style - parsed style
+   * @param {Object} item - CSL-JSON item
+   * @param {Object} [options] - { citationNumber }
+   */
+  renderBibliography(style, item, options = {}) {
+    const section = style.bibliography;
+    if (!section) {
+      throw new Error(`"${style.title}" has no bibliography layout`);
+    }
+    const layout = this.child(section, 'layout');
+    const ctx = this.createContext(style, section, item, options);
+    const entry = this.renderChildren(layout, ctx, '');
+    return this.cleanup(this.affix(layout, entry));
+  },
+
+  /**
+   * Render an in-text citation for one or more items
+   * @param {Object} style - parsed style
+   * @param {Object[]} items - CSL-JSON items
+   * @param {Object} [options] - { citationNumbers, locator, label, position }
+   */
+  renderCitation(style, items, options = {}) {
+    const section = style.citation;
+    if (!section) {
+      throw new Error(`"${style.title}" has no citation layout`);
+    }
+    const layout = this.child(section, 'layout');
+    const parts = items.map((item, i) => {
+      const ctx = this.createContext(style, section, item, {
+        ...options,
+        citationNumber: options.citationNumbers ? options.citationNumbers[i] : i + 1
+      });
+      return this.renderChildren(layout, ctx, '');
+    }).filter(Boolean);
+
+    const delimiter = layout.getAttribute('delimiter') || '; ';
+    return this.cleanup(this.affix(layout, parts.join(delimiter)));
+  },
+
+  /**
+   * Sort items according to the style's bibliography <sort> keys
+   */
+  sortItems(style, items) {
+    const sortEl = style.bibliography ? this.child(style.bibliography, 'sort') : null;
+    if (!sortEl) return [...items];
+
+    const keys = this.children(sortEl, 'key');
+    const withKeys = items.map((item, index) => ({
+      item,
+      index,
+      values: keys.map(key => this.getSortValue(style, key, item))
+    }));
+
+    withKeys.sort((a, b) => {
+      for (let i = 0; i < keys.length; i++) {
+        const descending = keys[i].getAttribute('sort') === 'descending';
+        const av = a.values[i];
+        const bv = b.values[i];
+        // Empty values always sort last
+        if (!av && bv) return 1;
+        if (av && !bv) return -1;
+        const cmp = av.localeCompare(bv, 'en', { numeric: true, sensitivity: 'base' });
+        if (cmp !== 0) return descending ? -cmp : cmp;
+      }
+      return a.index - b.index;
+    });
+
+    return withKeys.map(entry => entry.item);
+  },
+
+  getSortValue(style, key, item) {
+    const variable = key.getAttribute('variable');
+    if (variable) {
+      if (this.NAME_VARIABLES.includes(variable)) {
+        return (item[variable] || []).map(name => [name.family || name.literal || '', name.given || ''].join(' ')).join(' ');
+      }
+      if (this.DATE_VARIABLES.includes(variable)) {
+        const parts = item[variable]?.['date-parts']?.[0] || [];
+        return parts.map((part, i) => String(part).padStart(i === 0 ? 4 : 2, '0')).join('');
+      }
+      return String(item[variable] || '');
+    }
+
+    const macro = style.macros[key.getAttribute('macro')];
+    if (!macro) return '';
+    const ctx = this.createContext(style, style.bibliography, item, { sorting: true });
+    return this.renderChildren(macro, ctx, '').toLowerCase();
+  },
+
+  // ---------------------------------------------------------------------------
+  // Rendering internals
+  // ---------------------------------------------------------------------------
+
+  createContext(style, section, item, options = {}) {
+    const nameOptions = {};
+    [style.root, section].forEach(el => {
+      if (!el) return;
+      this.INHERITABLE_NAME_ATTRIBUTES.forEach(attr => {
+        if (el.hasAttribute(attr)) nameOptions[attr] = el.getAttribute(attr);
+      });
+    });
+
+    return {
+      style,
+      item: {
+        ...item,
+        'citation-number': options.citationNumber ? String(options.citationNumber) : item['citation-number'],
+        locator: options.locator || item.locator,
+        label: options.label || item.label
+      },
+      nameOptions,
+      position: options.position || 'first',
+      sorting: !!options.sorting,
+      calls: 0,
+      hits: 0
+    };
+  },
+
+  child(el, name) {
+    return this.children(el, name)[0] || null;
+  },
+
+  children(el, name) {
+    return [...el.children].filter(c => !name || c.localName === name);
+  },
+
+  getAttributes(el) {
+    return Object.fromEntries([...el.attributes].map(attr => [attr.name, attr.value]));
+  },
+
+  renderChildren(el, ctx, delimiter = '') {
+    return this.renderParts(el, ctx).join(delimiter);
+  },
+
+  /**
+   * Render an element's children, each non-empty output a separate part.
+   * <choose> adds the parts of its chosen branch, so that the enclosing group
+   * puts its delimiter between them.
+   */
+  renderParts(el, ctx) {
+    return this.children(el)
+      .flatMap(child => child.localName === 'choose' ? this.renderChoose(child, ctx) : this.renderNode(child, ctx))
+      .filter(Boolean);
+  },
+
+  renderNode(node, ctx) {
+    switch (node.localName) {
+      case 'text': return this.renderText(node, ctx);
+      case 'number': return this.renderNumber(node, ctx);
+      case 'label': return this.renderLabel(node, ctx);
+      case 'date': return this.renderDate(node, ctx);
+      case 'names': return this.renderNames(node, ctx);
+      case 'group': return this.renderGroup(node, ctx);
+      case 'choose': return this.renderChoose(node, ctx).join('');
+      default: return '';
+    }
+  },
+
+  getVariable(ctx, name, form = 'long') {
+    const item = ctx.item;
+    if (form === 'short') {
+      const short = item[`${name}-short`];
+      if (short) return String(short);
+    }
+    const value = item[name];
+    if (value === undefined || value === null) return '';
+    return String(value);
+  },
+
+  /**
+   * Look up a locale term
+   */
+  getTerm(ctx, name, form = 'long', plural = false) {
+    const term = ctx.style.terms[name];
+    if (!term) return '';
+    const fallbacks = {
+      'verb-short': ['verb-short', 'verb', 'long'],
+      symbol: ['symbol', 'short', 'long'],
+      short: ['short', 'long'],
+      verb: ['verb', 'long'],
+      long: ['long']
+    }[form] || ['long'];
+    for (const f of fallbacks) {
+      if (term[f]) return term[f][plural ? 1 : 0];
+    }
+    return '';
+  },
+
+  renderText(node, ctx) {
+    let value = '';
+
+    if (node.hasAttribute('variable')) {
+      const variable = node.getAttribute('variable');
+      ctx.calls++;
+      value = this.getVariable(ctx, variable, node.getAttribute('form') || 'long');
+      if (value) ctx.hits++;
+      if (variable === 'page' || variable === 'locator') value = this.formatPageRange(ctx, value);
+    } else if (node.hasAttribute('macro')) {
+      const macro = ctx.style.macros[node.getAttribute('macro')];
+      value = macro ? this.renderChildren(macro, ctx, '') : '';
+    } else if (node.hasAttribute('term')) {
+      value = this.getTerm(ctx, node.getAttribute('term'), node.getAttribute('form') || 'long',
+        node.getAttribute('plural') === 'true');
+    } else if (node.hasAttribute('value')) {
+      value = node.getAttribute('value');
+    }
+
+    return this.format(node, value, ctx);
+  },
+
+  formatPageRange(ctx, value) {
+    return value.replace(/(\d)\s*-+\s*(\d)/g, `$1${this.getTerm(ctx, 'page-range-delimiter')}$2`);
+  },
+
+  isNumeric(value) {
+    return /^\s*\d+[a-z]?\s*(?:[-–&,]\s*\d+[a-z]?\s*)*$/i.test(String(value || ''));
+  },
+
+  renderNumber(node, ctx) {
+    const variable = node.getAttribute('variable');
+    ctx.calls++;
+    let value = this.getVariable(ctx, variable);
+    if (!value) return '';
+    ctx.hits++;
+
+    const form = node.getAttribute('form') || 'numeric';
+    if (/^\d+$/.test(value)) {
+      // "first" to "tenth"; higher numbers fall back to "11th"
+      const longOrdinal = form === 'long-ordinal' && this.getTerm(ctx, `long-ordinal-${value.padStart(2, '0')}`);
+      if (longOrdinal) {
+        value = longOrdinal;
+      } else if (form === 'ordinal' || form === 'long-ordinal') {
+        value = value + this.getOrdinalSuffix(ctx, Number(value));
+      } else if (form === 'roman') {
+        value = this.toRoman(Number(value));
+      }
+    } else if (variable === 'page' || variable === 'locator') {
+      value = this.formatPageRange(ctx, value);
+    }
+
+    return this.format(node, value, ctx);
+  },
+
+  getOrdinalSuffix(ctx, n) {
+    const lastTwo = n % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return this.getTerm(ctx, `ordinal-${lastTwo}`) || this.getTerm(ctx, 'ordinal');
+    const last = n % 10;
+    if (last >= 1 && last <= 3) return this.getTerm(ctx, `ordinal-0${last}`);
+    return this.getTerm(ctx, 'ordinal');
+  },
+
+  toRoman(n) {
+    const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+      [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let result = '';
+    numerals.forEach(([value, numeral]) => {
+      while (n >= value) {
+        result += numeral;
+        n -= value;
+      }
+    });
+    return result;
+  },
+
+  renderLabel(node, ctx, count = null) {
+    let variable = node.getAttribute('variable');
+    if (variable === 'locator') variable = ctx.item.label || 'page';
+
+    const value = node.getAttribute('variable') === 'locator' ? ctx.item.locator : ctx.item[variable];
+    if (count === null && !value) return '';
+
+    const pluralAttr = node.getAttribute('plural') || 'contextual';
+    let plural = false;
+    if (pluralAttr === 'always') plural = true;
+    else if (pluralAttr === 'contextual') {
+      plural = count !== null ? count > 1 : /[-–&,]/.test(String(value)) && !/^\d+$/.test(String(value));
+    }
+
+    const term = this.getTerm(ctx, variable, node.getAttribute('form') || 'long', plural);
+    return this.format(node, term, ctx);
+  },
+
+  renderDate(node, ctx) {
+    const variable = node.getAttribute('variable');
+    ctx.calls++;
+    const date = ctx.item[variable];
+    const parts = date?.['date-parts']?.[0];
+    if (!parts || parts.length === 0 || !parts[0]) {
+      if (date && date.literal) {
+        ctx.hits++;
+        return this.format(node, date.literal, ctx);
+      }
+      return '';
+    }
+    ctx.hits++;
+
+    const [year, month, day] = parts;
+    const form = node.getAttribute('form');
+    const dateParts = {};
+
+    let partNodes = this.children(node, 'date-part');
+    let delimiter = node.getAttribute('delimiter') || '';
+
+    if (form) {
+      // Localized date: the locale's parts, limited to date-parts, with the
+      // attributes of the style's own <date-part>s (except affixes) on top
+      const localized = ctx.style.dates[form] || this.DATES[form] || this.DATES.text;
+      const wanted = (node.getAttribute('date-parts') || 'year-month-day').split('-');
+      const overrides = {};
+      partNodes.forEach(p => {
+        const { prefix, suffix, ...attributes } = this.getAttributes(p);
+        overrides[attributes.name] = attributes;
+      });
+      partNodes = localized.parts
+        .filter(part => wanted.includes(part.name))
+        .map(part => {
+          const attributes = { ...part, ...overrides[part.name] };
+          return { getAttribute: name => attributes[name] ?? null };
+        });
+      delimiter = localized.delimiter;
+    }
+
+    partNodes.forEach(partNode => {
+      const name = partNode.getAttribute('name');
+      const partForm = partNode.getAttribute('form');
+      let value = '';
+
+      if (name === 'year' && year) {
+        value = partForm === 'short' ? String(year).slice(-2) : String(year);
+      } else if (name === 'month' && month) {
+        if (partForm === 'numeric') value = String(month);
+        else if (partForm === 'numeric-leading-zeros') value = String(month).padStart(2, '0');
+        else if (partForm === 'short') value = this.MONTHS_SHORT[month - 1];
+        else value = this.MONTHS[month - 1];
+        if (partNode.getAttribute('strip-periods') === 'true') value = value.replace(/\./g, '');
+      } else if (name === 'day' && day) {
+        if (partForm === 'numeric-leading-zeros') value = String(day).padStart(2, '0');
+        else if (partForm === 'ordinal') value = day + this.getOrdinalSuffix(ctx, day);
+        else value = String(day);
+      }
+
+      if (value) dateParts[name] = this.format(partNode, value, ctx);
+    });
+
+    const rendered = partNodes
+      .map(p => dateParts[p.getAttribute('name')])
+      .filter(Boolean)
+      .join(delimiter);
+    return this.format(node, rendered, ctx);
+  },
+
+  renderNames(node, ctx) {
+    const variables = (node.getAttribute('variable') || '').split(/\s+/).filter(Boolean);
+    const nameEl = this.child(node, 'name');
+    const etAlEl = this.child(node, 'et-al');
+    const labelEl = this.child(node, 'label');
+    const delimiter = node.getAttribute('delimiter') || ctx.nameOptions['names-delimiter'] || ', ';
+
+    ctx.calls++;
+    const rendered = variables
+      .filter(variable => Array.isArray(ctx.item[variable]) && ctx.item[variable].length > 0)
+      .map(variable => {
+        const names = ctx.item[variable];
+        const nameText = this.formatNameList(names, nameEl, etAlEl, ctx);
+        if (!labelEl) return nameText;
+
+        const label = this.format(labelEl, this.getTerm(ctx, variable,
+          labelEl.getAttribute('form') || 'long', names.length > 1 && labelEl.getAttribute('plural') !== 'never'), ctx);
+        // A label placed before <name> is rendered as a prefix
+        const labelFirst = [...node.children].indexOf(labelEl) < [...node.children].indexOf(nameEl);
+        return labelFirst ? label + nameText : nameText + label;
+      });
+
+    if (rendered.length > 0) {
+      ctx.hits++;
+      return this.format(node, rendered.join(delimiter), ctx);
+    }
+
+    // Nothing to render: try the substitutes in order
+    const substitute = this.child(node, 'substitute');
+    if (substitute) {
+      for (const child of this.children(substitute)) {
+        let result;
+        if (child.localName === 'names' && !child.hasAttribute('variable')) {
+          continue;
+        } else if (child.localName === 'names' && this.children(child).length === 0) {
+          // Shorthand <names variable="editor"/> inherits the parent's name options
+          const clone = node.cloneNode(true);
+          clone.setAttribute('variable', child.getAttribute('variable'));
+          const inner = this.child(clone, 'substitute');
+          if (inner) clone.removeChild(inner);
+          result = this.renderNames(clone, ctx);
+        } else {
+          result = this.renderNode(child, ctx);
+        }
+        if (result) return this.format(node, result, ctx, true);
+      }
+    }
+    return '';
+  },
+
+  formatNameList(names, nameEl, etAlEl, ctx) {
+    const opt = (attr, fallback) => {
+      if (nameEl && nameEl.hasAttribute(attr)) return nameEl.getAttribute(attr);
+      if (attr === 'form' && ctx.nameOptions['name-form']) return ctx.nameOptions['name-form'];
+      if (attr === 'delimiter' && ctx.nameOptions['name-delimiter']) return ctx.nameOptions['name-delimiter'];
+      if (ctx.nameOptions[attr] !== undefined) return ctx.nameOptions[attr];
+      return fallback;
+    };
+
+    const form = opt('form', 'long');
+    const delimiter = opt('delimiter', ', ');
+    const etAlMin = parseInt(opt('et-al-min', '0'), 10);
+    const etAlUseFirst = parseInt(opt('et-al-use-first', '0'), 10);
+    const etAlUseLast = opt('et-al-use-last', 'false') === 'true';
+    const andAttr = opt('and', '');
+    const precedesLast = opt('delimiter-precedes-last', 'contextual');
+    const precedesEtAl = opt('delimiter-precedes-et-al', 'contextual');
+    const sortOrder = ctx.sorting ? 'all' : opt('name-as-sort-order', '');
+
+    if (form === 'count') {
+      const useEtAl = etAlMin > 0 && names.length >= etAlMin;
+      return String(useEtAl ? etAlUseFirst : names.length);
+    }
+
+    const truncate = etAlMin > 0 && etAlUseFirst > 0 && names.length >= etAlMin;
+    const shown = truncate ? names.slice(0, etAlUseFirst) : names;
+    const formatted = shown.map((name, i) => {
+      const inverted = sortOrder === 'all' || (sortOrder === 'first' && i === 0);
+      return this.formatName(name, nameEl, ctx, form, inverted, opt);
+    });
+
+    if (truncate) {
+      if (etAlUseLast && names.length > etAlUseFirst + 1) {
+        const last = this.formatName(names[names.length - 1], nameEl, ctx, form, sortOrder === 'all', opt);
+        return formatted.join(delimiter) + delimiter + '… ' + last;
+      }
+      const etAlTerm = etAlEl ? (etAlEl.getAttribute('term') || 'et-al') : 'et-al';
+      const etAl = etAlEl ? this.format(etAlEl, this.getTerm(ctx, etAlTerm), ctx) : this.getTerm(ctx, etAlTerm);
+      const useDelimiter = precedesEtAl === 'always' ||
+        (precedesEtAl === 'contextual' && formatted.length > 1) ||
+        (precedesEtAl === 'after-inverted-name' && sortOrder && (sortOrder === 'all' || formatted.length === 1));
+      return formatted.join(delimiter) + (useDelimiter ? delimiter : ' ') + etAl;
+    }
+
+    if (formatted.length === 1) return formatted[0];
+
+    const andTerm = andAttr === 'symbol' ? '&' : (andAttr === 'text' ? this.getTerm(ctx, 'and') : '');
+    const head = formatted.slice(0, -1).join(delimiter);
+    const last = formatted[formatted.length - 1];
+
+    if (!andTerm) return head + delimiter + last;
+
+    const lastInverted = sortOrder === 'all' || (sortOrder === 'first' && formatted.length === 2);
+    const useDelimiter = precedesLast === 'always' ||
+      (precedesLast === 'contextual' && formatted.length > 2) ||
+      (precedesLast === 'after-inverted-name' && lastInverted);
+
+    return head + (useDelimiter ? delimiter : ' ') + andTerm + ' ' + last;
+  },
+
+  formatName(name, nameEl, ctx, form, inverted, opt) {
+    if (name.literal) return name.literal;
+
+    const family = [name['non-dropping-particle'], name.family].filter(Boolean).join(' ');
+    let given = name.given || '';
+    const initializeWith = opt('initialize-with', null);
+    if (initializeWith !== null && opt('initialize', 'true') !== 'false') {
+      given = this.initialize(given, initializeWith);
+    }
+    const givenPart = [given, name['dropping-particle']].filter(Boolean).join(' ');
+
+    if (form === 'short') return family;
+    if (!givenPart) return family;
+
+    if (inverted) {
+      const sortSeparator = opt('sort-separator', ', ');
+      return family + sortSeparator + givenPart + (name.suffix ? sortSeparator + name.suffix : '');
+    }
+    return `${givenPart} ${family}` + (name.suffix ? ` ${name.suffix}` : '');
+  },
+
+  /**
+   * Turn given names into initials: "Jean-Paul Marie" -> "J.-P. M."
+   */
+  initialize(given, initializeWith) {
+    const trimmedWith = initializeWith.trimEnd();
+    return given
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => word
+        .split('-')
+        .map(part => part.charAt(0).toUpperCase() + trimmedWith)
+        .join('-'))
+      .join(initializeWith.endsWith(' ') ? ' ' : '')
+      .trim();
+  },
+
+  renderGroup(node, ctx) {
+    const callsBefore = ctx.calls;
+    const hitsBefore = ctx.hits;
+    const text = this.renderChildren(node, ctx, node.getAttribute('delimiter') || '');
+
+    // Suppress the group if it referenced variables and all were empty
+    if (ctx.calls > callsBefore && ctx.hits === hitsBefore) return '';
+    return this.format(node, text, ctx);
+  },
+
+  /**
+   * The rendered children of the first matching branch, as parts of the parent
+   */
+  renderChoose(node, ctx) {
+    for (const branch of this.children(node)) {
+      if (branch.localName === 'else' || this.testCondition(branch, ctx)) {
+        return this.renderParts(branch, ctx);
+      }
+    }
+    return [];
+  },
+
+  testCondition(el, ctx) {
+    const results = [];
+    const values = (attr) => (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean);
+
+    values('type').forEach(type => results.push(ctx.item.type === type));
+    values('variable').forEach(variable => {
+      const value = ctx.item[variable];
+      results.push(Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== '');
+    });
+    values('is-numeric').forEach(variable => results.push(this.isNumeric(ctx.item[variable])));
+    values('is-uncertain-date').forEach(variable => results.push(!!ctx.item[variable]?.circa));
+    values('locator').forEach(label => results.push(!!ctx.item.locator && (ctx.item.label || 'page') === label));
+    values('position').forEach(position => {
+      if (position === 'first') results.push(ctx.position === 'first');
+      else if (position === 'subsequent') results.push(ctx.position !== 'first');
+      else results.push(ctx.position === position);
+    });
+    if (el.hasAttribute('disambiguate')) results.push(false);
+
+    if (results.length === 0) return false;
+    const match = el.getAttribute('match') || 'all';
+    if (match === 'any') return results.some(Boolean);
+    if (match === 'none') return !results.some(Boolean);
+    return results.every(Boolean);
+  },
+
+  /**
+   * Apply text-case, quotes, strip-periods and affixes
+   */
+  format(node, value, ctx, skipAffixes = false) {
+    if (!value) return '';
+    let text = String(value);
+
+    if (node.getAttribute('strip-periods') === 'true') text = text.replace(/\./g, '');
+
+    switch (node.getAttribute('text-case')) {
+      case 'lowercase':
+        text = text.toLowerCase();
+        break;
+      case 'uppercase':
+        text = text.toUpperCase();
+        break;
+      case 'capitalize-first':
+        text = text.charAt(0).toUpperCase() + text.slice(1);
+        break;
+      case 'capitalize-all':
+        text = text.replace(/\b\w/g, c => c.toUpperCase());
+        break;
+      case 'sentence':
+        text = this.toSentenceCase(text);
+        break;
+      case 'title':
+        text = this.toTitleCase(text);
+        break;
+    }
+
+    if (node.getAttribute('quotes') === 'true') {
+      text = this.getTerm(ctx, 'open-quote') + text + this.getTerm(ctx, 'close-quote');
+    }
+
+    if (node.getAttribute('display') === 'block') text = text.trim();
+
+    return skipAffixes ? text : this.affix(node, text);
+  },
+
+  affix(node, text) {
+    if (!text) return '';
+    return (node.getAttribute('prefix') || '') + text + (node.getAttribute('suffix') || '');
+  },
+
+  toSentenceCase(text) {
+    // Leave words with inner capitals (acronyms, "iPhone") untouched
+    return text
+      .split(' ')
+      .map((word, i) => {
+        if (i > 0 && /[A-Z]/.test(word.slice(1))) return word;
+        if (i > 0 && /[:.?!]$/.test(text.split(' ')[i - 1] || '')) return word;
+        return i === 0 ? word : word.toLowerCase();
+      })
+      .join(' ');
+  },
+
+  toTitleCase(text) {
+    const small = ['a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'from', 'in', 'into', 'nor',
+      'of', 'on', 'or', 'so', 'the', 'to', 'up', 'with', 'yet'];
+    return text
+      .split(' ')
+      .map((word, i) => {
+        if (i > 0 && small.includes(word.toLowerCase())) return word.toLowerCase();
+        if (/[A-Z]/.test(word.slice(1))) return word;
+        return word.charAt(0).toUpperCase() + word.slice(1);
+      })
+      .join(' ');
+  },
+
+  /**
+   * Tidy up punctuation left over from empty variables and affixes
+   */
+  cleanup(text) {
+    return text
+      .replace(/\s+/g, ' ')
+      .replace(/\s+([.,;:])/g, '$1')
+      .replace(/([.,;:])\1+/g, '$1')
+      .replace(/([?!])\./g, '$1')
+      .replace(/,\./g, '.')
+      .replace(/\(\s*\)|\[\s*\]/g, '')
+      .replace(/\.(["”])\./g, '.$1')
+      .trim();
+  }
+};
+
+// Export for use in popup.js
+if (typeof window !== 'undefined') {
+  window.CSLEngine = CSLEngine;
+}
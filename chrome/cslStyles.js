@@ -0,0 +1,145 @@
+/**
+ * JustCite - CSL Styles
+ * Loads the CSL styles bundled in styles/ and the ones uploaded by the user,
+ * and registers them with CitationFormatter
+ */
+
+const CSLStyles = {
+  STORAGE_KEY: 'cslStyles',
+
+  // Styles shipped with the extension (file names are relative to the extension root)
+  BUNDLED: [
+    { id: 'nature', file: 'styles/nature.csl' },
+    { id: 'vancouver', file: 'styles/vancouver.csl' },
+    { id: 'acm-sig-proceedings', file: 'styles/acm-sig-proceedings.csl' },
+    { id: 'springer-lncs', file: 'styles/springer-lncs.csl' },
+    { id: 'american-chemical-society', file: 'styles/american-chemical-society.csl' }
+  ],
+
+  /**
+   * Get the user-installed styles as stored: [{ id, title, xml, installedAt }]
+   */
+  async getInstalled() {
+    const stored = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return Array.isArray(stored[this.STORAGE_KEY]) ? stored[this.STORAGE_KEY] : [];
+  },
+
+  /**
+   * Load and register every bundled and installed style.
+   * Styles that fail to load are skipped so one broken file can't hide the rest.
+   * @returns {Object[]} [{ id, title, bundled }] sorted by title
+   */
+  async loadAll() {
+    const styles = [];
+
+    for (const bundled of this.BUNDLED) {
+      try {
+        const response = await fetch(chrome.runtime.getURL(bundled.file));
+        const style = CitationFormatter.registerCSLStyle(bundled.id, await response.text());
+        styles.push({ id: bundled.id, title: style.title, bundled: true });
+      } catch (error) {
+        console.error(`Failed to load bundled CSL style ${bundled.file}:`, error);
+      }
+    }
+
+    for (const installed of await this.getInstalled()) {
+      try {
+        const style = CitationFormatter.registerCSLStyle(installed.id, installed.xml);
+        styles.push({ id: installed.id, title: style.title, bundled: false });
+      } catch (error) {
+        console.error(`Failed to load CSL style ${installed.id}:`, error);
+      }
+    }
+
+    return styles.sort((a, b) => a.title.localeCompare(b.title));
+  },
+
+  /**
+   * Get the source of a bundled or installed style, for contexts that render
+   * CSL elsewhere (the background worker has no DOMParser)
+   */
+  async getXml(id) {
+    const installed = (await this.getInstalled()).find(style => style.id === id);
+    if (installed) return installed.xml;
+
+    const bundled = this.BUNDLED.find(style => style.id === id);
+    if (!bundled) throw new Error(`CSL style "${id}" is not installed`);
+    const response = await fetch(chrome.runtime.getURL(bundled.file));
+    return response.text();
+  },
+
+  /**
+   * Derive a short id from the style's <id> URI (e.g. ".../styles/nature" -> "nature")
+   */
+  getIdFromInfo(info) {
+    const fromUri = (info.id || '').split('/').filter(Boolean).pop() || '';
+    const base = fromUri || info.title;
+    return base.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') || 'style';
+  },
+
+  /**
+   * Validate and install a .csl file uploaded by the user
+   * @param {string} xml - CSL style source
+   * @returns {Object} { id, title }
+   */
+  async install(xml) {
+    const info = CSLEngine.getStyleInfo(xml);
+    if (!info.hasBibliography) {
+      if (info.parentId) {
+        throw new Error(`"${info.title}" is a dependent style. Install its parent style instead: ${info.parentId}`);
+      }
+      throw new Error(`"${info.title}" has no bibliography layout`);
+    }
+
+    let id = this.getIdFromInfo(info);
+    // Never shadow a bundled style; an uploaded copy gets its own id
+    if (this.BUNDLED.some(bundled => bundled.id === id)) {
+      id = `${id}-custom`;
+    }
+
+    const installed = (await this.getInstalled()).filter(style => style.id !== id);
+    installed.push({ id, title: info.title, xml, installedAt: Date.now() });
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: installed });
+
+    CitationFormatter.registerCSLStyle(id, xml);
+    return { id, title: info.title };
+  },
+
+  /**
+   * Remove a user-installed style
+   */
+  async remove(id) {
+    const installed = await this.getInstalled();
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: installed.filter(style => style.id !== id) });
+    CitationFormatter.unregisterCSLStyle(id);
+  },
+
+  /**
+   * Fill a style <select> with a "CSL styles" option group
+   */
+  populateSelect(select, styles) {
+    let group = select.querySelector('optgroup[data-csl]');
+    if (!group) {
+      group = document.createElement('optgroup');
+      group.label = 'CSL styles';
+      group.dataset.csl = 'true';
+      // Keep the export formats last
+      const exportGroup = [...select.querySelectorAll('optgroup')].find(g => g.label === 'Export formats');
+      select.insertBefore(group, exportGroup || null);
+    }
+
+    group.innerHTML = '';
+    styles.forEach(style => {
+      const option = document.createElement('option');
+      option.value = CitationFormatter.CSL_PREFIX + style.id;
+      option.textContent = style.title;
+      group.appendChild(option);
+    });
+    group.hidden = styles.length === 0;
+  }
+};
+
+// Export for use in popup.js and library.js
+if (typeof window !== 'undefined') {
+  window.CSLStyles = CSLStyles;
+}
@@ -0,0 +1,405 @@
+/**
+ * JustCite - Identifier Resolvers
+ * Turns a DOI, arXiv ID, PubMed ID, ISBN or URL into citation metadata.
+ * Each resolver recognises its identifier in text and looks it up; they are
+ * tried in order, and more can be added with register().
+ */
+
+const IdentifierResolvers = {
+  // Service base URLs. Point these at local stub servers to run the resolvers offline.
+  endpoints: {
+    doi: 'https://doi.org',
+    arxiv: 'https://export.arxiv.org/api',
+    pubmed: 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils',
+    openLibrary: 'https://openlibrary.org'
+  },
+
+  /**
+   * Resolvers, in detection order. Each one has:
+   *   type         - identifier type, e.g. 'doi'
+   *   label        - name shown to the user
+   *   match(text)  - the normalized identifier if the text is (or contains) one, else null
+   *   find(text)   - optional; every identifier of this type written out in a longer
+   *                  text such as a reference list (prefixed or linked, not bare)
+   *   resolve(id)  - async, returns metadata in the popup's shape
+   */
+  resolvers: [
+    {
+      type: 'doi',
+      label: 'DOI',
+      match(text) {
+        // A link is only read as a DOI on doi.org; other pages are cited as pages
+        if (/^https?:\/\//i.test(text) && !/^https?:\/\/(dx\.)?doi\.org\//i.test(text)) return null;
+        const doi = MetadataService.extractDoiFromUrl(text);
+        return doi ? decodeURIComponent(doi) : null;
+      },
+      find(text) {
+        const pattern = new RegExp(MetadataService.DOI_PATTERN.source, 'g');
+        return [...text.matchAll(pattern)].map(match => MetadataService.trimDoi(match[0]));
+      },
+      resolve(doi) {
+        return IdentifierResolvers.fromDoi(doi);
+      }
+    },
+    {
+      type: 'arxiv',
+      label: 'arXiv ID',
+      match(text) {
+        const id = MetadataService.extractArxivId(text);
+        if (id) return id;
+        // Bare IDs: 2301.00001v2, hep-th/9901001
+        const bare = text.match(/^(\d{4}\.\d{4,5})(?:v\d+)?$/) || text.match(/^([a-z-]+(?:\.[A-Z]{2})?\/\d{7})(?:v\d+)?$/i);
+        return bare ? bare[1] : null;
+      },
+      find(text) {
+        const pattern = /(?:arXiv:\s*|arxiv\.org\/(?:abs|pdf)\/)(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})/gi;
+        return [...text.matchAll(pattern)].map(match => match[1]);
+      },
+      resolve(id) {
+        return IdentifierResolvers.fromArxiv(id);
+      }
+    },
+    {
+      type: 'pmid',
+      label: 'PubMed ID',
+      match(text) {
+        const match = text.match(/pubmed\.ncbi\.nlm\.nih\.gov\/(\d+)/i) ||
+          text.match(/\bPMID:?\s*(\d{1,8})\b/i) ||
+          text.match(/^(\d{1,8})$/);
+        return match ? match[1] : null;
+      },
+      find(text) {
+        const pattern = /(?:\bPMID:?\s*|pubmed\.ncbi\.nlm\.nih\.gov\/)(\d{1,8})\b/gi;
+        return [...text.matchAll(pattern)].map(match => match[1]);
+      },
+      resolve(pmid) {
+        return IdentifierResolvers.fromPubMed(pmid);
+      }
+    },
+    {
+      type: 'isbn',
+      label: 'ISBN',
+      match(text) {
+        if (/^https?:\/\//i.test(text)) return null;
+        return IdentifierResolvers.normalizeIsbn(text);
+      },
+      find(text) {
+        const pattern = /\bISBN(?:-1[03])?:?\s*((?:97[89][-\s]?)?(?:\d[-\s]?){9}[\dX])/gi;
+        return [...text.matchAll(pattern)]
+          .map(match => IdentifierResolvers.normalizeIsbn(match[1]))
+          .filter(Boolean);
+      },
+      resolve(isbn) {
+        return IdentifierResolvers.fromIsbn(isbn);
+      }
+    },
+    {
+      type: 'url',
+      label: 'URL',
+      match(text) {
+        return /^https?:\/\/\S+$/i.test(text) ? text : null;
+      },
+      resolve(url) {
+        return IdentifierResolvers.fromUrl(url);
+      }
+    }
+  ],
+
+  /**
+   * Add a resolver, by default ahead of the catch-all URL resolver
+   * @param {Object} resolver - { type, label, match, resolve }
+   * @param {string} [before] - type of the resolver to insert it before
+   */
+  register(resolver, before = 'url') {
+    const index = this.resolvers.findIndex(existing => existing.type === before);
+    this.resolvers.splice(index === -1 ? this.resolvers.length : index, 0, resolver);
+  },
+
+  get(type) {
+    return this.resolvers.find(resolver => resolver.type === type) || null;
+  },
+
+  /**
+   * Find the first identifier a resolver recognises in the text
+   * @returns {Object|null} { type, value }
+   */
+  detect(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return null;
+    for (const resolver of this.resolvers) {
+      const value = resolver.match(trimmed);
+      if (value) return { type: resolver.type, value };
+    }
+    return null;
+  },
+
+  /**
+   * Find every identifier in a pasted list, one per line, or in the raw
+   * references section of a paper. Only the first type found on a line is kept,
+   * so a reference giving both a DOI and an arXiv ID is looked up once. A line
+   * with nothing written out in it is read whole, for bare arXiv IDs, ISBNs and
+   * URLs. Bare numbers aren't read as PMIDs there, since lists are full of years
+   * and counts; a PMID needs its "PMID:" prefix or PubMed link.
+   * @returns {Object[]} [{ type, value }], each identifier once, in order
+   */
+  findAll(text) {
+    const found = new Map();
+
+    for (const line of (text || '').split(/\r?\n/)) {
+      let identifiers = [];
+      for (const resolver of this.resolvers) {
+        if (!resolver.find) continue;
+        identifiers = resolver.find(line).map(value => ({ type: resolver.type, value }));
+        if (identifiers.length > 0) break;
+      }
+
+      // A single word, less any list numbering ("[3]", "3.")
+      const word = line.trim().replace(/^(?:\[\d+\]|\d+[.)])\s+/, '');
+      if (identifiers.length === 0 && word && !/\s/.test(word)) {
+        const identifier = this.detect(word);
+        if (identifier && !(identifier.type === 'pmid' && /^\d+$/.test(word))) identifiers.push(identifier);
+      }
+
+      identifiers.forEach(identifier => {
+        const key = `${identifier.type}:${identifier.value.toLowerCase()}`;
+        if (!found.has(key)) found.set(key, identifier);
+      });
+    }
+    return [...found.values()];
+  },
+
+  /**
+   * Look up an identifier
+   * @param {string|Object} identifier - text to detect an identifier in, or { type, value }
+   */
+  async resolve(identifier) {
+    const found = typeof identifier === 'string' ? this.detect(identifier) : identifier;
+    const resolver = found && this.get(found.type);
+    if (!resolver) {
+      throw new Error('Not a DOI, arXiv ID, PubMed ID, ISBN or URL');
+    }
+    return resolver.resolve(found.value);
+  },
+
+  /**
+   * Parse a fetched HTML page with PageMetadata (pageMetadata.js).
+   * The background worker has no DOMParser and replaces this with its offscreen document.
+   */
+  async parseHtml(html, url) {
+    return PageMetadata.extract(new DOMParser().parseFromString(html, 'text/html'), url);
+  },
+
+  async fetchOk(url, options, what) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+      throw new Error(`${what} could not be looked up (${response.status})`);
+    }
+    return response;
+  },
+
+  async readJson(response, what) {
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new Error(`${what} could not be looked up (unreadable response)`);
+    }
+  },
+
+  /**
+   * Look up a DOI through content negotiation, which returns BibTeX for
+   * Crossref, DataCite and mEDRA DOIs alike
+   */
+  async fromDoi(doi) {
+    // SICI-style DOIs can contain '#', '?' or '%', so each path segment is escaped
+    const path = doi.split('/').map(encodeURIComponent).join('/');
+    const response = await this.fetchOk(`${this.endpoints.doi}/${path}`, {
+      headers: { Accept: 'application/x-bibtex' }
+    }, `DOI ${doi}`);
+
+    const [metadata] = CitationImporter.parseBibTeX(await response.text());
+    if (!metadata) {
+      throw new Error(`No citation data for DOI ${doi}`);
+    }
+    delete metadata.citationKey;
+    metadata.doi = doi;
+    metadata.url = metadata.url || `https://doi.org/${path}`;
+    return metadata;
+  },
+
+  /**
+   * Look up a paper in the arXiv API. The result is the preprint; the popup
+   * offers the published version separately.
+   */
+  async fromArxiv(id) {
+    const response = await this.fetchOk(`${this.endpoints.arxiv}/query?id_list=${encodeURIComponent(id)}`, {}, `arXiv ID ${id}`);
+    const entry = this.getXmlElements(await response.text(), 'entry')[0];
+    // Unknown IDs come back as an entry pointing at an error page
+    if (!entry || /<id>[^<]*\/api\/errors/.test(entry)) {
+      throw new Error(`No paper found for arXiv ID ${id}`);
+    }
+
+    const published = this.getXmlText(entry, 'published').slice(0, 10);
+    const authors = this.getXmlElements(entry, 'author').map(author => this.getXmlText(author, 'name'));
+    return {
+      title: this.getXmlText(entry, 'title'),
+      author: authors.join('; '),
+      date: published,
+      year: published.slice(0, 4),
+      publisher: 'arXiv',
+      url: `https://arxiv.org/abs/${id}`,
+      doi: `10.48550/arXiv.${id}`,
+      number: `arXiv:${id}`,
+      sourceType: 'preprint'
+    };
+  },
+
+  /**
+   * Look up an article in PubMed through the E-utilities summary service
+   */
+  async fromPubMed(pmid) {
+    const response = await this.fetchOk(
+      `${this.endpoints.pubmed}/esummary.fcgi?db=pubmed&retmode=json&id=${pmid}`, {}, `PMID ${pmid}`
+    );
+    const data = await this.readJson(response, `PMID ${pmid}`);
+    const record = data.result && data.result[pmid];
+    if (!record || record.error) {
+      throw new Error(`No article found for PMID ${pmid}`);
+    }
+
+    const date = this.parsePubMedDate(record.pubdate || record.epubdate || '');
+    const doi = (record.articleids || []).find(articleId => articleId.idtype === 'doi');
+    const authors = (record.authors || []).map(author =>
+      // Groups ("WHO Study Group") are kept whole; people are "Family Initials"
+      author.authtype === 'CollectiveName' ? `{${author.name}}` : this.parsePubMedName(author.name)
+    );
+
+    return {
+      title: (record.title || '').replace(/\.$/, ''),
+      author: authors.join('; '),
+      date,
+      year: date.slice(0, 4),
+      journal: record.fulljournalname || record.source || '',
+      volume: record.volume || '',
+      issue: record.issue || '',
+      pages: record.pages || '',
+      doi: doi ? doi.value : '',
+      url: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
+      sourceType: 'journal'
+    };
+  },
+
+  /**
+   * "Smith JH" -> "Smith, J. H."
+   */
+  parsePubMedName(name) {
+    const match = name.match(/^(.+?)\s+([A-Z]+)$/);
+    return match ? `${match[1]}, ${match[2].split('').join('. ')}.` : name;
+  },
+
+  /**
+   * PubMed dates read "2020 Jan 15", "2020 Jan-Feb" or "2020 Spring"; keep as
+   * much as is known ("2020-01-15", "2020-01", "2020")
+   */
+  parsePubMedDate(pubdate) {
+    const match = pubdate.match(/^(\d{4})(?:\s+([A-Za-z]{3})[A-Za-z]*(?:\s+(\d{1,2}))?)?/);
+    if (!match) return '';
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const month = match[2] ? months.indexOf(match[2].toLowerCase()) + 1 : 0;
+    if (!month) return match[1];
+    const parts = [match[1], String(month).padStart(2, '0')];
+    if (match[3]) parts.push(match[3].padStart(2, '0'));
+    return parts.join('-');
+  },
+
+  /**
+   * Normalize an ISBN-10 or ISBN-13 found in text, checking its check digit
+   * @returns {string|null} the ISBN without hyphens or spaces
+   */
+  normalizeIsbn(text) {
+    const match = (text || '').match(/(?:97[89][-\s]?)?(?:\d[-\s]?){9}[\dX]/i);
+    if (!match) return null;
+    const isbn = match[0].replace(/[-\s]/g, '').toUpperCase();
+
+    if (isbn.length === 10) {
+      const sum = [...isbn].reduce((total, char, i) => total + (char === 'X' ? 10 : Number(char)) * (10 - i), 0);
+      return sum % 11 === 0 ? isbn : null;
+    }
+    if (isbn.length === 13 && !isbn.includes('X')) {
+      const sum = [...isbn].reduce((total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+      return sum % 10 === 0 ? isbn : null;
+    }
+    return null;
+  },
+
+  /**
+   * Look up a book by ISBN in Open Library
+   */
+  async fromIsbn(isbn) {
+    const key = `ISBN:${isbn}`;
+    const response = await this.fetchOk(
+      `${this.endpoints.openLibrary}/api/books?bibkeys=${key}&format=json&jscmd=data`, {}, `ISBN ${isbn}`
+    );
+
+    const book = (await this.readJson(response, `ISBN ${isbn}`))[key];
+    if (!book) {
+      throw new Error(`No book found for ISBN ${isbn}`);
+    }
+
+    const date = book.publish_date || '';
+    const yearMatch = date.match(/(\d{4})/);
+    return {
+      title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title || '',
+      author: (book.authors || []).map(author => author.name).join('; '),
+      date,
+      year: yearMatch ? yearMatch[1] : '',
+      publisher: (book.publishers || []).map(publisher => publisher.name).join(', '),
+      place: (book.publish_places || []).map(place => place.name)[0] || '',
+      isbn,
+      url: book.url || '',
+      sourceType: 'book'
+    };
+  },
+
+  /**
+   * Fetch a page or PDF and extract it like an open tab, filling gaps from Semantic Scholar
+   */
+  async fromUrl(url) {
+    const response = await this.fetchOk(url, {}, url);
+    const contentType = response.headers.get('content-type') || '';
+    let metadata;
+    if (contentType.includes('pdf')) {
+      metadata = await PdfMetadata.parse(await response.arrayBuffer(), response.url || url);
+    } else if (contentType.includes('html')) {
+      metadata = await MetadataService.addLinkedCitation(await this.parseHtml(await response.text(), response.url || url));
+    } else {
+      throw new Error(`${url} is not a web page or PDF (${contentType})`);
+    }
+
+    return MetadataService.isIncomplete(metadata) ? MetadataService.enhanceWithSemanticScholar(metadata) : metadata;
+  },
+
+  // XML is read with patterns rather than DOMParser so the resolvers also run in the background worker
+
+  getXmlElements(xml, tag) {
+    const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+    return [...xml.matchAll(pattern)].map(match => match[1]);
+  },
+
+  getXmlText(xml, tag) {
+    const [content = ''] = this.getXmlElements(xml, tag);
+    return content
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+};
+
+// Export for use in popup.js (the background worker loads it with importScripts)
+if (typeof window !== 'undefined') {
+  window.IdentifierResolvers = IdentifierResolvers;
+}
@@ -0,0 +1,437 @@
+/**
+ * JustCite - Library Page Script
+ * Browse, search, edit, re-open and delete stored citations
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // DOM Elements
+  const searchInput = document.getElementById('library-search');
+  const styleSelect = document.getElementById('library-style');
+  const libraryList = document.getElementById('library-list');
+  const libraryEmpty = document.getElementById('library-empty');
+  const libraryCount = document.getElementById('library-count');
+  const selectAll = document.getElementById('library-select-all');
+  const deleteSelectedBtn = document.getElementById('library-delete-selected');
+  const exportBtn = document.getElementById('library-export');
+  const exportFormatSelect = document.getElementById('library-export-format');
+  const importBtn = document.getElementById('library-import');
+  const importFileInput = document.getElementById('library-import-file');
+  const detailPanel = document.getElementById('library-detail');
+  const citationCode = document.getElementById('library-citation');
+  const historyEl = document.getElementById('library-history');
+  const sourceTypeSelect = document.getElementById('entry-source-type');
+  const deleteBtn = document.getElementById('entry-delete');
+  const openSourceBtn = document.getElementById('entry-open-source');
+  const reopenBtn = document.getElementById('entry-reopen');
+  const saveBtn = document.getElementById('entry-save');
+  const copyBtn = document.getElementById('entry-copy');
+  const toast = document.getElementById('toast');
+
+  // Editable metadata fields, keyed by metadata property
+  const fields = {};
+  document.querySelectorAll('.library-form input[data-field]').forEach(input => {
+    fields[input.dataset.field] = input;
+  });
+
+  const DEFAULT_KEY_FORMAT = 'auth.lower + shorttitle(3,3) + year';
+
+  let entries = [];
+  let activeEntryId = null;
+  let keyFormat = DEFAULT_KEY_FORMAT;
+  const selectedIds = new Set();
+
+  /**
+   * Show toast notification
+   */
+  function showToast(message, isError = false) {
+    const toastMessage = toast.querySelector('.toast-message');
+    const toastIcon = toast.querySelector('.material-icons');
+
+    toastMessage.textContent = message;
+    toastIcon.textContent = isError ? 'error' : 'check_circle';
+    toast.classList.toggle('error', isError);
+    toast.classList.add('show');
+
+    setTimeout(() => {
+      toast.classList.remove('show');
+    }, 2500);
+  }
+
+  function getActiveEntry() {
+    return entries.find(entry => entry.id === activeEntryId) || null;
+  }
+
+  /**
+   * Read the edited metadata back from the detail form
+   */
+  function getFormMetadata() {
+    const entry = getActiveEntry();
+    const metadata = { ...(entry ? entry.metadata : {}) };
+
+    Object.entries(fields).forEach(([name, input]) => {
+      metadata[name] = input.value.trim();
+    });
+    metadata.sourceType = sourceTypeSelect.value;
+    // The type select replaces the isConference flag of older entries
+    delete metadata.isConference;
+
+    // The creator inputs hold the text form ("van der Berg, Jan; {WHO}"); roles without
+    // an input (series editors, contributors) keep the text stored on the entry
+    Creators.applyToMetadata(metadata, Creators.fromText(metadata));
+
+    const yearMatch = metadata.date.match(/(\d{4})/);
+    metadata.year = yearMatch ? yearMatch[1] : '';
+
+    return metadata;
+  }
+
+  function formatTimestamp(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+  }
+
+  /**
+   * Render the citation preview for the active entry
+   */
+  function renderCitation() {
+    if (!getActiveEntry()) return;
+    try {
+      citationCode.textContent = CitationFormatter.format(getFormMetadata(), styleSelect.value);
+    } catch (error) {
+      console.error('Error generating citation:', error);
+      citationCode.textContent = 'Error generating citation';
+    }
+  }
+
+  /**
+   * Render the detail panel for the active entry
+   */
+  function renderDetail() {
+    const entry = getActiveEntry();
+    detailPanel.classList.toggle('has-entry', !!entry);
+    if (!entry) return;
+
+    const metadata = entry.metadata || {};
+    Object.entries(fields).forEach(([name, input]) => {
+      input.value = metadata[name] || '';
+    });
+    sourceTypeSelect.value = CitationFormatter.getSourceType(metadata);
+
+    renderHistory(entry);
+    renderCitation();
+  }
+
+  function renderHistory(entry) {
+    const history = entry.history || [];
+    historyEl.textContent = `Added ${formatTimestamp(entry.createdAt)}` +
+      (history.length > 1 ? ` · cited ${history.length} times, last ${formatTimestamp(history[0].timestamp)}` : '');
+  }
+
+  /**
+   * Render the (filtered) entry list
+   */
+  function renderList() {
+    const visible = CitationLibrary.search(entries, searchInput.value);
+    libraryList.innerHTML = '';
+
+    visible.forEach(entry => {
+      const metadata = entry.metadata || {};
+      const item = document.createElement('li');
+      item.className = 'library-item' + (entry.id === activeEntryId ? ' active' : '');
+
+      const checkLabel = document.createElement('label');
+      checkLabel.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = selectedIds.has(entry.id);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selectedIds.add(entry.id);
+        else selectedIds.delete(entry.id);
+        updateSelectionState();
+      });
+      const checkmark = document.createElement('span');
+      checkmark.className = 'checkmark';
+      checkLabel.append(checkbox, checkmark);
+      checkLabel.addEventListener('click', (e) => e.stopPropagation());
+
+      const body = document.createElement('div');
+      body.className = 'library-item-body';
+      const title = document.createElement('div');
+      title.className = 'library-item-title';
+      title.textContent = metadata.title || metadata.url || 'Untitled';
+      const meta = document.createElement('div');
+      meta.className = 'library-item-meta';
+      meta.textContent = [metadata.author, metadata.year, metadata.journal || metadata.publisher]
+        .filter(Boolean)
+        .join(' · ');
+      body.append(title, meta);
+
+      const badge = document.createElement('span');
+      badge.className = 'library-item-badge';
+      badge.textContent = CitationFormatter.isCSLStyle(entry.style)
+        ? entry.style.slice(CitationFormatter.CSL_PREFIX.length)
+        : entry.style || '';
+
+      item.append(checkLabel, body, badge);
+      item.addEventListener('click', () => {
+        activeEntryId = entry.id;
+        renderList();
+        renderDetail();
+      });
+
+      libraryList.appendChild(item);
+    });
+
+    libraryEmpty.style.display = visible.length === 0 ? 'block' : 'none';
+    libraryCount.textContent = `${entries.length} citation${entries.length === 1 ? '' : 's'}`;
+    updateSelectionState();
+  }
+
+  function updateSelectionState() {
+    deleteSelectedBtn.disabled = selectedIds.size === 0;
+    selectAll.checked = entries.length > 0 && selectedIds.size === entries.length;
+  }
+
+  /**
+   * Reload entries from storage and re-render. The detail form is only refilled
+   * when the open entry's metadata changed in storage, so citing something from
+   * the popup doesn't throw away unsaved edits.
+   */
+  async function loadEntries() {
+    const previous = getActiveEntry();
+    try {
+      entries = await CitationLibrary.getAll();
+    } catch (error) {
+      console.error('Error loading library:', error);
+      entries = [];
+    }
+
+    // Drop selections for entries that no longer exist
+    [...selectedIds].forEach(id => {
+      if (!entries.some(entry => entry.id === id)) selectedIds.delete(id);
+    });
+    const entry = getActiveEntry();
+    if (!entry) activeEntryId = null;
+
+    renderList();
+    if (entry && previous && JSON.stringify(entry.metadata) === JSON.stringify(previous.metadata)) {
+      renderHistory(entry);
+    } else {
+      renderDetail();
+    }
+  }
+
+  /**
+   * Trigger a file download for generated text
+   */
+  function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Entries to export: the selection, or everything if nothing is selected
+   */
+  function getExportEntries() {
+    if (selectedIds.size > 0) {
+      return entries.filter(entry => selectedIds.has(entry.id));
+    }
+    return entries;
+  }
+
+  async function copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      showToast('Citation copied to clipboard!');
+      return true;
+    } catch (error) {
+      console.error('Error copying to clipboard:', error);
+      showToast('Failed to copy citation', true);
+      return false;
+    }
+  }
+
+  // Event Listeners
+  searchInput.addEventListener('input', renderList);
+
+  styleSelect.addEventListener('change', renderCitation);
+
+  sourceTypeSelect.addEventListener('change', renderCitation);
+
+  Object.values(fields).forEach(input => {
+    input.addEventListener('input', renderCitation);
+  });
+
+  selectAll.addEventListener('change', () => {
+    selectedIds.clear();
+    if (selectAll.checked) {
+      entries.forEach(entry => selectedIds.add(entry.id));
+    }
+    renderList();
+  });
+
+  deleteSelectedBtn.addEventListener('click', async () => {
+    if (selectedIds.size === 0) return;
+    if (!confirm(`Delete ${selectedIds.size} citation(s) from your library?`)) return;
+
+    await CitationLibrary.remove([...selectedIds]);
+    selectedIds.clear();
+    await loadEntries();
+    showToast('Citations deleted');
+  });
+
+  importBtn.addEventListener('click', () => importFileInput.click());
+
+  importFileInput.addEventListener('change', async () => {
+    const files = [...importFileInput.files];
+    importFileInput.value = '';
+    if (files.length === 0) return;
+
+    const style = styleSelect.value;
+    const records = [];
+
+    for (const file of files) {
+      try {
+        const text = await file.text();
+        CitationImporter.parse(text, file.name).forEach(metadata => {
+          if (!metadata.title && !metadata.author) return;
+          records.push({
+            metadata: { ...metadata, keyFormat },
+            style,
+            citation: CitationFormatter.format({ ...metadata, keyFormat }, style),
+            action: 'import'
+          });
+        });
+      } catch (error) {
+        console.error(`Error importing ${file.name}:`, error);
+      }
+    }
+
+    if (records.length === 0) {
+      showToast('No references found in the selected file(s)', true);
+      return;
+    }
+
+    await CitationLibrary.recordMany(records);
+    await loadEntries();
+    showToast(`Imported ${records.length} reference${records.length === 1 ? '' : 's'}`);
+  });
+
+  exportBtn.addEventListener('click', () => {
+    const exportEntries = getExportEntries();
+    if (exportEntries.length === 0) {
+      showToast('No citations to export', true);
+      return;
+    }
+
+    const format = exportFormatSelect.value;
+    const { extension, mimeType } = CitationFormatter.EXPORT_FORMATS[format];
+    const content = CitationFormatter.toExportFile(
+      exportEntries.map(entry => ({ ...entry.metadata, keyFormat })),
+      format
+    );
+    downloadFile(content, `references.${extension}`, mimeType);
+    chrome.storage.local.set({ libraryExportFormat: format }).catch(() => {});
+    showToast(`Exported ${exportEntries.length} citation${exportEntries.length === 1 ? '' : 's'}`);
+  });
+
+  saveBtn.addEventListener('click', async () => {
+    const entry = getActiveEntry();
+    if (!entry) return;
+
+    const metadata = getFormMetadata();
+    await CitationLibrary.update(entry.id, {
+      metadata,
+      style: styleSelect.value,
+      citation: CitationFormatter.format(metadata, styleSelect.value)
+    });
+    await loadEntries();
+    showToast('Citation updated');
+  });
+
+  deleteBtn.addEventListener('click', async () => {
+    const entry = getActiveEntry();
+    if (!entry) return;
+    if (!confirm('Delete this citation from your library?')) return;
+
+    await CitationLibrary.remove(entry.id);
+    activeEntryId = null;
+    await loadEntries();
+    showToast('Citation deleted');
+  });
+
+  openSourceBtn.addEventListener('click', () => {
+    const url = fields.url ? fields.url.value.trim() : '';
+    if (!url) {
+      showToast('This citation has no URL', true);
+      return;
+    }
+    chrome.tabs.create({ url });
+  });
+
+  reopenBtn.addEventListener('click', () => {
+    const entry = getActiveEntry();
+    if (!entry) return;
+    chrome.tabs.create({ url: chrome.runtime.getURL(`popup.html?entry=${encodeURIComponent(entry.id)}`) });
+  });
+
+  copyBtn.addEventListener('click', async () => {
+    const entry = getActiveEntry();
+    if (!entry) return;
+
+    const metadata = getFormMetadata();
+    const citation = CitationFormatter.format(metadata, styleSelect.value);
+    if (await copyText(citation)) {
+      await CitationLibrary.record({ metadata, style: styleSelect.value, citation, action: 'copy', entryId: entry.id });
+      await loadEntries();
+    }
+  });
+
+  /**
+   * Add the bundled and installed CSL styles to the style picker
+   */
+  async function loadCSLStyles() {
+    try {
+      const selected = styleSelect.value;
+      CSLStyles.populateSelect(styleSelect, await CSLStyles.loadAll());
+      styleSelect.value = selected;
+      if (!styleSelect.value) styleSelect.value = 'apa';
+    } catch (error) {
+      console.error('Error loading CSL styles:', error);
+    }
+  }
+
+  // Keep the page in sync when the popup records new citations or installs CSL styles
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes[CSLStyles.STORAGE_KEY]) {
+      await loadCSLStyles();
+      renderCitation();
+    }
+    if (changes[CitationLibrary.STORAGE_KEY]) {
+      loadEntries();
+    }
+  });
+
+  // Initialize
+  await loadCSLStyles();
+  try {
+    const stored = await chrome.storage.local.get(['citationStyle', 'keyFormat', 'libraryExportFormat']);
+    if (stored.citationStyle) styleSelect.value = stored.citationStyle;
+    if (!styleSelect.value) styleSelect.value = 'apa';
+    if (stored.libraryExportFormat) exportFormatSelect.value = stored.libraryExportFormat;
+    if (stored.keyFormat) keyFormat = stored.keyFormat;
+  } catch (error) {
+    console.error('Error loading preferences:', error);
+  }
+
+  await loadEntries();
+});
@@ -0,0 +1,332 @@
+/**
+ * JustCite - Metadata Service
+ * Collects citation metadata for a tab and fills gaps from Semantic Scholar.
+ * Shared by the popup, the background worker and the cite-all-tabs page.
+ */
+
+const MetadataService = {
+  DOI_PATTERN: /10\.\d{4,}(?:\.\d+)*\/[^\s"<>]+/,
+  DEFAULT_KEY_FORMAT: 'auth.lower + shorttitle(3,3) + year',
+  // Page sources that only guess (the site name, the <title>); a linked citation file overrides them
+  WEAK_SOURCES: ['Page', 'OpenGraph'],
+
+  /**
+   * Extract arXiv ID from URL
+   */
+  extractArxivId(url) {
+    if (!url) return null;
+
+    // Match patterns like:
+    // https://arxiv.org/abs/2301.00001
+    // https://arxiv.org/pdf/2301.00001.pdf
+    // https://arxiv.org/abs/hep-th/9901001
+    const patterns = [
+      /arxiv\.org\/(?:abs|pdf)\/(\d{4}\.\d{4,5})/i,
+      /arxiv\.org\/(?:abs|pdf)\/([\w-]+\/\d{7})/i,
+      /arXiv:(\d{4}\.\d{4,5})/i,
+      /arXiv:([\w-]+\/\d{7})/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = url.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Extract DOI from URL or page content
+   */
+  extractDoiFromUrl(url) {
+    if (!url) return null;
+    const match = url.match(this.DOI_PATTERN);
+    return match ? this.trimDoi(match[0]) : null;
+  },
+
+  /**
+   * Remove punctuation that ends the surrounding sentence or reference rather than
+   * the DOI, e.g. "(doi:10.1000/xyz)." - brackets inside a DOI are balanced
+   */
+  trimDoi(doi) {
+    let trimmed = doi.replace(/[.,;:]+$/, '');
+    const count = char => trimmed.split(char).length - 1;
+    while ((trimmed.endsWith(')') && count(')') > count('(')) || (trimmed.endsWith(']') && count(']') > count('['))) {
+      trimmed = trimmed.slice(0, -1).replace(/[.,;:]+$/, '');
+    }
+    return trimmed;
+  },
+
+  /**
+   * Guess the source type of extracted page metadata: a journal or DOI means a
+   * journal article, an ISBN a book. Returns '' when nothing points either way.
+   */
+  detectSourceType(metadata) {
+    if (metadata.journal || metadata.doi) return 'journal';
+    if (metadata.isbn) return 'book';
+    return '';
+  },
+
+  /**
+   * Read the preferences the popup saves, with the popup's defaults
+   * @returns {Object} { style, sourceType, outputFormat, includeAccessDate, keyFormat }
+   */
+  async getPreferences() {
+    const stored = await chrome.storage.local.get([
+      'citationStyle',
+      'sourceType',
+      'outputFormat',
+      'includeAccessDate',
+      'keyFormat'
+    ]);
+    return {
+      style: stored.citationStyle || 'apa',
+      sourceType: stored.sourceType || 'webpage',
+      outputFormat: stored.outputFormat || 'plain',
+      includeAccessDate: stored.includeAccessDate !== undefined ? stored.includeAccessDate : true,
+      keyFormat: stored.keyFormat || this.DEFAULT_KEY_FORMAT
+    };
+  },
+
+  /**
+   * Fill in what the popup's form would before formatting outside the popup:
+   * the source type (detected, else the saved default), the access date and key
+   * format preferences, and structured creators
+   * @param {Object} prefs - from getPreferences()
+   */
+  applyPreferences(metadata, prefs) {
+    metadata.sourceType = metadata.sourceType || this.detectSourceType(metadata) || prefs.sourceType;
+    metadata.includeAccessDate = prefs.includeAccessDate;
+    metadata.keyFormat = prefs.keyFormat;
+    return Creators.applyToMetadata(metadata, Creators.fromMetadata(metadata));
+  },
+
+  /**
+   * Check if metadata is incomplete and needs enhancement
+   */
+  isIncomplete(metadata) {
+    // Consider incomplete if missing author OR (missing title AND has DOI)
+    const missingAuthor = !metadata.author || metadata.author.trim() === '';
+    const missingTitle = !metadata.title || metadata.title.trim() === '';
+    const missingDate = !metadata.date || metadata.date.trim() === '';
+
+    return missingAuthor || (missingTitle && metadata.doi) || (missingAuthor && missingDate);
+  },
+
+  /**
+   * Enhance metadata using Semantic Scholar API
+   * Can look up by DOI or arXiv ID
+   */
+  async enhanceWithSemanticScholar(metadata) {
+    let paperId = null;
+
+    // Try to find paper by DOI first
+    if (metadata.doi) {
+      paperId = `DOI:${metadata.doi}`;
+    } else {
+      // Try to extract DOI from URL
+      const doiFromUrl = this.extractDoiFromUrl(metadata.url);
+      if (doiFromUrl) {
+        paperId = `DOI:${doiFromUrl}`;
+        metadata.doi = doiFromUrl; // Also set the DOI field
+      }
+    }
+
+    // If no DOI, try arXiv ID
+    if (!paperId) {
+      // PDFs carry the ID they were stamped with in number ("arXiv:2301.00001")
+      const arxivId = this.extractArxivId(metadata.url) || this.extractArxivId(metadata.number);
+      if (arxivId) {
+        paperId = `arXiv:${arxivId}`;
+      }
+    }
+
+    if (!paperId) {
+      return metadata; // Can't look up without identifier
+    }
+
+    try {
+      const response = await fetch(
+        `https://api.semanticscholar.org/graph/v1/paper/${paperId}?fields=title,authors,year,venue,publicationVenue,externalIds,journal,publicationDate`
+      );
+
+      if (!response.ok) {
+        console.log('Semantic Scholar API returned non-OK status:', response.status);
+        return metadata;
+      }
+
+      const data = await response.json();
+
+      // Only fill in missing fields, don't overwrite existing data
+      const fill = (field, value) => {
+        if (metadata[field] || !value) return;
+        metadata[field] = value;
+        if (metadata.provenance) metadata.provenance[field] = 'Semantic Scholar';
+      };
+
+      fill('title', data.title);
+      fill('author', (data.authors || []).map(a => a.name).join('; '));
+      fill('date', data.publicationDate || (data.year && data.year.toString()));
+      fill('year', data.year && data.year.toString());
+      fill('publisher', data.venue);
+      fill('journal', data.journal?.name);
+      fill('volume', data.journal?.volume);
+      fill('pages', data.journal?.pages);
+      fill('doi', data.externalIds?.DOI);
+
+      console.log('Metadata enhanced with Semantic Scholar data');
+    } catch (error) {
+      console.error('Error enhancing metadata with Semantic Scholar:', error);
+    }
+
+    return metadata;
+  },
+
+  /**
+   * Run PageMetadata (pageMetadata.js) in a tab, or read the file of a PDF tab
+   * @returns {Object} the page's metadata, or just its URL if nothing was extracted
+   */
+  async extractFromTab(tab) {
+    const target = { tabId: tab.id };
+    // The content script loads PageMetadata, but not in tabs opened before JustCite
+    // was installed or updated. Loading it twice would redeclare it.
+    let loaded;
+    try {
+      [loaded] = await chrome.scripting.executeScript({
+        target,
+        func: () => ({ loaded: typeof PageMetadata !== 'undefined', contentType: document.contentType })
+      });
+    } catch (error) {
+      // Chrome's PDF viewer can't always be scripted, but the file itself can be read
+      if (PdfMetadata.isPdfUrl(tab.url)) return this.fromPdf(tab);
+      throw error;
+    }
+    if (loaded && loaded.result && loaded.result.contentType === 'application/pdf') {
+      return this.fromPdf(tab);
+    }
+    if (!loaded || !loaded.result || !loaded.result.loaded) {
+      await chrome.scripting.executeScript({ target, files: ['pageMetadata.js', 'siteTranslators.js'] });
+    }
+
+    const results = await chrome.scripting.executeScript({
+      target,
+      func: () => PageMetadata.extract(document, window.location.href)
+    });
+
+    if (results && results[0] && results[0].result) {
+      return this.addLinkedCitation(results[0].result);
+    }
+    return { url: tab.url };
+  },
+
+  /**
+   * Read a PDF tab's file with PdfMetadata (pdfMetadata.js), keeping the viewer's
+   * title (usually the file name) when the PDF has none
+   */
+  async fromPdf(tab) {
+    const metadata = await PdfMetadata.fromUrl(tab.url);
+    if (!metadata.title && tab.title && !metadata.doi && !metadata.number) {
+      metadata.title = tab.title;
+      metadata.provenance.title = 'Page';
+    }
+    return metadata;
+  },
+
+  /**
+   * Read the citation file a page links to (see PageMetadata.findCitationLinks)
+   * and let it fill the fields the page had no structured data for. A record
+   * whose title isn't the page's is one of the page's references (a blog post or
+   * repository linking its refs.bib) and is ignored. Failures are logged and
+   * leave the page's metadata as it was.
+   */
+  async addLinkedCitation(metadata) {
+    const links = metadata.citationLinks;
+    delete metadata.citationLinks;
+    if (!links) return metadata;
+
+    try {
+      const linked = await this.fetchLinkedCitation(links);
+      if (linked && (!metadata.title || PageMetadata.titlesMatch(linked.record.title, metadata.title))) {
+        this.mergeCitation(metadata, linked.record, linked.source);
+      }
+    } catch (error) {
+      console.error('Error reading linked citation:', error);
+    }
+    return metadata;
+  },
+
+  /**
+   * Fetch and parse the first citation file available, preferring unAPI
+   * @returns {Object|null} { record, source }
+   */
+  async fetchLinkedCitation({ ris, bibtex, unapi }) {
+    if (unapi) {
+      const base = `${unapi.server}${unapi.server.includes('?') ? '&' : '?'}id=${encodeURIComponent(unapi.id)}`;
+      const response = await fetch(base);
+      // <formats id="..."><format name="ris" type="application/x-research-info-systems"/>...</formats>
+      const formats = response.ok ? [...(await response.text()).matchAll(/<format\b[^>]*>/gi)].map(tag => ({
+        name: (tag[0].match(/\bname="([^"]*)"/i) || [])[1] || '',
+        type: (tag[0].match(/\btype="([^"]*)"/i) || [])[1] || ''
+      })) : [];
+      const format = formats.find(({ name, type }) => /^ris$/i.test(name) || /research-info-systems/i.test(type)) ||
+        formats.find(({ name, type }) => /^bibtex$/i.test(name) || /bibtex/i.test(type));
+      const record = format && await this.fetchCitationFile(`${base}&format=${encodeURIComponent(format.name)}`);
+      if (record) return { record, source: 'unAPI' };
+    }
+
+    for (const [url, source] of [[ris, 'RIS link'], [bibtex, 'BibTeX link']]) {
+      const record = url && await this.fetchCitationFile(url);
+      if (record) return { record, source };
+    }
+    return null;
+  },
+
+  /**
+   * Fetch an RIS or BibTeX file and parse its first entry
+   */
+  async fetchCitationFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      console.log('Linked citation returned non-OK status:', response.status, url);
+      return null;
+    }
+    const [record] = CitationImporter.parse(await response.text(), new URL(response.url || url).pathname);
+    return record || null;
+  },
+
+  /**
+   * Copy fields from a citation record into page metadata, over empty fields and
+   * those the page only guessed
+   * @param {string} source - recorded as the provenance of the copied fields
+   */
+  mergeCitation(metadata, record, source) {
+    const provenance = metadata.provenance || (metadata.provenance = {});
+    [...PageMetadata.FIELDS, 'year', 'thesisType', 'seriesEditor'].forEach(field => {
+      if (!record[field] || (metadata[field] && !this.WEAK_SOURCES.includes(provenance[field]))) return;
+      metadata[field] = record[field];
+      provenance[field] = source;
+    });
+    return metadata;
+  },
+
+  /**
+   * Extract a tab's metadata and fill gaps from Semantic Scholar. Pages that
+   * can't be scripted (chrome://, the Web Store) fall back to the tab's title.
+   */
+  async fromTab(tab) {
+    let metadata;
+    try {
+      metadata = await this.extractFromTab(tab);
+    } catch (error) {
+      console.error('Error extracting page metadata:', error);
+      return { url: tab.url || '', title: tab.title || '' };
+    }
+    return this.isIncomplete(metadata) ? this.enhanceWithSemanticScholar(metadata) : metadata;
+  }
+};
+
+// Export for use in popup.js (the background worker loads it with importScripts)
+if (typeof window !== 'undefined') {
+  window.MetadataService = MetadataService;
+}
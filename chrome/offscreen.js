@@ -0,0 +1,65 @@
+/**
+ * JustCite - Offscreen Document
+ * Does the work the background worker has no DOM for: parsing fetched pages,
+ * rendering CSL styles and writing to the clipboard
+ */
+
+const OffscreenActions = {
+  /**
+   * Extract metadata from a page the background worker fetched
+   */
+  parseHtml({ html, url }) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return PageMetadata.extract(doc, url);
+  },
+
+  /**
+   * Format metadata in a CSL style, registering the style's XML first
+   */
+  format({ metadata, style, xml }) {
+    registerStyle(style, xml);
+    return CitationFormatter.format(metadata, style);
+  },
+
+  /**
+   * Get the in-text forms of a citation in a CSL style
+   */
+  inText({ metadata, style, xml }) {
+    registerStyle(style, xml);
+    return CitationFormatter.getInTextCitations(metadata, style);
+  },
+
+  /**
+   * Copy text to the clipboard. navigator.clipboard needs a focused document,
+   * which an offscreen document never is.
+   */
+  copy({ text }) {
+    const textarea = document.getElementById('clipboard');
+    textarea.value = text;
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.value = '';
+    if (!copied) throw new Error('Could not write to the clipboard');
+    return true;
+  }
+};
+
+function registerStyle(style, xml) {
+  if (xml) {
+    CitationFormatter.registerCSLStyle(style.slice(CitationFormatter.CSL_PREFIX.length), xml);
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+
+  const action = OffscreenActions[message.action];
+  try {
+    if (!action) throw new Error(`Unknown offscreen action: ${message.action}`);
+    sendResponse({ result: action(message) });
+  } catch (error) {
+    console.error(`Offscreen ${message.action} failed:`, error);
+    sendResponse({ error: error.message });
+  }
+  return false;
+});
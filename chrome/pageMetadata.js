@@ -0,0 +1,495 @@
+/**
+ * JustCite - Page Metadata
+ * Extracts citation metadata from a page through an ordered chain of extractors,
+ * one per metadata vocabulary, recording which one each value came from.
+ * The content script runs it in open pages, the popup and background worker
+ * inject it into tabs that don't have it yet, and the offscreen document and
+ * popup run it on fetched pages.
+ */
+
+const PageMetadata = {
+  FIELDS: [
+    'title', 'author', 'editor', 'translator', 'contributor', 'date', 'publisher',
+    'doi', 'isbn', 'journal', 'volume', 'issue', 'pages', 'number', 'edition', 'place',
+    'version', 'sourceType'
+  ],
+
+  /**
+   * Extractors, in order of trust. Each one has:
+   *   name               - shown as the source of the values it provides
+   *   hosts              - optional; only run on these hostnames (subdomains included)
+   *                        or hostname patterns
+   *   extract(doc, url, found) - the fields it finds; empty values are ignored.
+   *                        found holds the values taken from the extractors before it
+   * A field is taken from the first extractor that provides it. Site translators
+   * (siteTranslators.js) are added ahead of the generic ones.
+   */
+  extractors: [
+    {
+      // Google Scholar's citation_* tags, used by most journal and repository sites
+      name: 'Highwire',
+      extract(doc) {
+        const meta = names => PageMetadata.getMeta(doc, names);
+        const all = names => PageMetadata.getMetaAll(doc, names).join('; ');
+        return {
+          title: meta(['citation_title']),
+          author: all(['citation_author']) ||
+            meta(['citation_authors']).split(';').map(name => name.trim()).filter(Boolean).join('; '),
+          editor: all(['citation_editor']),
+          translator: all(['citation_translator']),
+          date: meta(['citation_publication_date', 'citation_date', 'citation_cover_date', 'citation_online_date']),
+          publisher: meta([
+            'citation_publisher',
+            'citation_dissertation_institution',
+            'citation_technical_report_institution'
+          ]),
+          doi: meta(['citation_doi']),
+          isbn: meta(['citation_isbn']),
+          journal: meta(['citation_journal_title', 'citation_conference_title', 'citation_inbook_title']),
+          volume: meta(['citation_volume']),
+          issue: meta(['citation_issue']),
+          pages: PageMetadata.joinPages(meta(['citation_firstpage']), meta(['citation_lastpage'])),
+          number: meta(['citation_technical_report_number'])
+        };
+      }
+    },
+    {
+      name: 'Dublin Core',
+      extract(doc) {
+        const meta = names => PageMetadata.getMeta(doc, names);
+        const all = names => PageMetadata.getMetaAll(doc, names).join('; ');
+        const identifiers = PageMetadata.getMetaAll(doc, ['dc.identifier', 'dcterms.identifier']);
+        const doi = doc.querySelector('meta[name="dc.identifier" i][scheme="doi" i]');
+        const isbn = identifiers.find(id => /^(?:urn:)?isbn[:\s]/i.test(id));
+        return {
+          title: meta(['dc.title', 'dcterms.title']),
+          author: all(['dc.creator', 'dcterms.creator']),
+          editor: all(['dc.contributor.editor']),
+          translator: all(['dc.contributor.translator']),
+          contributor: all(['dc.contributor', 'dcterms.contributor']),
+          date: meta(['dc.date', 'dcterms.issued', 'dcterms.date', 'dcterms.created']),
+          publisher: meta(['dc.publisher', 'dcterms.publisher']),
+          doi: (doi && doi.getAttribute('content')) || identifiers.find(id => /^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?10\./i.test(id)) || '',
+          isbn: isbn ? isbn.replace(/^(?:urn:)?isbn[:\s]*/i, '') : ''
+        };
+      }
+    },
+    {
+      name: 'PRISM',
+      extract(doc) {
+        const meta = names => PageMetadata.getMeta(doc, names);
+        return {
+          date: meta(['prism.publicationDate', 'prism.coverDate']),
+          doi: meta(['prism.doi']),
+          isbn: meta(['prism.isbn']),
+          journal: meta(['prism.publicationName']),
+          volume: meta(['prism.volume']),
+          issue: meta(['prism.number']),
+          pages: PageMetadata.joinPages(meta(['prism.startingPage']), meta(['prism.endingPage']))
+        };
+      }
+    },
+    {
+      name: 'OpenGraph',
+      extract(doc) {
+        const property = names => PageMetadata.getMeta(doc, names, 'property');
+        // article:author is often a link to the author's profile rather than a name
+        const authors = PageMetadata.getMetaAll(doc, ['article:author', 'book:author'], 'property')
+          .filter(author => !/^https?:\/\//i.test(author));
+        return {
+          title: PageMetadata.cleanTitle(property(['og:title', 'article:title'])),
+          author: authors.join('; '),
+          date: property(['article:published_time', 'book:release_date', 'og:published_time']),
+          publisher: property(['og:site_name']),
+          isbn: property(['book:isbn'])
+        };
+      }
+    },
+    {
+      name: 'JSON-LD',
+      extract(doc) {
+        const metadata = {};
+        doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+          try {
+            PageMetadata.readJsonLd(JSON.parse(script.textContent), metadata);
+          } catch (e) {
+            // Ignore JSON parse errors
+          }
+        });
+        return metadata;
+      }
+    },
+    {
+      name: 'Microdata',
+      extract(doc) {
+        // The first item that has a headline or a creator, ignoring nested items' own properties
+        const item = [...doc.querySelectorAll('[itemscope]')]
+          .find(el => PageMetadata.getItemProps(el, 'headline').length > 0 || PageMetadata.getItemProps(el, 'author').length > 0);
+        if (!item) return {};
+
+        const value = name => PageMetadata.getItemProps(item, name).map(prop => PageMetadata.getItemValue(prop))[0] || '';
+        const names = name => PageMetadata.getItemProps(item, name)
+          .map(prop => prop.hasAttribute('itemscope')
+            ? PageMetadata.getItemProps(prop, 'name').map(PageMetadata.getItemValue)[0]
+            : PageMetadata.getItemValue(prop))
+          .filter(Boolean);
+
+        return {
+          title: value('headline') || value('name'),
+          author: names('author').join('; '),
+          editor: names('editor').join('; '),
+          translator: names('translator').join('; '),
+          date: value('datePublished') || value('dateCreated'),
+          publisher: names('publisher')[0] || '',
+          isbn: value('isbn'),
+          pages: PageMetadata.joinPages(value('pageStart'), value('pageEnd')) || value('pagination')
+        };
+      }
+    },
+    {
+      // OpenURL ContextObjects in Spans, left on pages by library catalogs and reference managers
+      name: 'COinS',
+      extract(doc, pageUrl, found) {
+        // A search result or reading list carries one span per item and isn't itself any of them
+        const spans = new Set([...doc.querySelectorAll('span.Z3988[title]')].map(span => span.getAttribute('title')));
+        if (spans.size !== 1) return {};
+
+        const params = new URLSearchParams([...spans][0]);
+        const get = key => (params.get(key) || '').trim();
+        const title = get('rft.atitle') || get('rft.btitle') || get('rft.title');
+        // A lone span can just as well be one of the page's references (a Wikipedia
+        // article citing one paper), so it has to be about the page itself
+        const pageTitle = found.title || PageMetadata.cleanTitle(doc.title || '');
+        if (pageTitle && !PageMetadata.titlesMatch(title, pageTitle)) return {};
+
+        const authors = params.getAll('rft.au').map(author => author.trim()).filter(Boolean);
+        if (authors.length === 0 && get('rft.aulast')) {
+          authors.push([get('rft.aulast'), get('rft.aufirst') || get('rft.auinit')].filter(Boolean).join(', '));
+        }
+        const ids = params.getAll('rft_id');
+        const doi = ids.find(id => /^info:doi\//i.test(id));
+        const format = get('rft_val_fmt').split(':').pop();
+
+        return {
+          title,
+          author: authors.join('; '),
+          date: get('rft.date'),
+          publisher: get('rft.pub') || get('rft.inst'),
+          doi: doi ? doi.replace(/^info:doi\//i, '') : '',
+          isbn: get('rft.isbn'),
+          journal: get('rft.jtitle') || (get('rft.atitle') ? get('rft.btitle') || get('rft.title') : ''),
+          volume: get('rft.volume'),
+          issue: get('rft.issue'),
+          pages: get('rft.pages') || PageMetadata.joinPages(get('rft.spage'), get('rft.epage')),
+          edition: get('rft.edition'),
+          place: get('rft.place'),
+          sourceType: PageMetadata.COINS_TYPES[get('rft.genre')] || PageMetadata.COINS_TYPES[format] || ''
+        };
+      }
+    },
+    {
+      // Plain HTML: generic meta tags, <time>, the document title and the address
+      name: 'Page',
+      extract(doc, pageUrl) {
+        const meta = names => PageMetadata.getMeta(doc, names);
+        const time = doc.querySelector('time[datetime]');
+        return {
+          title: PageMetadata.cleanTitle(meta(['twitter:title']) || doc.title || ''),
+          author: PageMetadata.getMetaAll(doc, ['author', 'byl']).join('; '),
+          date: meta(['date', 'publish-date', 'sailthru.date']) || (time ? time.getAttribute('datetime') : ''),
+          publisher: meta(['publisher', 'application-name']) || PageMetadata.getSiteName(pageUrl),
+          doi: meta(['doi']) || PageMetadata.findDoi(doc, pageUrl),
+          isbn: meta(['isbn']),
+          journal: meta(['journal'])
+        };
+      }
+    }
+  ],
+
+  // COinS genres (rft.genre) and formats (rft_val_fmt) as source types
+  COINS_TYPES: {
+    article: 'journal',
+    journal: 'journal',
+    book: 'book',
+    bookitem: 'chapter',
+    proceeding: 'conference',
+    conference: 'conference',
+    report: 'report',
+    preprint: 'preprint',
+    dissertation: 'thesis'
+  },
+
+  /**
+   * Add an extractor, by default just before the plain page fallback
+   * @param {Object} extractor - { name, extract }
+   * @param {string} [before] - name of the extractor to insert it before
+   */
+  register(extractor, before = 'Page') {
+    const index = this.extractors.findIndex(existing => existing.name === before);
+    this.extractors.splice(index === -1 ? this.extractors.length : index, 0, extractor);
+  },
+
+  /**
+   * Extract metadata from a document
+   * @param {Document} [doc] - defaults to the page the script runs in
+   * @param {string} [pageUrl] - URL the document was loaded from
+   * @returns {Object} metadata in the popup's shape, with provenance mapping
+   *   each filled field to the name of the extractor it came from
+   */
+  extract(doc = document, pageUrl = window.location.href) {
+    const metadata = { url: pageUrl, year: '' };
+    const provenance = {};
+    this.FIELDS.forEach(field => {
+      metadata[field] = '';
+    });
+
+    for (const extractor of this.extractors) {
+      if (extractor.hosts && !this.matchesHost(extractor.hosts, pageUrl)) continue;
+      let values;
+      try {
+        values = extractor.extract(doc, pageUrl, { ...metadata }) || {};
+      } catch (error) {
+        console.error(`Error in the ${extractor.name} extractor:`, error);
+        continue;
+      }
+      this.FIELDS.forEach(field => {
+        const value = typeof values[field] === 'string' ? values[field].trim() : '';
+        if (value && !metadata[field]) {
+          metadata[field] = value;
+          provenance[field] = extractor.name;
+        }
+      });
+    }
+
+    if (metadata.doi) {
+      metadata.doi = metadata.doi.replace(/^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)/i, '');
+    }
+    const yearMatch = metadata.date.match(/(\d{4})/);
+    if (yearMatch) {
+      metadata.year = yearMatch[1];
+      provenance.year = provenance.date;
+    }
+
+    metadata.provenance = provenance;
+    const citationLinks = this.findCitationLinks(doc, pageUrl);
+    if (citationLinks) metadata.citationLinks = citationLinks;
+    return metadata;
+  },
+
+  /**
+   * Citation files the page offers that can't be read without fetching them: an
+   * RIS or BibTeX <link rel="alternate">, a lone download link to one, or an unAPI
+   * server with the page's item ID. MetadataService.addLinkedCitation() reads them,
+   * keeping the record only if it is about the page (see titlesMatch).
+   * @returns {Object|null} { ris, bibtex, unapi: { server, id } } with absolute URLs
+   */
+  findCitationLinks(doc, pageUrl) {
+    const absolute = href => {
+      try {
+        return new URL(href, pageUrl).href;
+      } catch (e) {
+        return '';
+      }
+    };
+    const find = (types, pattern) => {
+      const alternate = doc.querySelector(types.map(type => `link[rel~="alternate" i][type="${type}" i][href]`).join(', '));
+      if (alternate) return absolute(alternate.getAttribute('href'));
+
+      // A publication list links to many files and isn't about any one of them
+      const links = new Set([...doc.querySelectorAll('a[href]')]
+        .filter(a => types.includes((a.getAttribute('type') || '').toLowerCase()) || pattern.test(a.getAttribute('href')))
+        .map(a => absolute(a.getAttribute('href'))));
+      return links.size === 1 ? [...links][0] : '';
+    };
+
+    const links = {
+      ris: find(['application/x-research-info-systems'], /\.ris(?:$|[?#])|[?&](?:format|type|fmt)=ris\b/i),
+      bibtex: find(['application/x-bibtex', 'text/x-bibtex'], /\.bib(?:$|[?#])|[?&](?:format|type|fmt)=bibtex\b/i)
+    };
+
+    const server = doc.querySelector('link[rel="unapi-server" i][href]');
+    const ids = new Set([...doc.querySelectorAll('.unapi-id[title]')].map(el => el.getAttribute('title').trim()));
+    if (server && ids.size === 1) {
+      links.unapi = { server: absolute(server.getAttribute('href')), id: [...ids][0] };
+    }
+
+    return links.ris || links.bibtex || links.unapi ? links : null;
+  },
+
+  /**
+   * Whether the page is on one of the hosts: "example.org" also matches its subdomains
+   * @param {Array<string|RegExp>} hosts
+   */
+  matchesHost(hosts, pageUrl) {
+    let hostname;
+    try {
+      hostname = new URL(pageUrl).hostname;
+    } catch (e) {
+      return false;
+    }
+    return hosts.some(host => host instanceof RegExp
+      ? host.test(hostname)
+      : hostname === host || hostname.endsWith(`.${host}`));
+  },
+
+  /**
+   * First non-empty <meta> value among the given names, matched case-insensitively
+   * @param {string} [attribute] - 'name' or 'property'
+   */
+  getMeta(doc, names, attribute = 'name') {
+    return this.getMetaAll(doc, names, attribute)[0] || '';
+  },
+
+  /**
+   * Every non-empty <meta> value for the given names, in page order, without repeats
+   */
+  getMetaAll(doc, names, attribute = 'name') {
+    const values = [];
+    names.forEach(name => {
+      doc.querySelectorAll(`meta[${attribute}="${name}" i]`).forEach(el => {
+        const content = (el.getAttribute('content') || '').trim();
+        if (content && !values.includes(content)) values.push(content);
+      });
+    });
+    return values;
+  },
+
+  /**
+   * Remove a site name from a page title ("Title | Site", "Title - Site")
+   */
+  cleanTitle(title) {
+    if (title.includes(' | ')) {
+      return title.split(' | ')[0].trim();
+    }
+    // Titles starting with a number ("2024 - The Year in Review") are left whole
+    if (title.includes(' - ') && !/^\d/.test(title)) {
+      return title.split(' - ').slice(0, -1).join(' - ').trim();
+    }
+    return title;
+  },
+
+  /**
+   * Whether two titles are the same once case, accents and punctuation are ignored
+   */
+  titlesMatch(title, otherTitle) {
+    const normalize = text => (text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+    return Boolean(normalize(title)) && normalize(title) === normalize(otherTitle);
+  },
+
+  joinPages(firstPage, lastPage) {
+    if (firstPage && lastPage && firstPage !== lastPage) return `${firstPage}-${lastPage}`;
+    return firstPage || '';
+  },
+
+  /**
+   * Site name from the address: "www.example.com" -> "Example"
+   */
+  getSiteName(pageUrl) {
+    try {
+      const domain = new URL(pageUrl).hostname.replace('www.', '').split('.')[0];
+      return domain.charAt(0).toUpperCase() + domain.slice(1);
+    } catch (e) {
+      return '';
+    }
+  },
+
+  /**
+   * A DOI in the address or in a doi.org link on the page
+   */
+  findDoi(doc, pageUrl) {
+    const doiRegex = /10\.\d{4,}(?:\.\d+)*\/[^\s"<>]+/;
+    const urlMatch = pageUrl.match(doiRegex);
+    if (urlMatch) return urlMatch[0];
+
+    for (const el of doc.querySelectorAll('a[href*="doi.org"], .doi, [data-doi]')) {
+      const text = el.getAttribute('href') || el.getAttribute('data-doi') || el.textContent;
+      const match = text && text.match(doiRegex);
+      if (match) return match[0];
+    }
+    return '';
+  },
+
+  /**
+   * Read JSON-LD items (including @graph lists) into metadata, keeping the first
+   * value found for each field
+   */
+  readJsonLd(data, metadata) {
+    const items = Array.isArray(data) ? data : [data];
+
+    for (const item of items) {
+      if (!item || typeof item !== 'object') continue;
+      if (item['@graph']) {
+        this.readJsonLd(item['@graph'], metadata);
+        continue;
+      }
+
+      ['author', 'editor', 'translator', 'contributor'].forEach(role => {
+        const value = item[role];
+        if (metadata[role] || !value) return;
+        metadata[role] = (Array.isArray(value) ? value : [value])
+          .map(creator => typeof creator === 'string' ? creator : this.toCreatorName(creator))
+          .filter(Boolean)
+          .join('; ');
+      });
+
+      if (!metadata.title && item.headline) {
+        metadata.title = item.headline;
+      }
+
+      if (!metadata.date && (item.datePublished || item.dateCreated)) {
+        metadata.date = item.datePublished || item.dateCreated;
+      }
+
+      if (!metadata.publisher && item.publisher) {
+        metadata.publisher = typeof item.publisher === 'string' ? item.publisher : item.publisher.name || '';
+      }
+
+      if (!metadata.doi && item.identifier) {
+        const identifiers = Array.isArray(item.identifier) ? item.identifier : [item.identifier];
+        for (const id of identifiers) {
+          if (typeof id === 'string' && id.includes('10.')) {
+            metadata.doi = id;
+          } else if (id && (id.propertyID || '').toLowerCase() === 'doi' && id.value) {
+            metadata.doi = id.value;
+          }
+        }
+      }
+
+      if (!metadata.isbn && item.isbn) {
+        metadata.isbn = Array.isArray(item.isbn) ? item.isbn[0] : item.isbn;
+      }
+    }
+  },
+
+  /**
+   * Name of a JSON-LD Person/Organization. Organizations are braced so they are
+   * never split into given and family names
+   */
+  toCreatorName(creator) {
+    if (!creator || typeof creator.name !== 'string') return '';
+    return creator['@type'] === 'Organization' ? `{${creator.name}}` : creator.name;
+  },
+
+  /**
+   * Elements carrying a microdata property of an item, leaving out those of items nested in it
+   */
+  getItemProps(item, name) {
+    return [...item.querySelectorAll(`[itemprop~="${name}"]`)]
+      .filter(el => el.parentElement.closest('[itemscope]') === item);
+  },
+
+  getItemValue(el) {
+    const value = el.getAttribute('content') || el.getAttribute('datetime') || el.textContent || '';
+    return value.replace(/\s+/g, ' ').trim();
+  }
+};
+
+// Export for use in popup.js (the background worker loads it with importScripts)
+if (typeof window !== 'undefined') {
+  window.PageMetadata = PageMetadata;
+}
@@ -0,0 +1,319 @@
+/**
+ * JustCite - PDF Metadata
+ * Reads citation metadata from a PDF file: the XMP packet and Info dictionary,
+ * then a DOI or arXiv ID from its links and the text of its first pages.
+ * Used for PDFs open in Chrome's viewer, where there are no meta tags to read,
+ * and for PDF links. Only Flate-compressed streams are read.
+ */
+
+const PdfMetadata = {
+  MAX_BYTES: 30 * 1024 * 1024,
+  // Streams inflated while looking for text, and how much page text to scan (about two pages)
+  MAX_STREAMS: 300,
+  TEXT_LIMIT: 12000,
+
+  isPdfUrl(url) {
+    return /\.pdf(?:$|[?#])/i.test(url || '');
+  },
+
+  /**
+   * Download a PDF and read its metadata
+   */
+  async fromUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`PDF could not be downloaded (${response.status})`);
+    }
+    if (Number(response.headers.get('content-length')) > this.MAX_BYTES) {
+      throw new Error('PDF is too large to read');
+    }
+    return this.parse(await response.arrayBuffer(), response.url || url);
+  },
+
+  /**
+   * Read a PDF's metadata
+   * @param {ArrayBuffer} buffer - the file
+   * @param {string} url - where it was loaded from
+   * @returns {Object} metadata in the popup's shape, with provenance
+   */
+  async parse(buffer, url) {
+    const raw = this.toBinaryString(new Uint8Array(buffer));
+    if (!raw.slice(0, 1024).includes('%PDF-')) {
+      throw new Error('Not a PDF file');
+    }
+
+    const streams = await this.inflateStreams(raw);
+    const metadata = {
+      title: '', author: '', date: '', year: '', url, publisher: '', doi: '',
+      journal: '', volume: '', issue: '', pages: '', number: '', sourceType: '', provenance: {}
+    };
+    const fill = (values, source) => {
+      Object.entries(values).forEach(([field, value]) => {
+        if (!value || metadata[field]) return;
+        metadata[field] = value;
+        metadata.provenance[field] = source;
+      });
+    };
+
+    // XMP packets are usually stored uncompressed, but may be in a compressed stream
+    const xmp = this.findXmp(raw) || streams.map(stream => this.findXmp(stream.data)).find(Boolean);
+    if (xmp) fill(this.readXmp(xmp), 'XMP');
+    fill(this.readInfo(raw, streams), 'PDF Info');
+
+    // Then the paper's own links and first pages
+    const links = [...raw.matchAll(/\/URI\s*\(([^)]*)\)/g), ...streams.flatMap(stream => [...stream.data.matchAll(/\/URI\s*\(([^)]*)\)/g)])]
+      .map(match => match[1])
+      .filter(uri => /doi\.org\/|arxiv\.org\//i.test(uri));
+    const text = this.extractText(streams);
+    if (!metadata.doi) {
+      const doiLink = links.map(uri => MetadataService.extractDoiFromUrl(uri)).find(Boolean);
+      const doi = doiLink || MetadataService.extractDoiFromUrl(text);
+      if (doi) fill({ doi }, doiLink ? 'PDF link' : 'PDF text');
+    }
+    const arxivId = MetadataService.extractArxivId(text) || links.map(uri => MetadataService.extractArxivId(uri)).find(Boolean);
+    if (arxivId && !metadata.doi) {
+      fill({ number: `arXiv:${arxivId}`, publisher: 'arXiv', sourceType: 'preprint' }, 'PDF text');
+    }
+
+    const yearMatch = metadata.date.match(/(\d{4})/);
+    if (yearMatch) {
+      metadata.year = yearMatch[1];
+      metadata.provenance.year = metadata.provenance.date;
+    }
+    return metadata;
+  },
+
+  toBinaryString(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return text;
+  },
+
+  /**
+   * Inflate the file's Flate streams, skipping images, fonts and cross-reference streams
+   * @returns {Object[]} [{ dict, data }] in file order
+   */
+  async inflateStreams(raw) {
+    const streams = [];
+    const pattern = /\bobj\s*<<([\s\S]*?)>>\s*stream\r?\n/g;
+    let match;
+
+    while ((match = pattern.exec(raw)) && streams.length < this.MAX_STREAMS) {
+      const dict = match[1];
+      const start = pattern.lastIndex;
+      const end = raw.indexOf('endstream', start);
+      if (end === -1) break;
+      pattern.lastIndex = end;
+
+      if (!/\/FlateDecode/.test(dict) || /\/Subtype\s*\/Image|\/Type\s*\/XRef|\/Length[123]\b|\/Subtype\s*\/(?:Type1C|CIDFontType0C|OpenType)/.test(dict)) {
+        continue;
+      }
+      try {
+        streams.push({ dict, data: await this.inflate(raw.slice(start, end)) });
+      } catch (e) {
+        // Damaged or unsupported streams are skipped
+      }
+    }
+    return streams;
+  },
+
+  async inflate(data) {
+    const bytes = Uint8Array.from(data, char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return this.toBinaryString(new Uint8Array(await new Response(stream).arrayBuffer()));
+  },
+
+  findXmp(text) {
+    const match = text.match(/<x:xmpmeta[\s\S]*?<\/x:xmpmeta>|<rdf:RDF[\s\S]*?<\/rdf:RDF>/);
+    return match ? match[0] : '';
+  },
+
+  /**
+   * Read Dublin Core and PRISM properties from an XMP packet. They are written
+   * as elements or as attributes of rdf:Description.
+   */
+  readXmp(xmp) {
+    const xml = this.decodeUtf8(xmp);
+    const property = name => {
+      const element = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+      if (element) {
+        const items = this.getXmpItems(element[1]);
+        return items.length > 0 ? items[0] : this.decodeXml(element[1]);
+      }
+      const attribute = xml.match(new RegExp(`\\b${name}="([^"]*)"`));
+      return attribute ? this.decodeXml(attribute[1]) : '';
+    };
+    const creators = xml.match(/<dc:creator>([\s\S]*?)<\/dc:creator>/);
+    const identifier = property('dc:identifier');
+    const doi = property('prism:doi') || property('pdfx:doi') || property('crossmark:DOI') ||
+      (/^(?:doi:|info:doi\/)?10\./i.test(identifier) ? identifier : '');
+
+    return {
+      title: this.cleanTitle(property('dc:title')),
+      author: creators ? this.getXmpItems(creators[1]).join('; ') : '',
+      date: property('prism:coverDate') || property('prism:publicationDate'),
+      publisher: property('dc:publisher'),
+      doi: doi.replace(/^(?:doi:|info:doi\/)/i, ''),
+      journal: property('prism:publicationName'),
+      volume: property('prism:volume'),
+      issue: property('prism:number'),
+      pages: [property('prism:startingPage'), property('prism:endingPage')].filter(Boolean).join('-')
+    };
+  },
+
+  getXmpItems(xml) {
+    return [...xml.matchAll(/<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/g)]
+      .map(match => this.decodeXml(match[1]))
+      .filter(Boolean);
+  },
+
+  /**
+   * Read the document Info dictionary (/Title, /Author, /Subject). Creation dates
+   * are when the file was made, not published, so they aren't used.
+   */
+  readInfo(raw, streams) {
+    // The last /Info reference wins: later revisions are appended to the file
+    const refs = [...raw.matchAll(/\/Info\s+(\d+)\s+(\d+)\s+R/g)];
+    if (refs.length === 0) return {};
+    const [, num, gen] = refs[refs.length - 1];
+
+    const direct = [...raw.matchAll(new RegExp(`(?:^|\\s)${num}\\s+${gen}\\s+obj\\s*<<([\\s\\S]*?)>>\\s*endobj`, 'g'))];
+    const dict = direct.length > 0 ? direct[direct.length - 1][1] : this.findInObjectStream(num, streams);
+    if (!dict) return {};
+
+    const value = key => {
+      const match = dict.match(new RegExp(`/${key}\\s*(\\((?:\\\\[\\s\\S]|[^\\\\)])*\\)|<[0-9A-Fa-f\\s]*>)`));
+      return match ? this.decodeTextString(match[1]).replace(/\s+/g, ' ').trim() : '';
+    };
+    const subject = `${value('Subject')} ${value('Keywords')} ${value('doi')}`;
+
+    return {
+      title: this.cleanTitle(value('Title')),
+      author: this.splitInfoAuthors(value('Author')),
+      doi: MetadataService.extractDoiFromUrl(subject) || ''
+    };
+  },
+
+  /**
+   * Find an object stored in a compressed object stream (/Type /ObjStm)
+   */
+  findInObjectStream(num, streams) {
+    for (const { dict, data } of streams) {
+      if (!/\/Type\s*\/ObjStm/.test(dict)) continue;
+      const first = Number((dict.match(/\/First\s+(\d+)/) || [])[1]);
+      const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i < header.length; i += 2) {
+        if (header[i] !== Number(num)) continue;
+        const start = first + header[i + 1];
+        const end = i + 3 < header.length ? first + header[i + 3] : data.length;
+        const match = data.slice(start, end).match(/<<([\s\S]*)>>/);
+        return match ? match[1] : '';
+      }
+    }
+    return '';
+  },
+
+  /**
+   * Text shown by the Tj/TJ operators of the first content streams. Fonts with
+   * their own encodings come out garbled, which is fine for finding identifiers.
+   */
+  extractText(streams) {
+    let text = '';
+    for (const { data } of streams) {
+      if (!/\bBT\b/.test(data)) continue;
+      for (const block of data.matchAll(/\bBT\b([\s\S]*?)\bET\b/g)) {
+        for (const op of block[1].matchAll(/(\[(?:\((?:\\[\s\S]|[^\\)])*\)|[^\]()])*\]|\((?:\\[\s\S]|[^\\)])*\))\s*(?:TJ|Tj|'|")/g)) {
+          // In TJ arrays, a large negative adjustment is a word space
+          text += (op[1].match(/\((?:\\[\s\S]|[^\\)])*\)|-?\d+(?:\.\d+)?/g) || [])
+            .map(part => part.startsWith('(') ? this.decodeLiteral(part.slice(1, -1)) : (Number(part) < -200 ? ' ' : ''))
+            .join('');
+        }
+        text += '\n';
+        if (text.length > this.TEXT_LIMIT) return text;
+      }
+    }
+    return text;
+  },
+
+  /**
+   * Undo the escapes of a PDF literal string
+   */
+  decodeLiteral(value) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    return value.replace(/\\(?:([nrtbf])|([0-7]{1,3})|\r?\n|([\s\S]))/g, (match, named, octal, other) => {
+      if (named) return escapes[named];
+      if (octal) return String.fromCharCode(parseInt(octal, 8));
+      return other === undefined ? '' : other;
+    });
+  },
+
+  /**
+   * A PDF text string, literal "(...)" or hex "<...>", in PDFDocEncoding or UTF-16BE
+   */
+  decodeTextString(token) {
+    const bytes = token.startsWith('(')
+      ? this.decodeLiteral(token.slice(1, -1))
+      : (token.slice(1, -1).replace(/\s/g, '').match(/.{1,2}/g) || []).map(hex => String.fromCharCode(parseInt(hex.padEnd(2, '0'), 16))).join('');
+
+    if (bytes.startsWith('\xFE\xFF')) {
+      let text = '';
+      for (let i = 2; i + 1 < bytes.length; i += 2) {
+        text += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+      }
+      return text;
+    }
+    return bytes.startsWith('\xEF\xBB\xBF') ? this.decodeUtf8(bytes.slice(3)) : bytes;
+  },
+
+  decodeUtf8(binary) {
+    try {
+      return new TextDecoder('utf-8').decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    } catch (e) {
+      return binary;
+    }
+  },
+
+  decodeXml(text) {
+    return text
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Drop titles that are file names or word processor leftovers
+   * ("Microsoft Word - draft.docx", "untitled", "paper.pdf"). Real titles that
+   * merely start with "Untitled" or "Title" are kept.
+   */
+  cleanTitle(title) {
+    if (!title || title.length < 4) return '';
+    if (/^(?:untitled(?:-\d+| document)?|title)$/i.test(title)) return '';
+    if (/^microsoft (?:word|powerpoint) - /i.test(title) || /\.(?:docx?|pdf|tex|dvi|ps|indd)$/i.test(title)) return '';
+    return title;
+  },
+
+  /**
+   * "Ann Smith, Bo Lee" or "Ann Smith and Bo Lee" -> "Ann Smith; Bo Lee". A single
+   * "Smith, Ann" is left as it is.
+   */
+  splitInfoAuthors(author) {
+    if (!author || /^(?:user|admin|owner|author|administrator|microsoft office user)$/i.test(author)) return '';
+    if (author.includes(';')) return author;
+    const parts = author.split(/\s*,\s*|\s+and\s+|\s*&\s*/).filter(Boolean);
+    return parts.every(part => part.includes(' ')) ? parts.join('; ') : author;
+  }
+};
+
+// Export for use in popup.js (the background worker loads it with importScripts)
+if (typeof window !== 'undefined') {
+  window.PdfMetadata = PdfMetadata;
+}
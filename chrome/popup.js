@@ -11,6 +11,16 @@ document.addEventListener('DOMContentLoaded', async () => {
   const previewBox = document.getElementById('citation-preview');
   const citationCode = document.getElementById('citation-code');
   const previewPlaceholder = document.getElementById('preview-placeholder');
+  const inTextSection = document.getElementById('intext-section');
+  const inTextList = document.getElementById('intext-list');
+  const inTextLocatorInput = document.getElementById('intext-locator');
+  const inTextLocatorLabel = document.getElementById('intext-locator-label');
+  const quoteBtn = document.getElementById('quote-btn');
+  const quoteSection = document.getElementById('quote-section');
+  const quoteText = document.getElementById('quote-text');
+  const quoteFormatSelect = document.getElementById('quote-format');
+  const quoteOutput = document.getElementById('quote-output');
+  const quoteCopyBtn = document.getElementById('quote-copy-btn');
   const copyBtn = document.getElementById('copy-btn');
   const refreshBtn = document.getElementById('refresh-btn');
   const toast = document.getElementById('toast');
@@ -30,6 +40,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   const aboutModal = document.getElementById('about-modal');
   const aboutClose = document.getElementById('about-close');
   const settingsBtn = document.getElementById('settings-btn');
+  const libraryBtn = document.getElementById('library-btn');
+  const batchBtn = document.getElementById('batch-btn');
   const settingsModal = document.getElementById('settings-modal');
   const settingsClose = document.getElementById('settings-close');
   const keyFormatInput = document.getElementById('key-format');
@@ -44,36 +56,125 @@ document.addEventListener('DOMContentLoaded', async () => {
   const zoteroUserIdInput = document.getElementById('zotero-user-id');
   const zoteroStatus = document.getElementById('zotero-status');
   const testZoteroBtn = document.getElementById('test-zotero-btn');
+  const zoteroSettings = document.getElementById('zotero-settings');
+  const zoteroTargetSelect = document.getElementById('zotero-target');
+
+  // CSL style elements
+  const cslStyleList = document.getElementById('csl-style-list');
+  const cslUploadBtn = document.getElementById('csl-upload-btn');
+  const cslUploadFile = document.getElementById('csl-upload-file');
   
   // Zotero save modal elements
   const zoteroSaveModal = document.getElementById('zotero-save-modal');
   const zoteroSaveClose = document.getElementById('zotero-save-close');
   const zoteroSaveFolder = document.getElementById('zotero-save-folder');
+  const zoteroSaveLibrary = document.getElementById('zotero-save-library');
+  const zoteroSaveLibraryGroup = document.getElementById('zotero-save-library-group');
   const zoteroSaveCancel = document.getElementById('zotero-save-cancel');
   const zoteroSaveConfirm = document.getElementById('zotero-save-confirm');
   const zoteroSaveStatus = document.getElementById('zotero-save-status');
+  const zoteroSaveNoteRow = document.getElementById('zotero-save-note-row');
+  const zoteroSaveNote = document.getElementById('zotero-save-note');
+  const zoteroSaveConfirmLabel = document.getElementById('zotero-save-confirm-label');
+  const zoteroAddCollectionBtn = document.getElementById('zotero-add-collection');
+  const zoteroUpdateFieldsBtn = document.getElementById('zotero-update-fields');
+  const zoteroDuplicateHeading = document.getElementById('zotero-duplicate-heading');
+  const zoteroDuplicateList = document.getElementById('zotero-duplicate-list');
+  const zoteroDesktopTargetName = document.getElementById('zotero-desktop-target-name');
+
+  // Zotero import modal elements
+  const zoteroImportBtn = document.getElementById('zotero-import-btn');
+  const zoteroImportModal = document.getElementById('zotero-import-modal');
+  const zoteroImportClose = document.getElementById('zotero-import-close');
+  const zoteroImportLibrary = document.getElementById('zotero-import-library');
+  const zoteroImportLibraryGroup = document.getElementById('zotero-import-library-group');
+  const zoteroImportCollection = document.getElementById('zotero-import-collection');
+  const zoteroImportSearch = document.getElementById('zotero-import-search');
+  const zoteroImportList = document.getElementById('zotero-import-list');
+  const zoteroImportStatus = document.getElementById('zotero-import-status');
+  const zoteroImportCount = document.getElementById('zotero-import-count');
+  const zoteroImportStyle = document.getElementById('zotero-import-style');
+  const zoteroImportOutput = document.getElementById('zotero-import-output');
+  const zoteroImportEdit = document.getElementById('zotero-import-edit');
+  const zoteroImportCopy = document.getElementById('zotero-import-copy');
+  const zoteroTagsBox = document.getElementById('zotero-tags');
+  const zoteroTagInput = document.getElementById('zotero-tag-input');
+  const zoteroTagSuggestions = document.getElementById('zotero-tag-suggestions');
+  const zoteroNoteText = document.getElementById('zotero-note-text');
+  const zoteroSaveLink = document.getElementById('zotero-save-link');
   
+  // Cite by identifier
+  const identifierInput = document.getElementById('identifier-input');
+  const identifierType = document.getElementById('identifier-type');
+  const identifierBtn = document.getElementById('identifier-btn');
+
   // Form fields
   const fields = {
     title: document.getElementById('title'),
-    author: document.getElementById('author'),
     date: document.getElementById('date'),
     url: document.getElementById('url'),
     publisher: document.getElementById('publisher'),
     doi: document.getElementById('doi'),
     isbn: document.getElementById('isbn'),
+    edition: document.getElementById('edition'),
+    place: document.getElementById('place'),
     journal: document.getElementById('journal'),
     volume: document.getElementById('volume'),
     issue: document.getElementById('issue'),
-    pages: document.getElementById('pages')
+    pages: document.getElementById('pages'),
+    thesisType: document.getElementById('thesis-type'),
+    number: document.getElementById('number'),
+    version: document.getElementById('version')
+  };
+
+  // Creator editor
+  const creatorList = document.getElementById('creator-list');
+  const addCreatorBtn = document.getElementById('add-creator-btn');
+
+  // Rows and fields that only apply to some source types
+  const typedFields = document.querySelectorAll('[data-source-types]');
+
+  // Field labels that change with the source type; other types keep the label in popup.html
+  const FIELD_LABELS = {
+    journal: { chapter: 'Book Title', conference: 'Proceedings' },
+    publisher: { thesis: 'University', report: 'Institution', dataset: 'Repository', preprint: 'Repository' },
+    number: { preprint: 'Archive ID' }
   };
 
-  const journalFields = document.querySelectorAll('.journal-fields');
+  // Placeholder of the in-text locator for each kind of locator
+  const LOCATOR_PLACEHOLDERS = {
+    page: 'Page(s)',
+    section: 'Section',
+    paragraph: 'Paragraph',
+    timestamp: '1:02:15'
+  };
   
   // Default settings
   const DEFAULT_KEY_FORMAT = 'auth.lower + shorttitle(3,3) + year';
   let currentKeyFormat = DEFAULT_KEY_FORMAT;
 
+  // Library entry being edited when the popup is re-opened from the library page
+  let currentLibraryEntryId = new URLSearchParams(window.location.search).get('entry');
+
+  // Rows of the creator editor; a row is a creator plus an organization flag
+  let currentCreators = [];
+
+  // Items in the Zotero library matching the citation being saved, and collection names by key
+  let zoteroDuplicates = [];
+  let zoteroCollectionNames = {};
+
+  // Tags entered in the Zotero save modal
+  let zoteroTags = [];
+
+  // Whether the save modal saves through Zotero desktop (see zoteroConnector.js)
+  let zoteroDesktop = false;
+
+  // Items listed in the Zotero import modal, and those ticked (kept across searches) by key
+  let zoteroImportItems = [];
+  const zoteroImportSelected = new Map();
+  let zoteroImportSearchTimer = null;
+  let zoteroImportRequest = 0;
+
   /**
    * Toggle details section
    */
@@ -87,14 +188,20 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   /**
-   * Show/hide journal-specific fields based on source type
+   * Show/hide type-specific fields and relabel shared ones based on source type
    */
   function updateFieldVisibility() {
     const sourceType = sourceTypeSelect ? sourceTypeSelect.value : 'webpage';
-    const showJournalFields = ['article', 'journal'].includes(sourceType);
-    
-    journalFields.forEach(el => {
-      el.classList.toggle('visible', showJournalFields);
+
+    typedFields.forEach(el => {
+      el.classList.toggle('visible', el.dataset.sourceTypes.split(' ').includes(sourceType));
+    });
+
+    Object.entries(FIELD_LABELS).forEach(([field, labels]) => {
+      const label = document.querySelector(`label[for="${fields[field].id}"]`);
+      if (!label) return;
+      if (!label.dataset.defaultLabel) label.dataset.defaultLabel = label.textContent.trim().replace(/\s+/g, ' ');
+      label.textContent = labels[sourceType] || label.dataset.defaultLabel;
     });
   }
 
@@ -105,60 +212,187 @@ document.addEventListener('DOMContentLoaded', async () => {
     const dateValue = fields.date ? fields.date.value.trim() : '';
     const yearMatch = dateValue.match(/(\d{4})/);
     
-    return {
+    const metadata = {
       title: fields.title ? fields.title.value.trim() : '',
-      author: fields.author ? fields.author.value.trim() : '',
       date: dateValue,
       year: yearMatch ? yearMatch[1] : '',
       url: fields.url ? fields.url.value.trim() : '',
       publisher: fields.publisher ? fields.publisher.value.trim() : '',
       doi: fields.doi ? fields.doi.value.trim() : '',
       isbn: fields.isbn ? fields.isbn.value.trim() : '',
+      edition: fields.edition ? fields.edition.value.trim() : '',
+      place: fields.place ? fields.place.value.trim() : '',
       journal: fields.journal ? fields.journal.value.trim() : '',
       volume: fields.volume ? fields.volume.value.trim() : '',
       issue: fields.issue ? fields.issue.value.trim() : '',
       pages: fields.pages ? fields.pages.value.trim() : '',
+      thesisType: fields.thesisType ? fields.thesisType.value.trim() : '',
+      number: fields.number ? fields.number.value.trim() : '',
+      version: fields.version ? fields.version.value.trim() : '',
       sourceType: sourceTypeSelect ? sourceTypeSelect.value : 'webpage',
       includeAccessDate: includeAccessDate ? includeAccessDate.checked : true,
       keyFormat: currentKeyFormat,
-      isConference: isConferencePaper,
       semanticScholarBibtex: semanticScholarBibtex
     };
+
+    return Creators.applyToMetadata(metadata, getCreators());
   }
 
-  // Store peer-reviewed version data and original arXiv data
-  let peerReviewedVersion = null;
-  let arxivVersion = null;
-  let currentVersion = 'arxiv'; // 'arxiv' or 'published'
-  let isConferencePaper = false; // Track if the current version is a conference paper
-  let semanticScholarBibtex = null; // Store BibTeX from Semantic Scholar API
+  /**
+   * Create a creator editor row
+   */
+  function createCreatorRow(creator = {}) {
+    const row = Creators.create(creator);
+    row.organization = Boolean(row.literal);
+    return row;
+  }
 
   /**
-   * Extract arXiv ID from URL
+   * Replace the creators shown in the creator editor
+   * @param {Object[]} creators
    */
-  function extractArxivId(url) {
-    if (!url) return null;
-    
-    // Match patterns like:
-    // https://arxiv.org/abs/2301.00001
-    // https://arxiv.org/pdf/2301.00001.pdf
-    // https://arxiv.org/abs/hep-th/9901001
-    const patterns = [
-      /arxiv\.org\/(?:abs|pdf)\/(\d{4}\.\d{4,5})/i,
-      /arxiv\.org\/(?:abs|pdf)\/([\w-]+\/\d{7})/i,
-      /arXiv:(\d{4}\.\d{4,5})/i,
-      /arXiv:([\w-]+\/\d{7})/i
-    ];
-    
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match) {
-        return match[1];
-      }
+  function setCreators(creators) {
+    currentCreators = creators.map(createCreatorRow);
+    if (currentCreators.length === 0) currentCreators.push(createCreatorRow());
+    renderCreatorEditor();
+  }
+
+  /**
+   * Get the non-empty creators from the creator editor
+   */
+  function getCreators() {
+    return currentCreators
+      .map(row => Creators.create(row.organization
+        ? { literal: row.literal, role: row.role }
+        : { ...row, literal: '' }))
+      .filter(creator => !Creators.isEmpty(creator));
+  }
+
+  /**
+   * Called after an edit in the creator editor
+   */
+  function onCreatorsChanged() {
+    clearProvenance(creatorList);
+    updatePreview();
+    updateKeyPreview();
+  }
+
+  /**
+   * Switch a creator between a person and an organization, keeping the name
+   */
+  function toggleCreatorType(index) {
+    const row = currentCreators[index];
+    if (row.organization) {
+      currentCreators[index] = createCreatorRow(row.literal ? Creators.parseName(row.literal, row.role) : { role: row.role });
+    } else {
+      const name = Creators.toDisplayName({ ...row, literal: '' });
+      currentCreators[index] = { ...createCreatorRow({ literal: name, role: row.role }), organization: true };
     }
-    return null;
+    renderCreatorEditor();
+    onCreatorsChanged();
+  }
+
+  /**
+   * Move a creator up (-1) or down (+1)
+   */
+  function moveCreator(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= currentCreators.length) return;
+    [currentCreators[index], currentCreators[target]] = [currentCreators[target], currentCreators[index]];
+    renderCreatorEditor();
+    onCreatorsChanged();
+  }
+
+  /**
+   * Remove a creator; the last row is cleared instead so there is always one to type in
+   */
+  function removeCreator(index) {
+    currentCreators.splice(index, 1);
+    if (currentCreators.length === 0) currentCreators.push(createCreatorRow());
+    renderCreatorEditor();
+    onCreatorsChanged();
+  }
+
+  /**
+   * Render the creator editor rows
+   */
+  function renderCreatorEditor() {
+    if (!creatorList) return;
+    creatorList.innerHTML = '';
+
+    currentCreators.forEach((row, index) => {
+      const item = document.createElement('li');
+      item.className = 'creator-row';
+      const names = document.createElement('div');
+      names.className = 'creator-names';
+      const controls = document.createElement('div');
+      controls.className = 'creator-controls';
+
+      const inputs = row.organization
+        ? [['literal', 'Organization name', row.literal]]
+        : [['family', 'Family name', Creators.getFamily(row)], ['given', 'Given names', row.given], ['suffix', 'Jr.', row.suffix]];
+
+      inputs.forEach(([field, placeholder, value]) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = `creator-${field}`;
+        input.placeholder = placeholder;
+        input.value = value;
+        input.addEventListener('input', () => {
+          if (field === 'family') {
+            // "van der Berg" -> particle "van der", family "Berg"
+            Object.assign(row, Creators.splitParticle(input.value));
+          } else {
+            row[field] = input.value.trim();
+          }
+          onCreatorsChanged();
+        });
+        names.appendChild(input);
+      });
+
+      const roleSelect = document.createElement('select');
+      roleSelect.className = 'creator-role';
+      roleSelect.title = 'Role';
+      Object.entries(Creators.ROLES).forEach(([role, { label }]) => {
+        roleSelect.add(new Option(label, role, false, role === row.role));
+      });
+      roleSelect.addEventListener('change', () => {
+        row.role = roleSelect.value;
+        onCreatorsChanged();
+      });
+      controls.appendChild(roleSelect);
+
+      const actions = [
+        row.organization
+          ? ['person', 'Switch to person', () => toggleCreatorType(index)]
+          : ['business', 'Switch to organization', () => toggleCreatorType(index)],
+        ['arrow_upward', 'Move up', () => moveCreator(index, -1), index === 0],
+        ['arrow_downward', 'Move down', () => moveCreator(index, 1), index === currentCreators.length - 1],
+        ['close', 'Remove', () => removeCreator(index)]
+      ];
+
+      actions.forEach(([icon, title, onClick, disabled]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'creator-action';
+        button.title = title;
+        button.disabled = Boolean(disabled);
+        button.innerHTML = `<span class="material-icons">${icon}</span>`;
+        button.addEventListener('click', onClick);
+        controls.appendChild(button);
+      });
+
+      item.append(names, controls);
+      creatorList.appendChild(item);
+    });
   }
 
+  // Store peer-reviewed version data and original arXiv data
+  let peerReviewedVersion = null;
+  let arxivVersion = null;
+  let currentVersion = 'arxiv'; // 'arxiv' or 'published'
+  let semanticScholarBibtex = null; // Store BibTeX from Semantic Scholar API
+
   /**
    * Update peer-review search status
    */
@@ -194,7 +428,7 @@ document.addEventListener('DOMContentLoaded', async () => {
    * Check for peer-reviewed version using Semantic Scholar API
    */
   async function checkForPeerReviewedVersion(url) {
-    const arxivId = extractArxivId(url);
+    const arxivId = MetadataService.extractArxivId(url);
     if (!arxivId) {
       hideVersionSwitcher();
       updatePeerReviewStatus('hide');
@@ -204,10 +438,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Show loading status
     updatePeerReviewStatus('loading');
 
+    // arXiv papers are preprints until the published version is chosen
+    if (sourceTypeSelect) sourceTypeSelect.value = 'preprint';
+    if (fields.number && !fields.number.value) fields.number.value = `arXiv:${arxivId}`;
+    updateFieldVisibility();
+
     // Store the current arXiv version before checking
     arxivVersion = {
       title: fields.title ? fields.title.value : '',
-      author: fields.author ? fields.author.value : '',
+      creators: getCreators(),
       date: fields.date ? fields.date.value : '',
       url: fields.url ? fields.url.value : '',
       publisher: fields.publisher ? fields.publisher.value : '',
@@ -216,6 +455,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       volume: fields.volume ? fields.volume.value : '',
       issue: fields.issue ? fields.issue.value : '',
       pages: fields.pages ? fields.pages.value : '',
+      number: fields.number ? fields.number.value : '',
       arxivId: arxivId
     };
 
@@ -279,8 +519,9 @@ document.addEventListener('DOMContentLoaded', async () => {
           year: data.year ? data.year.toString() : '',
           date: data.publicationDate || (data.year ? data.year.toString() : ''),
           venue: venueName,
-          publisher: venueName, // Use venue as publisher
-          journal: journalName,
+          // Conference papers appear in the proceedings; journal articles list the venue as publisher
+          publisher: isConference ? '' : venueName,
+          journal: isConference ? venueName : journalName,
           volume: data.journal?.volume || '',
           issue: '',
           pages: data.journal?.pages || '',
@@ -385,7 +626,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (version === 'arxiv' && arxivVersion) {
       // Apply arXiv version
       if (fields.title) fields.title.value = arxivVersion.title || '';
-      if (fields.author) fields.author.value = arxivVersion.author || '';
+      setCreators(arxivVersion.creators || []);
       if (fields.date) fields.date.value = arxivVersion.date || '';
       if (fields.url) fields.url.value = arxivVersion.url || '';
       if (fields.publisher) fields.publisher.value = arxivVersion.publisher || '';
@@ -394,14 +635,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (fields.volume) fields.volume.value = arxivVersion.volume || '';
       if (fields.issue) fields.issue.value = arxivVersion.issue || '';
       if (fields.pages) fields.pages.value = arxivVersion.pages || '';
+      if (fields.number) fields.number.value = arxivVersion.number || '';
       
-      // Reset source type and conference flag for preprint
-      if (sourceTypeSelect) sourceTypeSelect.value = 'article';
-      isConferencePaper = false;
+      // Reset source type for preprint
+      if (sourceTypeSelect) sourceTypeSelect.value = 'preprint';
     } else if (version === 'published' && peerReviewedVersion) {
       // Apply peer-reviewed version
       if (fields.title) fields.title.value = peerReviewedVersion.title || '';
-      if (fields.author) fields.author.value = peerReviewedVersion.author || '';
+      setCreators(Creators.parse(peerReviewedVersion.author));
       if (fields.date) fields.date.value = peerReviewedVersion.date || '';
       if (fields.url) fields.url.value = peerReviewedVersion.url || '';
       if (fields.publisher) fields.publisher.value = peerReviewedVersion.publisher || '';
@@ -410,10 +651,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (fields.volume) fields.volume.value = peerReviewedVersion.volume || '';
       if (fields.issue) fields.issue.value = peerReviewedVersion.issue || '';
       if (fields.pages) fields.pages.value = peerReviewedVersion.pages || '';
+      if (fields.number) fields.number.value = '';
       
-      // Set source type and conference flag based on publication type
-      if (sourceTypeSelect) sourceTypeSelect.value = peerReviewedVersion.isConference ? 'article' : 'journal';
-      isConferencePaper = peerReviewedVersion.isConference || false;
+      // Set source type based on publication type
+      if (sourceTypeSelect) sourceTypeSelect.value = peerReviewedVersion.isConference ? 'conference' : 'journal';
     }
 
     updateFieldVisibility();
@@ -458,6 +699,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (!metadata.title && !metadata.author && !metadata.url) {
       if (citationCode) citationCode.innerHTML = '';
       if (previewPlaceholder) previewPlaceholder.style.display = 'block';
+      renderInTextCitations([]);
       return;
     }
     
@@ -465,6 +707,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       const citation = CitationFormatter.format(metadata, style);
       if (citationCode) citationCode.innerHTML = formatCitationDisplay(citation, style);
       if (previewPlaceholder) previewPlaceholder.style.display = 'none';
+      renderInTextCitations(CitationFormatter.getInTextCitations(metadata, style, getLocator()));
+      updateQuote();
     } catch (error) {
       console.error('Error generating citation:', error);
       if (citationCode) citationCode.innerHTML = '';
@@ -472,49 +716,122 @@ document.addEventListener('DOMContentLoaded', async () => {
         previewPlaceholder.textContent = 'Error generating citation';
         previewPlaceholder.style.display = 'block';
       }
+      renderInTextCitations([]);
     }
   }
 
   /**
-   * Get citation in selected output format
+   * The locator typed under In-text and what kind of locator it is
+   * @returns {Object} { locator, label } for CitationFormatter.getInTextCitations()
    */
-  function getFormattedCitation() {
+  function getLocator() {
+    return {
+      locator: inTextLocatorInput ? inTextLocatorInput.value : '',
+      label: inTextLocatorLabel ? inTextLocatorLabel.value : 'page'
+    };
+  }
+
+  function hasQuote() {
+    return !!(quoteSection && quoteSection.classList.contains('show') && quoteText && quoteText.value.trim());
+  }
+
+  /**
+   * Format the quote as a block quote with the in-text citation (and locator) of
+   * the current style, followed by the reference
+   * @param {string} outputFormat - 'plain', 'markdown' or 'html'
+   * @param {boolean} [includeReference] - false for a Zotero note, which sits under the item
+   */
+  function getQuote(outputFormat, includeReference = true) {
+    if (!hasQuote()) return '';
     const metadata = getMetadata();
     const style = citationStyleSelect ? citationStyleSelect.value : 'apa';
-    const outputFormat = outputFormatSelect ? outputFormatSelect.value : 'plain';
-    
-    let citation = CitationFormatter.format(metadata, style);
-    
-    switch (outputFormat) {
-      case 'markdown':
-        if (style === 'bibtex') {
-          citation = '```bibtex\n' + citation + '\n```';
-        } else {
-          citation = '> ' + citation;
-        }
-        break;
-      case 'html':
-        if (style === 'bibtex') {
-          citation = '<pre><code class="language-bibtex">' + escapeHtml(citation) + '</code></pre>';
-        } else {
-          citation = '<p class="citation">' + escapeHtml(citation) + '</p>';
-        }
-        break;
-      default:
-        // plain text - no modification needed
-        break;
+    const [inText] = CitationFormatter.getInTextCitations(metadata, style, getLocator());
+    const reference = includeReference ? CitationFormatter.format(metadata, style) : '';
+    return CitationFormatter.formatQuote(quoteText.value, inText ? inText.text : '', reference, style, outputFormat);
+  }
+
+  function updateQuote() {
+    if (!quoteOutput) return;
+    quoteOutput.textContent = getQuote(quoteFormatSelect ? quoteFormatSelect.value : 'plain');
+  }
+
+  /**
+   * Open the quote section, with the given text if there is any
+   */
+  function showQuote(text = '') {
+    if (!quoteSection) return;
+    quoteSection.classList.add('show');
+    if (text && quoteText) quoteText.value = text;
+    updateQuote();
+  }
+
+  /**
+   * Text selected in the tab when the popup was opened. Pages that can't be
+   * scripted, including Chrome's PDF viewer, have none.
+   */
+  async function readSelection(tab) {
+    try {
+      const [result] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => window.getSelection().toString()
+      });
+      return result && result.result ? result.result.trim() : '';
+    } catch (error) {
+      return '';
     }
-    
-    return citation;
+  }
+
+  async function copyQuote() {
+    const quote = getQuote(quoteFormatSelect ? quoteFormatSelect.value : 'plain');
+    if (!quote) {
+      showToast('No quote to copy', true);
+      return;
+    }
+    const copied = await copyToClipboard(quote, 'Quote copied to clipboard!');
+    if (copied) {
+      await recordInLibrary('copy');
+    }
+  }
+
+  /**
+   * Render the in-text forms of the citation, each with its own copy button
+   */
+  function renderInTextCitations(forms) {
+    if (!inTextSection || !inTextList) return;
+    inTextList.innerHTML = '';
+    inTextSection.classList.toggle('show', forms.length > 0);
+
+    forms.forEach(form => {
+      const item = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.className = 'intext-label';
+      label.textContent = form.label;
+
+      const text = document.createElement('code');
+      text.className = 'intext-text';
+      text.textContent = form.text;
+
+      const copyButton = document.createElement('button');
+      copyButton.className = 'icon-btn';
+      copyButton.title = 'Copy in-text citation';
+      copyButton.innerHTML = '<span class="material-icons">content_copy</span>';
+      copyButton.addEventListener('click', () => copyToClipboard(form.text, 'In-text citation copied!'));
+
+      item.append(label, text, copyButton);
+      inTextList.appendChild(item);
+    });
   }
 
   /**
-   * Escape HTML entities
+   * Get citation in selected output format
    */
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  function getFormattedCitation() {
+    const metadata = getMetadata();
+    const style = citationStyleSelect ? citationStyleSelect.value : 'apa';
+    const outputFormat = outputFormatSelect ? outputFormatSelect.value : 'plain';
+    
+    return CitationFormatter.wrapOutput(CitationFormatter.format(metadata, style), style, outputFormat);
   }
 
   /**
@@ -528,31 +845,63 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
     
+    const copied = await copyToClipboard(citation);
+    if (copied) {
+      await recordInLibrary('copy');
+    }
+  }
+
+  /**
+   * Copy text to the clipboard and show a toast
+   * @returns {boolean} whether the text was copied
+   */
+  async function copyToClipboard(text, successMessage = 'Citation copied to clipboard!') {
     try {
       // Try using the modern clipboard API first
       if (navigator.clipboard && navigator.clipboard.writeText) {
-        await navigator.clipboard.writeText(citation);
-        showToast('Citation copied to clipboard!');
-      } else {
-        // Fallback for older browsers or restricted contexts
-        fallbackCopyToClipboard(citation);
+        await navigator.clipboard.writeText(text);
+        showToast(successMessage);
+        return true;
       }
+      // Fallback for older browsers or restricted contexts
+      return fallbackCopyToClipboard(text, successMessage);
     } catch (error) {
       console.error('Error copying to clipboard:', error);
       // Try fallback method
       try {
-        fallbackCopyToClipboard(citation);
+        return fallbackCopyToClipboard(text, successMessage);
       } catch (fallbackError) {
         console.error('Fallback copy also failed:', fallbackError);
         showToast('Failed to copy citation', true);
+        return false;
       }
     }
   }
 
+  /**
+   * Record the current citation in the local library
+   */
+  async function recordInLibrary(action) {
+    try {
+      const metadata = getMetadata();
+      const style = citationStyleSelect ? citationStyleSelect.value : 'apa';
+      const entry = await CitationLibrary.record({
+        metadata,
+        style,
+        citation: CitationFormatter.format(metadata, style),
+        action,
+        entryId: currentLibraryEntryId
+      });
+      currentLibraryEntryId = entry.id;
+    } catch (error) {
+      console.error('Error saving citation to library:', error);
+    }
+  }
+
   /**
    * Fallback method to copy text to clipboard using execCommand
    */
-  function fallbackCopyToClipboard(text) {
+  function fallbackCopyToClipboard(text, successMessage = 'Citation copied to clipboard!') {
     const textArea = document.createElement('textarea');
     textArea.value = text;
     
@@ -569,10 +918,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
       const successful = document.execCommand('copy');
       if (successful) {
-        showToast('Citation copied to clipboard!');
+        showToast(successMessage);
       } else {
         showToast('Failed to copy citation', true);
       }
+      return successful;
     } finally {
       document.body.removeChild(textArea);
     }
@@ -614,64 +964,30 @@ document.addEventListener('DOMContentLoaded', async () => {
   /**
    * Fetch Zotero collections/folders and populate the save modal dropdown
    */
-  async function fetchZoteroCollections(apiKey, userId) {
+  async function fetchZoteroCollections(credentials) {
     if (!zoteroSaveFolder) return [];
+
+    // Clear the previous library's collections, leaving this library's root
+    const selectedLibrary = zoteroSaveLibrary && zoteroSaveLibrary.selectedOptions[0];
+    const rootOption = document.createElement('option');
+    rootOption.value = '';
+    rootOption.textContent = `${selectedLibrary ? selectedLibrary.textContent : 'My Library'} (root)`;
+    zoteroSaveFolder.innerHTML = '';
+    zoteroSaveFolder.appendChild(rootOption);
+    zoteroCollectionNames = {};
     
     try {
-      const response = await fetch(
-        `https://api.zotero.org/users/${userId}/collections`,
-        {
-          method: 'GET',
-          headers: {
-            'Zotero-API-Key': apiKey,
-            'Zotero-API-Version': '3'
-          }
-        }
-      );
-
-      if (!response.ok) {
-        console.error('Failed to fetch Zotero collections:', response.status);
-        return [];
-      }
-
-      const collections = await response.json();
-      
-      // Clear existing options except the default
-      zoteroSaveFolder.innerHTML = '<option value="">My Library (root)</option>';
-      
-      // Function to get indented name based on nesting level
-      function getIndentedCollections(parentKey = null, level = 0) {
-        const result = [];
-        collections.forEach(col => {
-          const colParent = col.data.parentCollection || null;
-          if (colParent === parentKey) {
-            const indent = '  '.repeat(level);
-            result.push({
-              key: col.key,
-              name: indent + (level > 0 ? '└ ' : '') + col.data.name
-            });
-            // Get children
-            result.push(...getIndentedCollections(col.key, level + 1));
-          }
-        });
-        return result;
-      }
-      
-      const sortedCollections = getIndentedCollections(false, 0);
-      
-      // Add collections to select
-      sortedCollections.forEach(col => {
-        const option = document.createElement('option');
-        option.value = col.key;
-        option.textContent = col.name;
-        zoteroSaveFolder.appendChild(option);
-      });
+      const collections = await ZoteroClient.getCollections(credentials);
+      zoteroCollectionNames = Object.fromEntries(collections.map(col => [col.key, col.data.name]));
+      addCollectionOptions(zoteroSaveFolder, collections);
       
       // Restore last used collection if any
       try {
         const stored = await chrome.storage.local.get(['zoteroLastCollection']);
         if (stored.zoteroLastCollection) {
           zoteroSaveFolder.value = stored.zoteroLastCollection;
+          // The last collection may be in another library
+          if (!zoteroSaveFolder.value) zoteroSaveFolder.value = '';
         }
       } catch (e) {
         console.error('Error restoring last Zotero collection:', e);
@@ -684,6 +1000,37 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  /**
+   * Add a library's collections to a dropdown as a tree, subcollections indented
+   * under their parents
+   */
+  function addCollectionOptions(select, collections) {
+    // Function to get indented name based on nesting level
+    function getIndentedCollections(parentKey = null, level = 0) {
+      const result = [];
+      collections.forEach(col => {
+        const colParent = col.data.parentCollection || null;
+        if (colParent === parentKey) {
+          const indent = '  '.repeat(level);
+          result.push({
+            key: col.key,
+            name: indent + (level > 0 ? '└ ' : '') + col.data.name
+          });
+          // Get children
+          result.push(...getIndentedCollections(col.key, level + 1));
+        }
+      });
+      return result;
+    }
+
+    getIndentedCollections(null, 0).forEach(col => {
+      const option = document.createElement('option');
+      option.value = col.key;
+      option.textContent = col.name;
+      select.appendChild(option);
+    });
+  }
+
   /**
    * Update Zotero save modal status
    */
@@ -701,86 +1048,153 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   /**
-   * Convert metadata to Zotero item format
+   * List the libraries the API key can save to, selecting the one last saved to.
+   * The choice is only shown when there are group libraries.
    */
-  function metadataToZoteroItem(metadata) {
-    // Determine item type based on source type
-    let itemType = 'webpage';
-    const sourceType = sourceTypeSelect ? sourceTypeSelect.value : 'webpage';
-    
-    switch (sourceType) {
-      case 'article':
-      case 'journal':
-        itemType = metadata.journal ? 'journalArticle' : 'conferencePaper';
-        break;
-      case 'book':
-        itemType = 'book';
-        break;
-      case 'news':
-        itemType = 'newspaperArticle';
-        break;
-      default:
-        itemType = 'webpage';
-    }
-
-    // Parse authors into Zotero format
-    const creators = [];
-    if (metadata.author) {
-      const authors = metadata.author.split(/[;]/).map(a => a.trim()).filter(a => a);
-      authors.forEach(author => {
-        let firstName = '';
-        let lastName = '';
-        
-        if (author.includes(',')) {
-          // Format: "Last, First"
-          const parts = author.split(',').map(p => p.trim());
-          lastName = parts[0];
-          firstName = parts[1] || '';
-        } else {
-          // Format: "First Last"
-          const parts = author.split(' ');
-          lastName = parts.pop() || '';
-          firstName = parts.join(' ');
-        }
-        
-        creators.push({
-          creatorType: 'author',
-          firstName: firstName,
-          lastName: lastName
-        });
+  async function fetchZoteroLibraries(credentials) {
+    if (!zoteroSaveLibrary) return;
+
+    let libraries = [];
+    try {
+      libraries = await ZoteroClient.getLibraries(credentials);
+    } catch (error) {
+      console.error('Error fetching Zotero libraries:', error);
+    }
+    if (libraries.length === 0) {
+      libraries = [{ path: `users/${credentials.userId}`, name: 'My Library' }];
+    }
+
+    zoteroSaveLibrary.innerHTML = '';
+    libraries.forEach(library => {
+      const option = document.createElement('option');
+      option.value = library.path;
+      option.textContent = library.name;
+      zoteroSaveLibrary.appendChild(option);
+    });
+    if (zoteroSaveLibraryGroup) zoteroSaveLibraryGroup.classList.toggle('show', libraries.length > 1);
+
+    const stored = await chrome.storage.local.get(['zoteroLastLibrary']);
+    if (stored.zoteroLastLibrary) zoteroSaveLibrary.value = stored.zoteroLastLibrary;
+    if (!zoteroSaveLibrary.value) zoteroSaveLibrary.value = libraries[0].path;
+  }
+
+  /**
+   * The saved credentials, pointed at the library chosen in the save modal
+   */
+  async function getZoteroCredentials() {
+    const credentials = await ZoteroClient.getCredentials();
+    if (!credentials) return null;
+    return { ...credentials, library: zoteroSaveLibrary ? zoteroSaveLibrary.value : '' };
+  }
+
+  /**
+   * Load the chosen library's collections and look for the citation in it
+   */
+  async function loadZoteroLibrary(credentials) {
+    zoteroDuplicates = [];
+    renderZoteroDuplicates();
+
+    updateZoteroSaveStatus('Loading collections...', 'loading');
+    await fetchZoteroCollections(credentials);
+
+    await fetchZoteroTags(credentials);
+
+    updateZoteroSaveStatus('Checking your library for this item...', 'loading');
+    try {
+      zoteroDuplicates = await ZoteroClient.findDuplicates(getMetadata(), credentials);
+    } catch (error) {
+      // Saving still works without the check
+      console.error('Error checking Zotero for duplicates:', error);
+    }
+    renderZoteroDuplicates();
+    updateZoteroSaveStatus('');
+  }
+
+  /**
+   * Offer the library's tags as suggestions in the tag input
+   */
+  async function fetchZoteroTags(credentials) {
+    if (!zoteroTagSuggestions) return;
+    zoteroTagSuggestions.innerHTML = '';
+    try {
+      (await ZoteroClient.getTags(credentials)).forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        zoteroTagSuggestions.appendChild(option);
       });
+    } catch (error) {
+      console.error('Error fetching Zotero tags:', error);
     }
+  }
 
-    // Build the Zotero item
-    const item = {
-      itemType: itemType,
-      title: metadata.title || '',
-      creators: creators,
-      date: metadata.date || '',
-      url: metadata.url || '',
-      accessDate: new Date().toISOString().split('T')[0],
-      tags: [],
-      relations: {}
-    };
+  /**
+   * Add tags typed in the tag input ("project-x, to read"), ignoring repeats
+   */
+  function addZoteroTags(text) {
+    text.split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+      if (!zoteroTags.some(existing => existing.toLowerCase() === tag.toLowerCase())) zoteroTags.push(tag);
+    });
+    renderZoteroTags();
+  }
 
-    // Add type-specific fields
-    if (metadata.doi) item.DOI = metadata.doi;
-    if (metadata.isbn) item.ISBN = metadata.isbn;
-    if (metadata.publisher) item.publisher = metadata.publisher;
-    
-    if (itemType === 'journalArticle') {
-      if (metadata.journal) item.publicationTitle = metadata.journal;
-      if (metadata.volume) item.volume = metadata.volume;
-      if (metadata.issue) item.issue = metadata.issue;
-      if (metadata.pages) item.pages = metadata.pages;
-    } else if (itemType === 'conferencePaper') {
-      if (metadata.publisher) item.conferenceName = metadata.publisher;
-      if (metadata.pages) item.pages = metadata.pages;
-    } else if (itemType === 'webpage') {
-      if (metadata.publisher) item.websiteTitle = metadata.publisher;
+  function renderZoteroTags() {
+    if (!zoteroTagsBox) return;
+    zoteroTagsBox.querySelectorAll('.zotero-tag').forEach(chip => chip.remove());
+    zoteroTags.forEach((tag, index) => {
+      const chip = document.createElement('span');
+      chip.className = 'zotero-tag';
+      chip.textContent = tag;
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.title = 'Remove tag';
+      removeButton.innerHTML = '<span class="material-icons">close</span>';
+      removeButton.addEventListener('click', () => {
+        zoteroTags.splice(index, 1);
+        renderZoteroTags();
+      });
+
+      chip.appendChild(removeButton);
+      zoteroTagsBox.insertBefore(chip, zoteroTagInput);
+    });
+  }
+
+  /**
+   * The tags to save, including one still being typed
+   */
+  function getZoteroTags() {
+    if (zoteroTagInput && zoteroTagInput.value.trim()) {
+      addZoteroTags(zoteroTagInput.value);
+      zoteroTagInput.value = '';
     }
+    return zoteroTags;
+  }
 
-    return item;
+  /**
+   * Child items to create under the saved item: one note holding the quote and
+   * the typed note, and a link to the page
+   * @returns {Object[]} [{ item, name }], name describing it for the toast
+   */
+  function getZoteroChildren(parentKey) {
+    const children = [];
+    const noteText = zoteroNoteText ? zoteroNoteText.value.trim() : '';
+    const quote = hasQuote() && zoteroSaveNote && zoteroSaveNote.checked ? getQuote('html', false) : '';
+    const comment = noteText
+      .split(/\n\s*\n/)
+      .map(paragraph => `<p>${CitationFormatter.escapeXml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+      .join('');
+
+    if (quote || noteText) {
+      children.push({
+        item: ZoteroClient.toNote(quote + (noteText ? comment : ''), parentKey),
+        name: quote ? 'the quote as a note' : 'the note'
+      });
+    }
+    const url = fields.url ? fields.url.value.trim() : '';
+    if (zoteroSaveLink && zoteroSaveLink.checked && url) {
+      children.push({ item: ZoteroClient.toLinkAttachment(url, parentKey), name: 'a link to the page' });
+    }
+    return children;
   }
 
   /**
@@ -794,151 +1208,539 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    // Get Zotero credentials from storage
-    let zoteroApiKey, zoteroUserId;
+    // Get Zotero credentials from storage; Zotero desktop needs none
+    let credentials;
     try {
-      const stored = await chrome.storage.local.get(['zoteroApiKey', 'zoteroUserId']);
-      zoteroApiKey = stored.zoteroApiKey;
-      zoteroUserId = stored.zoteroUserId;
+      zoteroDesktop = await ZoteroConnector.isEnabled();
+      credentials = zoteroDesktop || await ZoteroClient.getCredentials();
     } catch (e) {
       console.error('Error getting Zotero credentials:', e);
     }
 
-    if (!zoteroApiKey || !zoteroUserId) {
+    if (!credentials) {
       showToast('Please configure Zotero in Settings', true);
       showModal(settingsModal);
       return;
     }
 
-    // Show the modal
+    // Show the modal, with the tags last saved with
+    zoteroDuplicates = [];
+    renderZoteroDuplicates();
+    zoteroSaveModal.classList.toggle('desktop', zoteroDesktop);
+    if (zoteroSaveLibraryGroup) zoteroSaveLibraryGroup.classList.remove('show');
+    if (zoteroTagSuggestions) zoteroTagSuggestions.innerHTML = '';
+    const { zoteroLastTags } = await chrome.storage.local.get(['zoteroLastTags']);
+    zoteroTags = [...(zoteroLastTags || [])];
+    renderZoteroTags();
+    if (zoteroNoteText) zoteroNoteText.value = '';
+    if (zoteroSaveNoteRow) zoteroSaveNoteRow.classList.toggle('show', hasQuote());
     showModal(zoteroSaveModal);
-    
+
+    if (zoteroDesktop) {
+      await loadZoteroDesktopTarget();
+      return;
+    }
+
     // Reset status
-    updateZoteroSaveStatus('');
-    
-    // Fetch and populate collections
-    updateZoteroSaveStatus('Loading collections...', 'loading');
-    await fetchZoteroCollections(zoteroApiKey, zoteroUserId);
-    updateZoteroSaveStatus('');
+    updateZoteroSaveStatus('Loading libraries...', 'loading');
+    await fetchZoteroLibraries(credentials);
+    await loadZoteroLibrary(await getZoteroCredentials());
   }
 
   /**
-   * Confirm saving to Zotero with selected collection
+   * Show the collection selected in Zotero desktop, where the item will be saved
    */
-  async function confirmZoteroSave() {
-    const metadata = getMetadata();
-    
-    // Get Zotero credentials from storage
-    let zoteroApiKey, zoteroUserId;
+  async function loadZoteroDesktopTarget() {
+    if (zoteroDesktopTargetName) zoteroDesktopTargetName.textContent = 'Zotero desktop';
+    updateZoteroSaveStatus('Connecting to Zotero desktop...', 'loading');
     try {
-      const stored = await chrome.storage.local.get(['zoteroApiKey', 'zoteroUserId']);
-      zoteroApiKey = stored.zoteroApiKey;
-      zoteroUserId = stored.zoteroUserId;
-    } catch (e) {
-      console.error('Error getting Zotero credentials:', e);
-      updateZoteroSaveStatus('Failed to get credentials', 'error');
-      return;
+      const target = await ZoteroConnector.getSelectedCollection();
+      if (zoteroDesktopTargetName) zoteroDesktopTargetName.textContent = ZoteroConnector.describeTarget(target);
+      if (target.editable) {
+        updateZoteroSaveStatus('');
+      } else {
+        updateZoteroSaveStatus('The library selected in Zotero is read-only', 'error');
+      }
+    } catch (error) {
+      console.error('Error connecting to Zotero desktop:', error);
+      updateZoteroSaveStatus(`${error.message}. Start Zotero, or save to the web library in Settings.`, 'error');
     }
+  }
 
-    // Get selected collection
-    const collectionKey = zoteroSaveFolder ? zoteroSaveFolder.value : '';
+  /**
+   * List the library items that match the citation, with their collections, and
+   * switch the modal to offering to add to or update one of them
+   */
+  function renderZoteroDuplicates() {
+    if (!zoteroDuplicateList) return;
+    zoteroSaveModal.classList.toggle('has-duplicate', zoteroDuplicates.length > 0);
+    if (zoteroSaveConfirmLabel) zoteroSaveConfirmLabel.textContent = zoteroDuplicates.length > 0 ? 'Save anyway' : 'Save';
+    if (zoteroDuplicateHeading) {
+      zoteroDuplicateHeading.textContent = zoteroDuplicates.length > 1
+        ? `${zoteroDuplicates.length} possible matches in your library`
+        : 'Already in your library';
+    }
 
-    // Convert metadata to Zotero format
-    const zoteroItem = metadataToZoteroItem(metadata);
-    
-    // Add collection if specified
-    if (collectionKey) {
-      zoteroItem.collections = [collectionKey];
+    zoteroDuplicateList.innerHTML = '';
+    zoteroDuplicates.forEach((duplicate, index) => {
+      const { data } = duplicate;
+      const names = (data.creators || []).map(creator => creator.lastName || creator.name).filter(Boolean);
+      const year = (data.date || '').match(/\d{4}/);
+      const collections = (data.collections || []).map(key => zoteroCollectionNames[key]).filter(Boolean);
+
+      const item = document.createElement('li');
+      const label = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'zotero-duplicate';
+      radio.value = duplicate.key;
+      radio.checked = index === 0;
+
+      const details = document.createElement('span');
+      const title = document.createElement('span');
+      title.className = 'zotero-duplicate-item-title';
+      title.textContent = data.title || '(untitled)';
+      const meta = document.createElement('span');
+      meta.className = 'zotero-duplicate-item-meta';
+      meta.textContent = [
+        names.length > 3 ? `${names.slice(0, 3).join(', ')} et al.` : names.join(', '),
+        year && year[0],
+        `same ${duplicate.matchedBy}`
+      ].filter(Boolean).join(' · ');
+      const location = document.createElement('span');
+      location.className = 'zotero-duplicate-item-meta';
+      location.textContent = collections.length > 0 ? `In ${collections.join(', ')}` : 'Not in any collection';
+
+      details.append(title, meta, location);
+      label.append(radio, details);
+      item.appendChild(label);
+      zoteroDuplicateList.appendChild(item);
+    });
+  }
+
+  function getSelectedDuplicate() {
+    const checked = zoteroDuplicateList && zoteroDuplicateList.querySelector('input:checked');
+    return zoteroDuplicates.find(duplicate => checked && duplicate.key === checked.value) || zoteroDuplicates[0];
+  }
+
+  /**
+   * Run one of the Zotero modal's actions, then attach the note, quote and link
+   * to the item it saved or found
+   * @param {Function} action - async (credentials, collectionKey, tags) returning
+   *   { key, message, record }; record adds the citation to the library
+   */
+  async function runZoteroAction(action) {
+    // Get Zotero credentials from storage
+    let credentials;
+    try {
+      credentials = await getZoteroCredentials();
+    } catch (e) {
+      console.error('Error getting Zotero credentials:', e);
+    }
+    if (!credentials) {
+      updateZoteroSaveStatus('Failed to get credentials', 'error');
+      return;
     }
 
-    // Log the item being sent for debugging
-    console.log('Sending to Zotero:', JSON.stringify([zoteroItem], null, 2));
+    // Get selected collection
+    const collectionKey = zoteroSaveFolder ? zoteroSaveFolder.value : '';
+    const buttons = [zoteroSaveConfirm, zoteroAddCollectionBtn, zoteroUpdateFieldsBtn].filter(Boolean);
 
     try {
-      // Disable confirm button during save
-      if (zoteroSaveConfirm) zoteroSaveConfirm.disabled = true;
+      // Disable the buttons during save
+      buttons.forEach(button => { button.disabled = true; });
       updateZoteroSaveStatus('Saving...', 'loading');
 
-      const response = await fetch(
-        `https://api.zotero.org/users/${zoteroUserId}/items`,
-        {
-          method: 'POST',
-          headers: {
-            'Zotero-API-Key': zoteroApiKey,
-            'Content-Type': 'application/json',
-            'Zotero-API-Version': '3'
-          },
-          body: JSON.stringify([zoteroItem])
-        }
-      );
+      const tags = getZoteroTags();
+      const result = await action(credentials, collectionKey, tags);
 
-      const responseText = await response.text();
-      console.log('Zotero API response:', response.status, responseText);
+      // Notes and attachments are child items, posted once the item's key is known
+      const children = getZoteroChildren(result.key);
+      if (children.length > 0 && !result.key) {
+        throw new Error('Item saved, but its note and link could not be attached');
+      }
+      for (const child of children) {
+        await ZoteroClient.saveItem(child.item, credentials);
+      }
 
-      if (response.ok) {
-        // Parse the response to check for success
+      if (result.record) {
+        // Save last used library, collection and tags for convenience
         try {
-          const result = JSON.parse(responseText);
-          console.log('Zotero parsed result:', result);
-          
-          // Check if there are successful items
-          if (result.successful && Object.keys(result.successful).length > 0) {
-            const savedItemKey = Object.keys(result.successful)[0];
-            const savedItem = result.successful[savedItemKey];
-            console.log('Successfully saved item with key:', savedItem?.key || savedItemKey);
-            
-            // Save last used collection for convenience
-            try {
-              await chrome.storage.local.set({ zoteroLastCollection: collectionKey });
-            } catch (e) {}
-            
-            hideModal(zoteroSaveModal);
-            showToast('Saved to Zotero! Sync your Zotero client to see it.');
-          } else if (result.failed && Object.keys(result.failed).length > 0) {
-            // There were failures
-            const failedKey = Object.keys(result.failed)[0];
-            const failedItem = result.failed[failedKey];
-            const errorMsg = failedItem?.message || failedItem?.code || 'Unknown error';
-            console.error('Zotero item failed:', failedItem);
-            updateZoteroSaveStatus(`Failed: ${errorMsg}`, 'error');
-          } else if (result.unchanged && Object.keys(result.unchanged).length > 0) {
-            hideModal(zoteroSaveModal);
-            showToast('Item already exists in Zotero');
-          } else {
-            // Check if it's an array response (older format)
-            if (Array.isArray(result) && result.length > 0) {
-              console.log('Saved item (array format):', result[0]);
-              hideModal(zoteroSaveModal);
-              showToast('Saved to Zotero! Sync your Zotero client to see it.');
-            } else {
-              // Unknown response format, assume success
-              console.warn('Unknown Zotero response format:', result);
-              hideModal(zoteroSaveModal);
-              showToast('Saved to Zotero!');
-            }
-          }
-        } catch (parseError) {
-          console.error('Error parsing Zotero response:', parseError);
-          // If we can't parse, assume success since response was OK
-          hideModal(zoteroSaveModal);
-          showToast('Saved to Zotero!');
-        }
-      } else if (response.status === 403) {
-        updateZoteroSaveStatus('Invalid API key or no write permission', 'error');
-      } else if (response.status === 404) {
-        updateZoteroSaveStatus('Invalid Zotero User ID', 'error');
-      } else if (response.status === 400) {
-        console.error('Zotero 400 error - invalid item format:', responseText);
-        updateZoteroSaveStatus('Invalid item format', 'error');
-      } else {
-        console.error('Zotero API error:', response.status, responseText);
-        updateZoteroSaveStatus(`Failed to save (${response.status})`, 'error');
+          await chrome.storage.local.set({
+            zoteroLastLibrary: credentials.library,
+            zoteroLastCollection: collectionKey,
+            zoteroLastTags: tags
+          });
+        } catch (e) {}
+
+        await recordInLibrary('zotero');
       }
+      hideModal(zoteroSaveModal);
+      const attached = children.map(child => child.name).join(' and ');
+      showToast(attached ? `${result.message} Attached ${attached}.` : result.message);
+    } catch (error) {
+      updateZoteroSaveStatus(error.message, 'error');
+    } finally {
+      buttons.forEach(button => { button.disabled = false; });
+    }
+  }
+
+  /**
+   * Save through Zotero desktop, into the collection selected there. The note and
+   * link are sent with the item, which the connector creates them under.
+   */
+  async function confirmZoteroDesktopSave() {
+    const metadata = getMetadata();
+    try {
+      zoteroSaveConfirm.disabled = true;
+      updateZoteroSaveStatus('Saving...', 'loading');
+
+      const tags = getZoteroTags();
+      const item = ZoteroClient.toItem(metadata);
+      item.tags = tags.map(tag => ({ tag }));
+      const children = getZoteroChildren(null);
+      await ZoteroConnector.saveItems([ZoteroConnector.toConnectorItem(item, children.map(child => child.item))], metadata.url);
+
+      try {
+        await chrome.storage.local.set({ zoteroLastTags: tags });
+      } catch (e) {}
+      await recordInLibrary('zotero');
+
+      hideModal(zoteroSaveModal);
+      const attached = children.map(child => child.name).join(' and ');
+      showToast(attached ? `Saved to Zotero desktop! Attached ${attached}.` : 'Saved to Zotero desktop!');
     } catch (error) {
-      console.error('Error saving to Zotero:', error);
-      updateZoteroSaveStatus('Failed to connect to Zotero', 'error');
+      updateZoteroSaveStatus(error.message, 'error');
     } finally {
-      if (zoteroSaveConfirm) zoteroSaveConfirm.disabled = false;
+      zoteroSaveConfirm.disabled = false;
+    }
+  }
+
+  /**
+   * Confirm saving to Zotero with selected collection
+   */
+  function confirmZoteroSave() {
+    if (zoteroDesktop) return confirmZoteroDesktopSave();
+    return runZoteroAction(async (credentials, collectionKey, tags) => {
+      // Convert metadata to Zotero format
+      const zoteroItem = ZoteroClient.toItem(getMetadata());
+      zoteroItem.tags = tags.map(tag => ({ tag }));
+
+      // Add collection if specified
+      if (collectionKey) {
+        zoteroItem.collections = [collectionKey];
+      }
+
+      const result = await ZoteroClient.saveItem(zoteroItem, credentials);
+      if (result.status === 'unchanged') {
+        return { key: result.key, message: 'Item already exists in Zotero.' };
+      }
+      return { key: result.key, message: 'Saved to Zotero! Sync your Zotero client to see it.', record: true };
+    });
+  }
+
+  /**
+   * File the matching library item in the chosen collection instead of saving a
+   * copy, adding the tags it doesn't have yet
+   */
+  function addDuplicateToCollection() {
+    return runZoteroAction(async (credentials, collectionKey, tags) => {
+      if (!collectionKey) throw new Error('Choose a collection to add the item to');
+      const duplicate = getSelectedDuplicate();
+      const collections = duplicate.data.collections || [];
+      const changes = {};
+      if (!collections.includes(collectionKey)) changes.collections = [...collections, collectionKey];
+      const mergedTags = ZoteroClient.mergeTags(duplicate.data.tags, tags);
+      if (mergedTags) changes.tags = mergedTags;
+
+      if (Object.keys(changes).length > 0) await ZoteroClient.updateItem(duplicate, changes, credentials);
+      const message = changes.collections ? 'Added to the collection in Zotero.' : 'The item is already in that collection.';
+      return { key: duplicate.key, message, record: true };
+    });
+  }
+
+  /**
+   * Write the citation's fields over the matching library item's
+   */
+  function updateDuplicateFields() {
+    return runZoteroAction(async (credentials, collectionKey, tags) => {
+      const duplicate = getSelectedDuplicate();
+      const changes = ZoteroClient.getChangedFields(duplicate.data, ZoteroClient.toItem(getMetadata()));
+      const count = Object.keys(changes).length;
+      const mergedTags = ZoteroClient.mergeTags(duplicate.data.tags, tags);
+      if (mergedTags) changes.tags = mergedTags;
+
+      if (Object.keys(changes).length > 0) await ZoteroClient.updateItem(duplicate, changes, credentials);
+      const message = count > 0
+        ? `Updated ${count} field${count === 1 ? '' : 's'} in Zotero.`
+        : 'The Zotero item already has these fields.';
+      return { key: duplicate.key, message, record: true };
+    });
+  }
+
+  function updateZoteroImportStatus(message, type = 'loading') {
+    if (!zoteroImportStatus) return;
+    zoteroImportStatus.textContent = message;
+    zoteroImportStatus.className = message ? `zotero-save-status show ${type}` : 'zotero-save-status';
+  }
+
+  /**
+   * Open the Zotero import modal on the libraries the API key can read, to cite
+   * items already in Zotero. Zotero desktop can't be read, so this needs an API key.
+   */
+  async function showZoteroImportModal() {
+    let credentials;
+    try {
+      credentials = await ZoteroClient.getCredentials();
+    } catch (e) {
+      console.error('Error getting Zotero credentials:', e);
+    }
+    if (!credentials) {
+      showToast('Citing from Zotero needs an API key; add it in Settings', true);
+      showModal(settingsModal);
+      return;
+    }
+
+    zoteroImportSelected.clear();
+    zoteroImportItems = [];
+    renderZoteroImportList();
+    if (zoteroImportSearch) zoteroImportSearch.value = '';
+    // Any style the popup offers, starting from the one in use
+    if (zoteroImportStyle && citationStyleSelect) {
+      zoteroImportStyle.innerHTML = citationStyleSelect.innerHTML;
+      zoteroImportStyle.value = citationStyleSelect.value;
+    }
+    renderZoteroImportOutput();
+    showModal(zoteroImportModal);
+
+    updateZoteroImportStatus('Loading libraries...');
+    let libraries = [];
+    try {
+      libraries = await ZoteroClient.getLibraries(credentials, 'library');
+    } catch (error) {
+      console.error('Error fetching Zotero libraries:', error);
+    }
+    if (libraries.length === 0) libraries = [{ path: `users/${credentials.userId}`, name: 'My Library' }];
+
+    zoteroImportLibrary.innerHTML = '';
+    libraries.forEach(library => {
+      const option = document.createElement('option');
+      option.value = library.path;
+      option.textContent = library.name;
+      zoteroImportLibrary.appendChild(option);
+    });
+    if (zoteroImportLibraryGroup) zoteroImportLibraryGroup.classList.toggle('show', libraries.length > 1);
+    const stored = await chrome.storage.local.get(['zoteroLastLibrary']);
+    if (stored.zoteroLastLibrary) zoteroImportLibrary.value = stored.zoteroLastLibrary;
+    if (!zoteroImportLibrary.value) zoteroImportLibrary.value = libraries[0].path;
+
+    await loadZoteroImportLibrary();
+    if (zoteroImportSearch) zoteroImportSearch.focus();
+  }
+
+  async function getZoteroImportCredentials() {
+    const credentials = await ZoteroClient.getCredentials();
+    return { ...credentials, library: zoteroImportLibrary.value };
+  }
+
+  /**
+   * List the chosen library's collections and its most recently modified items
+   */
+  async function loadZoteroImportLibrary() {
+    const credentials = await getZoteroImportCredentials();
+    zoteroImportCollection.innerHTML = '<option value="">All items</option>';
+    updateZoteroImportStatus('Loading collections...');
+    try {
+      addCollectionOptions(zoteroImportCollection, await ZoteroClient.getCollections(credentials));
+    } catch (error) {
+      console.error('Error fetching Zotero collections:', error);
+    }
+    await searchZoteroImport();
+  }
+
+  /**
+   * Search the chosen library or collection for the words in the search box, by
+   * title, creator and year. Newest results win when searches overlap.
+   */
+  async function searchZoteroImport() {
+    const request = ++zoteroImportRequest;
+    const q = zoteroImportSearch ? zoteroImportSearch.value.trim() : '';
+    const query = { limit: '50', sort: 'dateModified', direction: 'desc' };
+    if (q) Object.assign(query, { q, qmode: 'titleCreatorYear' });
+
+    updateZoteroImportStatus('Searching...');
+    try {
+      const items = await ZoteroClient.searchItems(query, await getZoteroImportCredentials(), zoteroImportCollection.value);
+      if (request !== zoteroImportRequest) return;
+      zoteroImportItems = items.filter(item => !['note', 'attachment', 'annotation'].includes(item.data.itemType));
+      renderZoteroImportList();
+      updateZoteroImportStatus('');
+    } catch (error) {
+      if (request !== zoteroImportRequest) return;
+      console.error('Error searching Zotero:', error);
+      updateZoteroImportStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * List the search results with a checkbox each, ticked if already selected
+   */
+  function renderZoteroImportList() {
+    if (!zoteroImportList) return;
+    zoteroImportList.innerHTML = '';
+
+    if (zoteroImportItems.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'zotero-import-empty';
+      empty.textContent = zoteroImportSearch && zoteroImportSearch.value.trim() ? 'No matching items' : 'No items';
+      zoteroImportList.appendChild(empty);
+      return;
+    }
+
+    zoteroImportItems.forEach(item => {
+      const { data } = item;
+      const names = (data.creators || []).map(creator => creator.lastName || creator.name).filter(Boolean);
+      const year = ((item.meta && item.meta.parsedDate) || data.date || '').match(/\d{4}/);
+
+      const row = document.createElement('li');
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = zoteroImportSelected.has(item.key);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) zoteroImportSelected.set(item.key, item);
+        else zoteroImportSelected.delete(item.key);
+        renderZoteroImportOutput();
+      });
+
+      const details = document.createElement('span');
+      const title = document.createElement('span');
+      title.className = 'zotero-duplicate-item-title';
+      title.textContent = data.title || '(untitled)';
+      const meta = document.createElement('span');
+      meta.className = 'zotero-duplicate-item-meta';
+      meta.textContent = [
+        names.length > 3 ? `${names.slice(0, 3).join(', ')} et al.` : names.join(', '),
+        year && year[0],
+        data.publicationTitle || data.bookTitle || data.proceedingsTitle || data.publisher
+      ].filter(Boolean).join(' · ');
+
+      details.append(title, meta);
+      label.append(checkbox, details);
+      row.appendChild(label);
+      zoteroImportList.appendChild(row);
+    });
+  }
+
+  /**
+   * The ticked items as popup metadata, with the access date and citation key
+   * preferences applied
+   */
+  function getZoteroImportMetadata() {
+    return [...zoteroImportSelected.values()].map(item => ({
+      ...CitationImporter.fromZoteroItem(item),
+      includeAccessDate: includeAccessDate ? includeAccessDate.checked : true,
+      keyFormat: currentKeyFormat
+    }));
+  }
+
+  /**
+   * Format the ticked items in the chosen style, as a reference list when there
+   * are several. Export formats produce the file as-is.
+   */
+  function getZoteroImportCitations() {
+    const metadataList = getZoteroImportMetadata();
+    const style = zoteroImportStyle ? zoteroImportStyle.value : 'apa';
+    const outputFormat = outputFormatSelect ? outputFormatSelect.value : 'plain';
+    if (metadataList.length === 0) return '';
+
+    if (CitationFormatter.EXPORT_FORMATS[style]) {
+      return CitationFormatter.toExportFile(metadataList, style);
+    }
+    return CitationFormatter.toBibliography(metadataList, style)
+      .map(entry => CitationFormatter.wrapOutput(entry, style, outputFormat))
+      .join(outputFormat === 'markdown' ? '\n\n' : '\n');
+  }
+
+  function renderZoteroImportOutput() {
+    const count = zoteroImportSelected.size;
+    if (zoteroImportCount) zoteroImportCount.textContent = count > 0 ? `${count} selected` : 'Select items to cite';
+    if (zoteroImportEdit) zoteroImportEdit.disabled = count !== 1;
+    if (zoteroImportCopy) zoteroImportCopy.disabled = count === 0;
+    if (!zoteroImportOutput) return;
+    try {
+      zoteroImportOutput.textContent = getZoteroImportCitations();
+    } catch (error) {
+      console.error('Error generating citations:', error);
+      zoteroImportOutput.textContent = 'Error generating citations';
+    }
+  }
+
+  /**
+   * Copy the ticked items' citations and add them to the citation library
+   */
+  async function copyZoteroImport() {
+    const style = zoteroImportStyle ? zoteroImportStyle.value : 'apa';
+    const metadataList = getZoteroImportMetadata();
+    const count = metadataList.length;
+    if (count === 0) return;
+
+    const copied = await copyToClipboard(
+      getZoteroImportCitations(),
+      count === 1 ? 'Citation copied to clipboard!' : `${count} citations copied to clipboard!`
+    );
+    if (!copied) return;
+    try {
+      await CitationLibrary.recordMany(metadataList.map(metadata => ({
+        metadata,
+        style,
+        citation: CitationFormatter.format(metadata, style),
+        action: 'copy'
+      })));
+    } catch (error) {
+      console.error('Error saving citations to library:', error);
+    }
+  }
+
+  /**
+   * Open the ticked item in the editor, in the chosen style
+   */
+  function editZoteroImport() {
+    const [metadata] = getZoteroImportMetadata();
+    if (!metadata) return;
+
+    clearFields();
+    populateFields(metadata);
+    if (sourceTypeSelect && metadata.sourceType) sourceTypeSelect.value = metadata.sourceType;
+    if (citationStyleSelect && zoteroImportStyle) citationStyleSelect.value = zoteroImportStyle.value;
+    updateFieldVisibility();
+    updatePreview();
+    hideModal(zoteroImportModal);
+    showToast('Loaded from Zotero');
+  }
+
+  /**
+   * Check that Zotero desktop is running and show where it would save
+   */
+  async function verifyZoteroDesktop() {
+    updateZoteroStatus('Connecting...', 'loading');
+    if (!await ZoteroConnector.ping()) {
+      updateZoteroStatus('✗ Zotero desktop is not running', 'error');
+      return { valid: false, message: 'Zotero desktop is not running' };
+    }
+    try {
+      const target = await ZoteroConnector.getSelectedCollection();
+      updateZoteroStatus(`✓ Connected to Zotero desktop (saving into ${ZoteroConnector.describeTarget(target)})`, 'success');
+    } catch (error) {
+      console.error('Error reading the Zotero desktop collection:', error);
+      updateZoteroStatus('✓ Connected to Zotero desktop', 'success');
+    }
+    return { valid: true, message: 'Connected to Zotero desktop' };
+  }
+
+  function updateZoteroTargetFields() {
+    if (zoteroSettings && zoteroTargetSelect) {
+      zoteroSettings.classList.toggle('desktop', zoteroTargetSelect.value === 'desktop');
     }
   }
 
@@ -978,9 +1780,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       const keyInfo = await keyResponse.json();
       console.log('Zotero key info:', keyInfo);
 
-      // Check if the key has library write access
-      const hasWriteAccess = keyInfo.access?.user?.library === true || 
-                              keyInfo.access?.user?.write === true;
+      // Check if the key can write to the user's library or to a group library
+      const libraries = await ZoteroClient.getLibraries({ apiKey, userId }).catch(() => []);
+      const hasWriteAccess = libraries.length > 0;
+      const groupCount = libraries.filter(library => library.path.startsWith('groups/')).length;
       
       // Check if the userID matches
       if (keyInfo.userID && keyInfo.userID.toString() !== userId.toString()) {
@@ -988,8 +1791,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         return { valid: false, message: 'User ID does not match this API key' };
       }
 
-      // Second check: verify we can access the user's library
-      const response = await fetch(
+      // Second check: verify we can access the user's library (keys can be limited to groups)
+      const response = !keyInfo.access?.user?.library ? null : await fetch(
         `https://api.zotero.org/users/${userId}/items?limit=1`,
         {
           method: 'GET',
@@ -1000,17 +1803,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
       );
 
-      console.log('Zotero library check response:', response.status);
+      console.log('Zotero library check response:', response ? response.status : 'skipped');
 
-      if (response.ok) {
+      if (!response || response.ok) {
         if (hasWriteAccess) {
-          updateZoteroStatus('✓ Connected to Zotero (read/write)', 'success');
+          const groups = groupCount > 0 ? `, ${groupCount} group librar${groupCount === 1 ? 'y' : 'ies'}` : '';
+          updateZoteroStatus(`✓ Connected to Zotero (read/write${groups})`, 'success');
         } else {
           updateZoteroStatus('⚠ Connected (read-only, no write access)', 'error');
           return { valid: false, message: 'API key does not have write permission' };
         }
         // Fetch collections on successful connection
-        await fetchZoteroCollections(apiKey, userId);
+        await fetchZoteroCollections({ apiKey, userId });
         return { valid: true, message: 'Connected to Zotero' };
       } else if (response.status === 403) {
         updateZoteroStatus('✗ No access to this library', 'error');
@@ -1031,118 +1835,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
-  /**
-   * Extract DOI from URL or page content
-   */
-  function extractDoiFromUrl(url) {
-    if (!url) return null;
-    const doiRegex = /10\.\d{4,}(?:\.\d+)*\/[^\s"<>]+/;
-    const match = url.match(doiRegex);
-    return match ? match[0].replace(/[.,;]$/, '') : null; // Remove trailing punctuation
-  }
-
-  /**
-   * Check if metadata is incomplete and needs enhancement
-   */
-  function isMetadataIncomplete(metadata) {
-    // Consider incomplete if missing author OR (missing title AND has DOI)
-    const missingAuthor = !metadata.author || metadata.author.trim() === '';
-    const missingTitle = !metadata.title || metadata.title.trim() === '';
-    const missingDate = !metadata.date || metadata.date.trim() === '';
-    
-    return missingAuthor || (missingTitle && metadata.doi) || (missingAuthor && missingDate);
-  }
-
-  /**
-   * Enhance metadata using Semantic Scholar API
-   * Can look up by DOI or arXiv ID
-   */
-  async function enhanceMetadataWithSemanticScholar(metadata) {
-    let paperId = null;
-    
-    // Try to find paper by DOI first
-    if (metadata.doi) {
-      paperId = `DOI:${metadata.doi}`;
-    } else {
-      // Try to extract DOI from URL
-      const doiFromUrl = extractDoiFromUrl(metadata.url);
-      if (doiFromUrl) {
-        paperId = `DOI:${doiFromUrl}`;
-        metadata.doi = doiFromUrl; // Also set the DOI field
-      }
-    }
-    
-    // If no DOI, try arXiv ID
-    if (!paperId) {
-      const arxivId = extractArxivId(metadata.url);
-      if (arxivId) {
-        paperId = `arXiv:${arxivId}`;
-      }
-    }
-    
-    if (!paperId) {
-      return metadata; // Can't look up without identifier
-    }
-
-    try {
-      const response = await fetch(
-        `https://api.semanticscholar.org/graph/v1/paper/${paperId}?fields=title,authors,year,venue,publicationVenue,externalIds,journal,publicationDate`
-      );
-
-      if (!response.ok) {
-        console.log('Semantic Scholar API returned non-OK status:', response.status);
-        return metadata;
-      }
-
-      const data = await response.json();
-
-      // Only fill in missing fields, don't overwrite existing data
-      if (!metadata.title && data.title) {
-        metadata.title = data.title;
-      }
-      
-      if (!metadata.author && data.authors && data.authors.length > 0) {
-        metadata.author = data.authors.map(a => a.name).join('; ');
-      }
-      
-      if (!metadata.date && data.publicationDate) {
-        metadata.date = data.publicationDate;
-      } else if (!metadata.date && data.year) {
-        metadata.date = data.year.toString();
-      }
-      
-      if (!metadata.year && data.year) {
-        metadata.year = data.year.toString();
-      }
-      
-      if (!metadata.publisher && data.venue) {
-        metadata.publisher = data.venue;
-      }
-      
-      if (!metadata.journal && data.journal?.name) {
-        metadata.journal = data.journal.name;
-      }
-      
-      if (!metadata.volume && data.journal?.volume) {
-        metadata.volume = data.journal.volume;
-      }
-      
-      if (!metadata.pages && data.journal?.pages) {
-        metadata.pages = data.journal.pages;
-      }
-      
-      if (!metadata.doi && data.externalIds?.DOI) {
-        metadata.doi = data.externalIds.DOI;
-      }
-
-      console.log('Metadata enhanced with Semantic Scholar data');
-    } catch (error) {
-      console.error('Error enhancing metadata with Semantic Scholar:', error);
-    }
-
-    return metadata;
-  }
-
   /**
    * Fetch metadata from current tab
    */
@@ -1158,26 +1850,21 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Set URL immediately
       if (fields.url) fields.url.value = tab.url || '';
 
-      // Execute content script to extract metadata
-      const results = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        function: extractPageMetadata
-      });
+      const selection = await readSelection(tab);
+      if (selection) showQuote(selection);
 
-      let metadata = { url: tab.url };
-      if (results && results[0] && results[0].result) {
-        metadata = results[0].result;
-      }
+      // Execute content script to extract metadata
+      let metadata = await MetadataService.extractFromTab(tab);
       
       // If metadata is incomplete, try to enhance with Semantic Scholar
-      if (isMetadataIncomplete(metadata)) {
+      if (MetadataService.isIncomplete(metadata)) {
         // Show a brief loading indicator
         if (previewPlaceholder) {
           previewPlaceholder.textContent = 'Fetching additional metadata...';
           previewPlaceholder.style.display = 'block';
         }
         
-        metadata = await enhanceMetadataWithSemanticScholar(metadata);
+        metadata = await MetadataService.enhanceWithSemanticScholar(metadata);
       }
       
       populateFields(metadata);
@@ -1205,27 +1892,129 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   function populateFields(metadata) {
     if (metadata.title && fields.title) fields.title.value = metadata.title;
-    if (metadata.author && fields.author) fields.author.value = metadata.author;
+    const creators = Creators.fromMetadata(metadata);
+    if (creators.length > 0) setCreators(creators);
     if (metadata.date && fields.date) fields.date.value = metadata.date;
     if (metadata.url && fields.url) fields.url.value = metadata.url;
     if (metadata.publisher && fields.publisher) fields.publisher.value = metadata.publisher;
     if (metadata.doi && fields.doi) fields.doi.value = metadata.doi;
     if (metadata.isbn && fields.isbn) fields.isbn.value = metadata.isbn;
+    if (metadata.edition && fields.edition) fields.edition.value = metadata.edition;
+    if (metadata.place && fields.place) fields.place.value = metadata.place;
     if (metadata.journal && fields.journal) fields.journal.value = metadata.journal;
     if (metadata.volume && fields.volume) fields.volume.value = metadata.volume;
     if (metadata.issue && fields.issue) fields.issue.value = metadata.issue;
     if (metadata.pages && fields.pages) fields.pages.value = metadata.pages;
+    if (metadata.thesisType && fields.thesisType) fields.thesisType.value = metadata.thesisType;
+    if (metadata.number && fields.number) fields.number.value = metadata.number;
+    if (metadata.version && fields.version) fields.version.value = metadata.version;
     
-    // Auto-detect source type
-    if (sourceTypeSelect) {
-      if (metadata.journal || metadata.doi) {
-        sourceTypeSelect.value = 'journal';
-      } else if (metadata.isbn) {
-        sourceTypeSelect.value = 'book';
-      }
+    // Site translators know the source type; otherwise detect it
+    const detectedType = metadata.sourceType || MetadataService.detectSourceType(metadata);
+    if (sourceTypeSelect && detectedType) sourceTypeSelect.value = detectedType;
+
+    showProvenance(metadata.provenance);
+    updateFieldVisibility();
+  }
+
+  /**
+   * Mark each field's label with the source its value was read from
+   * (Highwire, JSON-LD, Semantic Scholar...)
+   */
+  function showProvenance(provenance = {}) {
+    document.querySelectorAll('.field-source').forEach(el => el.remove());
+
+    const labelled = Object.entries(fields).map(([name, input]) => [input, provenance[name]]);
+    labelled.push([creatorList, provenance.author || provenance.editor || provenance.translator]);
+    labelled.forEach(([input, source]) => {
+      const label = input && input.closest('.form-group').querySelector('label');
+      if (!label || !source) return;
+      const chip = document.createElement('span');
+      chip.className = 'field-source';
+      chip.textContent = source;
+      label.appendChild(chip);
+    });
+  }
+
+  /**
+   * Drop the source mark of a field once it is edited by hand
+   */
+  function clearProvenance(input) {
+    const chip = input && input.closest('.form-group').querySelector('.field-source');
+    if (chip) chip.remove();
+  }
+
+  /**
+   * Empty the form, forgetting the page (and library entry) it was filled from
+   */
+  function clearFields() {
+    Object.values(fields).forEach(input => {
+      if (input) input.value = '';
+    });
+    setCreators([]);
+    showProvenance();
+    semanticScholarBibtex = null;
+    currentLibraryEntryId = null;
+    hideVersionSwitcher();
+  }
+
+  /**
+   * Show which kind of identifier the lookup box recognises
+   */
+  function updateIdentifierType() {
+    const identifier = IdentifierResolvers.detect(identifierInput.value);
+    identifierType.textContent = identifier ? IdentifierResolvers.get(identifier.type).label : '';
+  }
+
+  /**
+   * Fill the form from scratch with metadata looked up from the identifier box
+   */
+  async function lookUpIdentifier() {
+    const identifier = IdentifierResolvers.detect(identifierInput.value);
+    if (!identifier) {
+      showToast('Enter a DOI, arXiv ID, ISBN, PubMed ID or URL', true);
+      return;
     }
-    
+
+    identifierBtn.disabled = true;
+    try {
+      const metadata = await IdentifierResolvers.resolve(identifier);
+      clearFields();
+      populateFields(metadata);
+      if (sourceTypeSelect && metadata.sourceType) sourceTypeSelect.value = metadata.sourceType;
+      updateFieldVisibility();
+      updatePreview();
+      showToast(`Loaded ${IdentifierResolvers.get(identifier.type).label} ${identifier.value}`);
+
+      // Offers the published version of an arXiv preprint
+      await checkForPeerReviewedVersion(metadata.url);
+    } catch (error) {
+      console.error('Error looking up identifier:', error);
+      showToast(error.message, true);
+    } finally {
+      identifierBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Load a stored library entry into the editor instead of the active tab
+   */
+  async function loadLibraryEntry(entryId) {
+    const entry = await CitationLibrary.get(entryId);
+    if (!entry) {
+      currentLibraryEntryId = null;
+      showToast('Citation not found in library', true);
+      await fetchMetadata();
+      return;
+    }
+
+    const metadata = entry.metadata || {};
+    populateFields(metadata);
+    // Older entries mark conference papers with an isConference flag
+    if (sourceTypeSelect && metadata.sourceType) sourceTypeSelect.value = CitationFormatter.getSourceType(metadata);
+    if (citationStyleSelect && entry.style) citationStyleSelect.value = entry.style;
     updateFieldVisibility();
+    updatePreview();
   }
 
   /**
@@ -1243,6 +2032,90 @@ document.addEventListener('DOMContentLoaded', async () => {
     keyPreviewText.textContent = key;
   }
 
+  /**
+   * Load bundled and installed CSL styles into the style picker and settings list
+   */
+  async function loadCSLStyles() {
+    try {
+      const styles = await CSLStyles.loadAll();
+      if (citationStyleSelect) CSLStyles.populateSelect(citationStyleSelect, styles);
+      renderCSLStyleList(styles);
+    } catch (error) {
+      console.error('Error loading CSL styles:', error);
+    }
+  }
+
+  /**
+   * Render the list of CSL styles in the settings modal
+   */
+  function renderCSLStyleList(styles) {
+    if (!cslStyleList) return;
+    cslStyleList.innerHTML = '';
+
+    styles.forEach(style => {
+      const item = document.createElement('li');
+
+      const title = document.createElement('span');
+      title.className = 'csl-style-title';
+      title.textContent = style.title;
+      title.title = style.title;
+      item.appendChild(title);
+
+      if (style.bundled) {
+        const badge = document.createElement('span');
+        badge.className = 'csl-style-badge';
+        badge.textContent = 'Bundled';
+        item.appendChild(badge);
+      } else {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'icon-btn';
+        removeBtn.title = 'Remove style';
+        removeBtn.innerHTML = '<span class="material-icons">delete</span>';
+        removeBtn.addEventListener('click', () => removeCSLStyle(style));
+        item.appendChild(removeBtn);
+      }
+
+      cslStyleList.appendChild(item);
+    });
+  }
+
+  /**
+   * Install a .csl file chosen by the user and select it
+   */
+  async function installCSLStyle(file) {
+    try {
+      const style = await CSLStyles.install(await file.text());
+      await loadCSLStyles();
+      if (citationStyleSelect) citationStyleSelect.value = CitationFormatter.CSL_PREFIX + style.id;
+      savePreferences();
+      updatePreview();
+      showToast(`Installed "${style.title}"`);
+    } catch (error) {
+      console.error('Error installing CSL style:', error);
+      showToast(error.message || 'Could not install style', true);
+    }
+  }
+
+  /**
+   * Remove a user-installed CSL style, falling back to APA if it was selected
+   */
+  async function removeCSLStyle(style) {
+    try {
+      const wasSelected = citationStyleSelect && citationStyleSelect.value === CitationFormatter.CSL_PREFIX + style.id;
+      await CSLStyles.remove(style.id);
+      await loadCSLStyles();
+      if (wasSelected) {
+        citationStyleSelect.value = 'apa';
+        savePreferences();
+      }
+      updatePreview();
+      showToast(`Removed "${style.title}"`);
+    } catch (error) {
+      console.error('Error removing CSL style:', error);
+      showToast('Could not remove style', true);
+    }
+  }
+
   /**
    * Load saved preferences
    */
@@ -1255,11 +2128,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         'includeAccessDate',
         'keyFormat',
         'detailsExpanded',
+        'quoteFormat',
         'zoteroApiKey',
-        'zoteroUserId'
+        'zoteroUserId',
+        'zoteroTarget'
       ]);
       
-      if (result.citationStyle && citationStyleSelect) citationStyleSelect.value = result.citationStyle;
+      if (result.citationStyle && citationStyleSelect) {
+        citationStyleSelect.value = result.citationStyle;
+        // The saved style may be a CSL style that has since been removed
+        if (!citationStyleSelect.value) citationStyleSelect.value = 'apa';
+      }
       if (result.sourceType && sourceTypeSelect) sourceTypeSelect.value = result.sourceType;
       if (result.outputFormat && outputFormatSelect) outputFormatSelect.value = result.outputFormat;
       if (result.includeAccessDate !== undefined && includeAccessDate) includeAccessDate.checked = result.includeAccessDate;
@@ -1270,6 +2149,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         keyFormatInput.value = DEFAULT_KEY_FORMAT;
       }
       if (result.detailsExpanded) toggleDetails(true);
+      if (result.quoteFormat && quoteFormatSelect) quoteFormatSelect.value = result.quoteFormat;
       
       // Load Zotero credentials
       if (result.zoteroApiKey && zoteroApiKeyInput) {
@@ -1278,6 +2158,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (result.zoteroUserId && zoteroUserIdInput) {
         zoteroUserIdInput.value = result.zoteroUserId;
       }
+      if (result.zoteroTarget && zoteroTargetSelect) zoteroTargetSelect.value = result.zoteroTarget;
+      updateZoteroTargetFields();
       
       updateFieldVisibility();
       updateKeyPreview();
@@ -1297,7 +2179,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         outputFormat: outputFormatSelect ? outputFormatSelect.value : 'plain',
         includeAccessDate: includeAccessDate ? includeAccessDate.checked : true,
         keyFormat: currentKeyFormat,
-        detailsExpanded: detailsSection ? detailsSection.classList.contains('expanded') : false
+        detailsExpanded: detailsSection ? detailsSection.classList.contains('expanded') : false,
+        quoteFormat: quoteFormatSelect ? quoteFormatSelect.value : 'plain'
       });
     } catch (error) {
       console.error('Error saving preferences:', error);
@@ -1324,6 +2207,39 @@ document.addEventListener('DOMContentLoaded', async () => {
     updatePreview();
   });
 
+  if (inTextLocatorInput) {
+    inTextLocatorInput.addEventListener('input', updatePreview);
+  }
+
+  if (inTextLocatorLabel) {
+    inTextLocatorLabel.addEventListener('change', () => {
+      if (inTextLocatorInput) inTextLocatorInput.placeholder = LOCATOR_PLACEHOLDERS[inTextLocatorLabel.value];
+      updatePreview();
+    });
+  }
+
+  if (quoteBtn) {
+    quoteBtn.addEventListener('click', () => {
+      if (quoteSection && quoteSection.classList.contains('show')) {
+        quoteSection.classList.remove('show');
+        return;
+      }
+      showQuote();
+      if (quoteText) quoteText.focus();
+    });
+  }
+
+  if (quoteText) quoteText.addEventListener('input', updateQuote);
+
+  if (quoteFormatSelect) {
+    quoteFormatSelect.addEventListener('change', () => {
+      savePreferences();
+      updateQuote();
+    });
+  }
+
+  if (quoteCopyBtn) quoteCopyBtn.addEventListener('click', copyQuote);
+
   sourceTypeSelect.addEventListener('change', () => {
     savePreferences();
     updateFieldVisibility();
@@ -1367,19 +2283,31 @@ document.addEventListener('DOMContentLoaded', async () => {
   Object.values(fields).forEach(field => {
     if (field) {
       field.addEventListener('input', () => {
+        clearProvenance(field);
         updatePreview();
         updateKeyPreview();
       });
     }
   });
 
+  if (addCreatorBtn) {
+    addCreatorBtn.addEventListener('click', () => {
+      currentCreators.push(createCreatorRow());
+      renderCreatorEditor();
+      const inputs = creatorList.querySelectorAll('.creator-row:last-child input');
+      if (inputs.length > 0) inputs[0].focus();
+    });
+  }
+
   copyBtn.addEventListener('click', copyCitation);
   
   refreshBtn.addEventListener('click', async () => {
     Object.values(fields).forEach(field => {
       if (field) field.value = '';
     });
+    setCreators([]);
     hideVersionSwitcher();
+    currentLibraryEntryId = null;
     await fetchMetadata();
   });
 
@@ -1399,6 +2327,29 @@ document.addEventListener('DOMContentLoaded', async () => {
     showModal(aboutModal);
   });
   aboutClose.addEventListener('click', () => hideModal(aboutModal));
+
+  // Cite by identifier
+  if (identifierInput && identifierBtn) {
+    identifierInput.addEventListener('input', updateIdentifierType);
+    identifierInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') lookUpIdentifier();
+    });
+    identifierBtn.addEventListener('click', lookUpIdentifier);
+  }
+
+  // Library page
+  if (libraryBtn) {
+    libraryBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+    });
+  }
+
+  // Cite all tabs page (opens in this window, so it reads this window's tabs)
+  if (batchBtn) {
+    batchBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('batch.html') });
+    });
+  }
   aboutModal.addEventListener('click', (e) => {
     if (e.target === aboutModal) hideModal(aboutModal);
   });
@@ -1423,6 +2374,55 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (zoteroSaveConfirm) {
     zoteroSaveConfirm.addEventListener('click', confirmZoteroSave);
   }
+  if (zoteroTagInput) {
+    zoteroTagInput.addEventListener('keydown', (e) => {
+      if ((e.key === 'Enter' || e.key === ',') && zoteroTagInput.value.trim()) {
+        e.preventDefault();
+        addZoteroTags(zoteroTagInput.value);
+        zoteroTagInput.value = '';
+      } else if (e.key === 'Backspace' && !zoteroTagInput.value && zoteroTags.length > 0) {
+        zoteroTags.pop();
+        renderZoteroTags();
+      }
+    });
+    // Picking a suggestion replaces the input's text in one go
+    zoteroTagInput.addEventListener('input', (e) => {
+      if (e.inputType === 'insertReplacementText') {
+        addZoteroTags(zoteroTagInput.value);
+        zoteroTagInput.value = '';
+      }
+    });
+  }
+  if (zoteroImportBtn) zoteroImportBtn.addEventListener('click', showZoteroImportModal);
+  if (zoteroImportClose) zoteroImportClose.addEventListener('click', () => hideModal(zoteroImportModal));
+  if (zoteroImportModal) {
+    zoteroImportModal.addEventListener('click', (e) => {
+      if (e.target === zoteroImportModal) hideModal(zoteroImportModal);
+    });
+  }
+  if (zoteroImportLibrary) zoteroImportLibrary.addEventListener('change', loadZoteroImportLibrary);
+  if (zoteroImportCollection) zoteroImportCollection.addEventListener('change', searchZoteroImport);
+  if (zoteroImportSearch) {
+    zoteroImportSearch.addEventListener('input', () => {
+      clearTimeout(zoteroImportSearchTimer);
+      zoteroImportSearchTimer = setTimeout(searchZoteroImport, 300);
+    });
+  }
+  if (zoteroImportStyle) zoteroImportStyle.addEventListener('change', renderZoteroImportOutput);
+  if (zoteroImportCopy) zoteroImportCopy.addEventListener('click', copyZoteroImport);
+  if (zoteroImportEdit) zoteroImportEdit.addEventListener('click', editZoteroImport);
+  if (zoteroSaveLibrary) {
+    zoteroSaveLibrary.addEventListener('change', async () => {
+      const credentials = await getZoteroCredentials();
+      if (credentials) await loadZoteroLibrary(credentials);
+    });
+  }
+  if (zoteroAddCollectionBtn) {
+    zoteroAddCollectionBtn.addEventListener('click', addDuplicateToCollection);
+  }
+  if (zoteroUpdateFieldsBtn) {
+    zoteroUpdateFieldsBtn.addEventListener('click', updateDuplicateFields);
+  }
   if (zoteroSaveModal) {
     zoteroSaveModal.addEventListener('click', (e) => {
       if (e.target === zoteroSaveModal) hideModal(zoteroSaveModal);
@@ -1448,24 +2448,49 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   keyFormatInput.addEventListener('input', updateKeyPreview);
 
+  // CSL style upload
+  if (cslUploadBtn && cslUploadFile) {
+    cslUploadBtn.addEventListener('click', () => cslUploadFile.click());
+    cslUploadFile.addEventListener('change', async () => {
+      const file = cslUploadFile.files[0];
+      cslUploadFile.value = '';
+      if (file) await installCSLStyle(file);
+    });
+  }
+
   // Test Zotero connection button
   if (testZoteroBtn) {
     testZoteroBtn.addEventListener('click', async () => {
+      if (zoteroTargetSelect && zoteroTargetSelect.value === 'desktop') {
+        await verifyZoteroDesktop();
+        return;
+      }
       const apiKey = zoteroApiKeyInput ? zoteroApiKeyInput.value.trim() : '';
       const userId = zoteroUserIdInput ? zoteroUserIdInput.value.trim() : '';
       await verifyZoteroCredentials(apiKey, userId);
     });
   }
 
+  if (zoteroTargetSelect) {
+    zoteroTargetSelect.addEventListener('change', () => {
+      updateZoteroTargetFields();
+      if (zoteroStatus) {
+        zoteroStatus.textContent = '';
+        zoteroStatus.className = 'zotero-status';
+      }
+    });
+  }
+
   saveSettingsBtn.addEventListener('click', async () => {
     currentKeyFormat = keyFormatInput.value || DEFAULT_KEY_FORMAT;
     
     // Save Zotero credentials if provided
     const zoteroApiKey = zoteroApiKeyInput ? zoteroApiKeyInput.value.trim() : '';
     const zoteroUserId = zoteroUserIdInput ? zoteroUserIdInput.value.trim() : '';
+    const zoteroTarget = zoteroTargetSelect ? zoteroTargetSelect.value : 'web';
     
-    // Verify Zotero credentials if both are provided
-    if (zoteroApiKey && zoteroUserId) {
+    // Verify Zotero credentials if both are provided (Zotero desktop may be closed for now)
+    if (zoteroTarget === 'web' && zoteroApiKey && zoteroUserId) {
       const verification = await verifyZoteroCredentials(zoteroApiKey, zoteroUserId);
       if (!verification.valid) {
         // Don't close modal, let user see the error
@@ -1483,7 +2508,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         keyFormat: currentKeyFormat,
         detailsExpanded: detailsSection ? detailsSection.classList.contains('expanded') : false,
         zoteroApiKey: zoteroApiKey,
-        zoteroUserId: zoteroUserId
+        zoteroUserId: zoteroUserId,
+        zoteroTarget: zoteroTarget
       });
     } catch (error) {
       console.error('Error saving settings:', error);
@@ -1513,178 +2539,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     versionElement.textContent = `Version ${manifest.version}`;
   }
   
-  await loadPreferences();
-  await fetchMetadata();
-});
-
-/**
- * Content script function to extract metadata from the page
- * This runs in the context of the web page
- */
-function extractPageMetadata() {
-  const metadata = {
-    title: '',
-    author: '',
-    date: '',
-    year: '',
-    url: window.location.href,
-    publisher: '',
-    doi: '',
-    isbn: '',
-    journal: '',
-    volume: '',
-    issue: '',
-    pages: ''
-  };
-
-  const getMeta = (selectors) => {
-    for (const selector of selectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        const content = el.getAttribute('content') || el.textContent;
-        if (content && content.trim()) return content.trim();
-      }
-    }
-    return '';
-  };
-
-  // Title extraction
-  metadata.title = getMeta([
-    'meta[property="og:title"]',
-    'meta[name="citation_title"]',
-    'meta[name="dc.title"]',
-    'meta[name="DC.title"]',
-    'meta[name="twitter:title"]',
-    'meta[property="article:title"]'
-  ]) || document.title || '';
-
-  // Clean up title
-  if (metadata.title.includes(' | ')) {
-    metadata.title = metadata.title.split(' | ')[0].trim();
-  } else if (metadata.title.includes(' - ')) {
-    const parts = metadata.title.split(' - ');
-    if (parts.length > 1) {
-      metadata.title = parts.slice(0, -1).join(' - ').trim();
-    }
-  }
-
-  // Author extraction
-  const authorMetas = document.querySelectorAll(
-    'meta[name="author"], meta[name="citation_author"], meta[name="dc.creator"], ' +
-    'meta[name="DC.creator"], meta[property="article:author"], meta[name="byl"]'
-  );
-  
-  if (authorMetas.length > 0) {
-    const authors = [];
-    authorMetas.forEach(el => {
-      const content = el.getAttribute('content');
-      if (content && content.trim()) {
-        authors.push(content.trim());
-      }
-    });
-    metadata.author = authors.join('; ');
-  }
-
-  // Try JSON-LD
-  if (!metadata.author) {
-    const jsonLd = document.querySelectorAll('script[type="application/ld+json"]');
-    jsonLd.forEach(script => {
-      try {
-        const data = JSON.parse(script.textContent);
-        const items = Array.isArray(data) ? data : [data];
-        items.forEach(item => {
-          if (item.author) {
-            if (typeof item.author === 'string') {
-              metadata.author = item.author;
-            } else if (Array.isArray(item.author)) {
-              metadata.author = item.author.map(a => a.name || a).join('; ');
-            } else if (item.author.name) {
-              metadata.author = item.author.name;
-            }
-          }
-        });
-      } catch (e) {}
-    });
-  }
-
-  // Date extraction
-  metadata.date = getMeta([
-    'meta[name="citation_publication_date"]',
-    'meta[name="citation_date"]',
-    'meta[property="article:published_time"]',
-    'meta[name="date"]',
-    'meta[name="dc.date"]',
-    'meta[name="DC.date"]',
-    'meta[property="og:published_time"]',
-    'time[datetime]'
-  ]);
-
-  if (metadata.date) {
-    const yearMatch = metadata.date.match(/(\d{4})/);
-    if (yearMatch) {
-      metadata.year = yearMatch[1];
-    }
-  }
-
-  // Publisher
-  metadata.publisher = getMeta([
-    'meta[property="og:site_name"]',
-    'meta[name="citation_publisher"]',
-    'meta[name="publisher"]',
-    'meta[name="dc.publisher"]',
-    'meta[name="DC.publisher"]'
-  ]);
-
-  if (!metadata.publisher) {
-    try {
-      const hostname = new URL(window.location.href).hostname;
-      metadata.publisher = hostname.replace('www.', '').split('.')[0];
-      metadata.publisher = metadata.publisher.charAt(0).toUpperCase() + metadata.publisher.slice(1);
-    } catch (e) {}
-  }
+  setCreators([]);
 
-  // DOI
-  metadata.doi = getMeta([
-    'meta[name="citation_doi"]',
-    'meta[name="dc.identifier"][scheme="doi"]',
-    'meta[name="DC.identifier"][scheme="doi"]',
-    'meta[name="doi"]'
-  ]);
-
-  if (!metadata.doi) {
-    const doiRegex = /10\.\d{4,}\/[^\s"<>]+/;
-    const urlMatch = window.location.href.match(doiRegex);
-    if (urlMatch) {
-      metadata.doi = urlMatch[0];
-    }
-  }
-
-  // ISBN
-  metadata.isbn = getMeta([
-    'meta[name="citation_isbn"]',
-    'meta[name="isbn"]'
-  ]);
-
-  // Journal
-  metadata.journal = getMeta([
-    'meta[name="citation_journal_title"]',
-    'meta[name="journal"]'
-  ]);
-
-  // Volume
-  metadata.volume = getMeta(['meta[name="citation_volume"]']);
-
-  // Issue
-  metadata.issue = getMeta(['meta[name="citation_issue"]']);
-
-  // Pages
-  const firstPage = getMeta(['meta[name="citation_firstpage"]']);
-  const lastPage = getMeta(['meta[name="citation_lastpage"]']);
-  if (firstPage && lastPage) {
-    metadata.pages = `${firstPage}-${lastPage}`;
-  } else if (firstPage) {
-    metadata.pages = firstPage;
+  // CSL styles must be in the picker before the saved style is restored
+  await loadCSLStyles();
+  await loadPreferences();
+  if (currentLibraryEntryId) {
+    await loadLibraryEntry(currentLibraryEntryId);
+  } else {
+    await fetchMetadata();
   }
-
-  return metadata;
-}
+});
@@ -0,0 +1,408 @@
+/**
+ * JustCite - Site Translators
+ * Extractors for publishers and repositories whose metadata is in the page
+ * markup rather than in meta tags, or whose meta tags need correcting. Each one
+ * runs only on its hosts, ahead of the generic extractors in PageMetadata.
+ * Loaded after pageMetadata.js wherever it is.
+ */
+
+const SiteTranslators = {
+  /**
+   * Translators. Each one has:
+   *   name               - shown as the source of the values it provides
+   *   hosts              - hostnames (subdomains included) or patterns it runs on
+   *   extract(doc, url)  - fields in the popup's shape; return {} for pages it doesn't know
+   */
+  translators: [
+    {
+      name: 'arXiv',
+      hosts: ['arxiv.org'],
+      extract(doc, url) {
+        const match = url.match(/arxiv\.org\/(?:abs|html)\/(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})/i);
+        const id = PageMetadata.getMeta(doc, ['citation_arxiv_id']) || (match && match[1]);
+        if (!id) return {};
+
+        // "[Submitted on 2 Jan 2023 (v1), last revised ...]"
+        const submitted = SiteTranslators.text(doc, '.dateline').match(/Submitted on ([^(\]]+)/);
+        return {
+          title: SiteTranslators.text(doc, 'h1.title').replace(/^Title:\s*/, ''),
+          author: SiteTranslators.texts(doc, '.authors a').join('; '),
+          date: submitted ? SiteTranslators.toIsoDate(submitted[1]) : '',
+          publisher: 'arXiv',
+          doi: `10.48550/arXiv.${id}`,
+          number: `arXiv:${id}`,
+          sourceType: 'preprint'
+        };
+      }
+    },
+    {
+      name: 'PubMed',
+      hosts: ['pubmed.ncbi.nlm.nih.gov'],
+      extract(doc) {
+        const title = SiteTranslators.text(doc, 'h1.heading-title');
+        if (!title) return {};
+
+        // "2020 Jan 15;12(3):100-110."
+        const cit = SiteTranslators.text(doc, '#full-view-heading .cit').match(/^([^;:]*)(?:;\s*([^(:]*)(?:\(([^)]*)\))?)?(?::\s*([^.]+))?/);
+        const journal = doc.querySelector('#full-view-journal-trigger');
+        return {
+          title: title.replace(/\.$/, ''),
+          author: SiteTranslators.texts(doc, '#full-view-heading .authors-list .full-name').join('; '),
+          date: cit ? SiteTranslators.toIsoDate(cit[1]) : '',
+          journal: journal ? (journal.getAttribute('title') || journal.textContent).trim() : '',
+          volume: cit && cit[2] ? cit[2].trim() : '',
+          issue: cit && cit[3] ? cit[3].trim() : '',
+          pages: cit && cit[4] ? cit[4].trim() : '',
+          doi: SiteTranslators.text(doc, '#full-view-identifiers .doi .id-link'),
+          sourceType: 'journal'
+        };
+      }
+    },
+    {
+      name: 'IEEE Xplore',
+      hosts: ['ieeexplore.ieee.org'],
+      extract(doc) {
+        // The article page is rendered from xplGlobal.document.metadata = {...};
+        const data = SiteTranslators.readScriptJson(doc, /xplGlobal\.document\.metadata\s*=\s*(\{[\s\S]*?\});\s*(?:\n|$)/);
+        if (!data || !data.title) return {};
+
+        const types = { conferences: 'conference', periodicals: 'journal', journals: 'journal', books: 'chapter', standards: 'report' };
+        const isbn = (data.isbn || []).find(entry => /13/.test(entry.format || '')) || (data.isbn || [])[0];
+        return {
+          title: SiteTranslators.stripTags(data.title),
+          author: (data.authors || []).map(author => author.name).join('; '),
+          date: SiteTranslators.toIsoDate(data.publicationDate || data.publicationYear || ''),
+          journal: data.publicationTitle || data.displayPublicationTitle || '',
+          volume: data.volume || '',
+          issue: data.issue || '',
+          pages: PageMetadata.joinPages(data.startPage || '', data.endPage || ''),
+          doi: data.doi || '',
+          isbn: isbn ? isbn.value : '',
+          publisher: data.publisher || 'IEEE',
+          sourceType: types[data.contentType] || ''
+        };
+      }
+    },
+    {
+      name: 'ACM Digital Library',
+      hosts: ['dl.acm.org'],
+      extract(doc, url) {
+        const match = url.match(/\/doi\/(?:abs\/|full\/|pdf\/)?(10\.\d{4,}\/[^?#]+)/);
+        if (!match) return {};
+
+        const container = SiteTranslators.text(doc, '[property="isPartOf"] [property="name"], .epub-section__title');
+        return {
+          title: SiteTranslators.text(doc, 'h1[property="name"], .citation__title'),
+          author: SiteTranslators.texts(doc, '[property="author"] > [property="name"], .loa__author-name span').join('; '),
+          date: SiteTranslators.toIsoDate(SiteTranslators.text(doc, '[property="datePublished"], .CitationCoverDate')),
+          journal: container,
+          doi: decodeURIComponent(match[1]),
+          publisher: 'Association for Computing Machinery',
+          sourceType: /^Proceedings\b/i.test(container) ? 'conference' : ''
+        };
+      }
+    },
+    {
+      name: 'ScienceDirect',
+      hosts: ['sciencedirect.com'],
+      extract(doc, url) {
+        if (!/\/science\/article\//.test(url)) return {};
+
+        const authors = [...doc.querySelectorAll('#author-group .react-xocs-alternative-link, #author-group .author')]
+          .map(author => {
+            const given = SiteTranslators.text(author, '.given-name');
+            const family = SiteTranslators.text(author, '.surname');
+            return family ? [family, given].filter(Boolean).join(', ') : '';
+          })
+          .filter((name, i, names) => name && names.indexOf(name) === i);
+        // "Volume 12, Issue 3, March 2020, Pages 100-110"
+        const issueLine = SiteTranslators.text(doc, '#publication .publication-volume .text-xs, .publication-volume');
+        const part = pattern => (issueLine.match(pattern) || [])[1] || '';
+        const doiLink = doc.querySelector('a.doi, a.anchor.doi');
+
+        return {
+          title: SiteTranslators.text(doc, 'h1 .title-text, .title-text'),
+          author: authors.join('; '),
+          journal: SiteTranslators.text(doc, '#publication-title, .publication-title-link'),
+          volume: part(/Volume\s+([^,]+)/i),
+          issue: part(/Issue\s+([^,]+)/i),
+          pages: part(/Pages?\s+([\w–-]+)/i).replace('–', '-'),
+          date: SiteTranslators.toIsoDate(part(/,\s*((?:\d{1,2}\s+)?[A-Z][a-z]+\s+\d{4})/)),
+          doi: doiLink ? (doiLink.getAttribute('href') || '').replace(/^https?:\/\/(?:dx\.)?doi\.org\//, '') : '',
+          publisher: 'Elsevier',
+          sourceType: 'journal'
+        };
+      }
+    },
+    {
+      name: 'SpringerLink',
+      hosts: ['link.springer.com'],
+      extract(doc, url) {
+        const match = url.match(/\/(article|chapter|book|referenceworkentry)\/(10\.\d{4,}\/[^?#]+)/);
+        if (!match) return {};
+
+        const conference = PageMetadata.getMeta(doc, ['citation_conference_title']);
+        const types = { article: 'journal', chapter: conference ? 'conference' : 'chapter', book: 'book', referenceworkentry: 'chapter' };
+        return {
+          title: SiteTranslators.text(doc, 'h1.c-article-title, h1[data-test="book-title"], h1[data-test="chapter-title"]'),
+          author: SiteTranslators.texts(doc, '[data-test="author-name"]').join('; '),
+          doi: decodeURIComponent(match[2]),
+          publisher: 'Springer',
+          sourceType: types[match[1]]
+        };
+      }
+    },
+    {
+      name: 'JSTOR',
+      hosts: ['jstor.org'],
+      extract(doc, url) {
+        if (!/\/stable\//.test(url)) return {};
+
+        // "By: Ann Smith and Bo Lee"
+        const authors = SiteTranslators.text(doc, '[data-qa="item-authors"], .contrib')
+          .replace(/^By:?\s*/i, '')
+          .split(/,\s*(?:and\s+)?|\s+and\s+/)
+          .map(name => name.trim())
+          .filter(Boolean);
+        // "Journal of X, Vol. 12, No. 3 (Mar., 2020), pp. 100-110"
+        const source = SiteTranslators.text(doc, '[data-qa="item-src-info"], .src')
+          .match(/^(.*?)(?:,\s*Vol\.\s*([^,(]+))?(?:,\s*No\.\s*([^,(]+))?\s*\(([^)]*)\)(?:,\s*pp?\.\s*([\d–-]+))?/);
+        return {
+          title: SiteTranslators.text(doc, '[data-qa="item-title"], h1.title'),
+          author: authors.join('; '),
+          journal: source ? source[1].trim() : '',
+          volume: source && source[2] ? source[2].trim() : '',
+          issue: source && source[3] ? source[3].trim() : '',
+          date: source ? SiteTranslators.toIsoDate(source[4]) : '',
+          pages: source && source[5] ? source[5].replace('–', '-') : '',
+          publisher: 'JSTOR',
+          sourceType: source ? 'journal' : ''
+        };
+      }
+    },
+    {
+      name: 'SSRN',
+      hosts: ['ssrn.com'],
+      extract(doc, url) {
+        const match = url.match(/abstract(?:_id)?=(\d+)/i);
+        if (!match) return {};
+        return {
+          title: SiteTranslators.text(doc, '.abstract-wrapper h1, #abstractTitle h1'),
+          author: SiteTranslators.texts(doc, '.authors h2 a, .authors-full-width h2 a').join('; '),
+          date: SiteTranslators.toIsoDate((SiteTranslators.text(doc, '.note-list').match(/Posted:\s*([^\n]+?\d{4})/) || [])[1] || ''),
+          publisher: 'SSRN',
+          doi: `10.2139/ssrn.${match[1]}`,
+          number: match[1],
+          sourceType: 'preprint'
+        };
+      }
+    },
+    {
+      name: 'bioRxiv',
+      hosts: ['biorxiv.org', 'medrxiv.org'],
+      extract(doc, url) {
+        // .../content/10.1101/2020.01.01.123456v2
+        const match = url.match(/\/content\/(10\.1101\/(?:\d{4}\.\d{2}\.\d{2}\.)?\d+)/);
+        if (!match) return {};
+        return {
+          doi: match[1],
+          publisher: /medrxiv/i.test(url) ? 'medRxiv' : 'bioRxiv',
+          sourceType: 'preprint'
+        };
+      }
+    },
+    {
+      name: 'GitHub',
+      hosts: ['github.com'],
+      extract(doc, url) {
+        const match = new URL(url).pathname.match(/^\/([^/]+)\/([^/]+)/);
+        const reserved = ['orgs', 'topics', 'settings', 'marketplace', 'sponsors', 'features', 'about', 'search'];
+        if (!match || reserved.includes(match[1])) return {};
+
+        const ownerLink = doc.querySelector('a[rel="author"]');
+        const owner = SiteTranslators.text(doc, 'a[rel="author"]') || match[1];
+        // Organizations are braced so they are never split into given and family names
+        const isOrganization = ownerLink && ownerLink.getAttribute('data-hovercard-type') === 'organization';
+        const release = doc.querySelector('a[href*="/releases/tag/"]');
+        const updated = doc.querySelector('relative-time[datetime]');
+        return {
+          title: match[2],
+          author: isOrganization ? `{${owner}}` : owner,
+          date: (updated && updated.getAttribute('datetime') || '').slice(0, 10),
+          version: release ? decodeURIComponent(release.getAttribute('href').split('/releases/tag/')[1]) : '',
+          publisher: 'GitHub',
+          sourceType: 'software'
+        };
+      }
+    },
+    {
+      name: 'YouTube',
+      hosts: ['youtube.com'],
+      extract(doc, url) {
+        if (!/\/watch\b|\/shorts\//.test(url)) return {};
+        const video = doc.querySelector('[itemtype$="VideoObject"]') || doc;
+        const meta = selector => {
+          const el = video.querySelector(selector);
+          return el ? (el.getAttribute('content') || '').trim() : '';
+        };
+        const channel = meta('[itemprop="author"] [itemprop="name"]') || SiteTranslators.text(doc, '#owner #channel-name a');
+        return {
+          title: meta('meta[itemprop="name"]') || SiteTranslators.text(doc, 'h1.ytd-watch-metadata'),
+          // Channels are cited under their name as given, like organizations
+          author: channel ? `{${channel}}` : '',
+          date: (meta('[itemprop="uploadDate"]') || meta('[itemprop="datePublished"]')).slice(0, 10),
+          publisher: 'YouTube',
+          sourceType: 'webpage'
+        };
+      }
+    },
+    {
+      name: 'Wikipedia',
+      hosts: ['wikipedia.org'],
+      extract(doc, url) {
+        if (!/\/wiki\//.test(url)) return {};
+        // "This page was last edited on 5 March 2024, at 10:00"
+        const edited = SiteTranslators.text(doc, '#footer-info-lastmod').match(/on (.+?\d{4})/);
+        return {
+          title: SiteTranslators.text(doc, '#firstHeading'),
+          author: '{Wikipedia contributors}',
+          date: edited ? SiteTranslators.toIsoDate(edited[1]) : '',
+          publisher: 'Wikipedia',
+          sourceType: 'webpage'
+        };
+      }
+    },
+    {
+      name: 'Google Books',
+      hosts: [/^books\.google\./, /^(www\.)?google\.[a-z.]+$/],
+      extract(doc, url) {
+        if (!/\/books\b/.test(url)) return {};
+
+        // About-this-book table: "Title", "Author", "Publisher", "ISBN" rows
+        const rows = {};
+        doc.querySelectorAll('#metadata_content_table tr').forEach(row => {
+          const label = SiteTranslators.text(row, '.metadata_label').toLowerCase();
+          if (label) rows[label] = SiteTranslators.text(row, '.metadata_value');
+        });
+        // "Oxford University Press, 2001"
+        const publisher = (rows.publisher || '').match(/^(.*?)(?:,\s*(\d{4}))?$/);
+        const isbns = (rows.isbn || '').split(/,\s*/);
+        return {
+          title: rows.title || SiteTranslators.text(doc, '.booktitle'),
+          author: (rows.author || rows.authors || '').split(/,\s*/).filter(Boolean).join('; '),
+          editor: (rows.editor || rows.editors || '').split(/,\s*/).filter(Boolean).join('; '),
+          edition: (rows.edition || '').replace(/\s*edition$/i, ''),
+          publisher: publisher ? publisher[1] : '',
+          date: publisher && publisher[2] ? publisher[2] : '',
+          isbn: isbns.find(isbn => isbn.length === 13) || isbns[0] || '',
+          sourceType: 'book'
+        };
+      }
+    },
+    {
+      name: 'Amazon',
+      hosts: [/(^|\.)amazon\.(com|ca|de|fr|it|es|nl|in|co\.uk|co\.jp|com\.au|com\.br|com\.mx)$/],
+      extract(doc) {
+        const title = SiteTranslators.text(doc, '#productTitle, #ebooksProductTitle');
+        if (!title) return {};
+
+        // Byline: "Ann Smith (Author), Bo Lee (Translator)"
+        const roles = { author: [], editor: [], translator: [] };
+        doc.querySelectorAll('#bylineInfo .author').forEach(el => {
+          const name = SiteTranslators.text(el, 'a');
+          const role = SiteTranslators.text(el, '.contribution').replace(/[(),]/g, '').trim().toLowerCase();
+          if (name && roles[role]) roles[role].push(name);
+        });
+        // Product details: "Publisher : Penguin; 2nd edition (March 1, 2001)", "ISBN-13 : 978-0306406157"
+        const details = {};
+        doc.querySelectorAll('#detailBullets_feature_div li, #productDetailsTable li').forEach(item => {
+          const [label, ...value] = item.textContent.replace(/[‎‏]/g, '').split(':');
+          if (value.length > 0) details[label.replace(/\s+/g, ' ').trim().toLowerCase()] = value.join(':').replace(/\s+/g, ' ').trim();
+        });
+        const publisher = (details.publisher || '').match(/^([^;(]+)(?:;\s*([^(]+?)\s*edition)?\s*(?:\(([^)]+)\))?/i);
+        const isbn = (details['isbn-13'] || details['isbn-10'] || '').replace(/-/g, '');
+
+        return {
+          title,
+          author: roles.author.join('; '),
+          editor: roles.editor.join('; '),
+          translator: roles.translator.join('; '),
+          publisher: publisher ? publisher[1].trim() : '',
+          edition: publisher && publisher[2] ? publisher[2].replace(/\s*(st|nd|rd|th)$/i, '') : '',
+          date: SiteTranslators.toIsoDate((publisher && publisher[3]) || details['publication date'] || ''),
+          isbn,
+          sourceType: isbn || roles.author.length > 0 ? 'book' : ''
+        };
+      }
+    }
+  ],
+
+  /**
+   * Text of the first element matching the selector, with whitespace collapsed
+   */
+  text(root, selector) {
+    const el = root.querySelector(selector);
+    return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+  },
+
+  /**
+   * Text of every element matching the selector, without repeats
+   */
+  texts(root, selector) {
+    const values = [...root.querySelectorAll(selector)].map(el => el.textContent.replace(/\s+/g, ' ').trim());
+    return values.filter((value, i) => value && values.indexOf(value) === i);
+  },
+
+  stripTags(html) {
+    return html.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Parse the object literal a page assigns in an inline script
+   * @param {RegExp} pattern - captures the JSON object
+   */
+  readScriptJson(doc, pattern) {
+    for (const script of doc.querySelectorAll('script:not([src])')) {
+      const match = script.textContent.match(pattern);
+      if (!match) continue;
+      try {
+        return JSON.parse(match[1]);
+      } catch (e) {
+        return null;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Written dates ("5 March 2024", "March 1, 2001", "2020 Jan 15", "Mar., 2020")
+   * as "2024-03-05", "2001-03-01", "2020-01-15", "2020-03"; just the year when
+   * the month isn't named
+   */
+  toIsoDate(text) {
+    const year = (text.match(/\b(\d{4})\b/) || [])[1];
+    if (!year) return text.trim();
+
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const monthMatch = text.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?/i);
+    if (!monthMatch) {
+      // Already numeric: "2020-01-15", "2020/01/15"
+      const numeric = text.match(/\b(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2}))?/);
+      return numeric
+        ? [numeric[1], numeric[2].padStart(2, '0'), numeric[3] && numeric[3].padStart(2, '0')].filter(Boolean).join('-')
+        : year;
+    }
+
+    const parts = [year, String(months.indexOf(monthMatch[1].toLowerCase()) + 1).padStart(2, '0')];
+    const day = text.replace(year, '').match(/\b(\d{1,2})\b/);
+    if (day) parts.push(day[1].padStart(2, '0'));
+    return parts.join('-');
+  }
+};
+
+SiteTranslators.translators.forEach(translator => PageMetadata.register(translator, 'Highwire'));
+
+// Export for use in popup.js
+if (typeof window !== 'undefined') {
+  window.SiteTranslators = SiteTranslators;
+}
@@ -0,0 +1,472 @@
+/**
+ * JustCite - Zotero Client
+ * Zotero Web API access shared by the popup and the background worker
+ */
+
+const ZoteroClient = {
+  API_BASE: 'https://api.zotero.org',
+
+  /**
+   * Get the API key and user ID saved in the popup settings
+   * @returns {Object|null} { apiKey, userId }, or null if Zotero isn't configured
+   */
+  async getCredentials() {
+    const stored = await chrome.storage.local.get(['zoteroApiKey', 'zoteroUserId']);
+    if (!stored.zoteroApiKey || !stored.zoteroUserId) return null;
+    return { apiKey: stored.zoteroApiKey, userId: stored.zoteroUserId };
+  },
+
+  getHeaders(apiKey) {
+    return {
+      'Zotero-API-Key': apiKey,
+      'Zotero-API-Version': '3'
+    };
+  },
+
+  /**
+   * API path of the library to work in: credentials.library ('users/<id>' or
+   * 'groups/<id>', from getLibraries()), else the user's own library
+   */
+  getLibraryPath({ userId, library }) {
+    return `${this.API_BASE}/${library || `users/${userId}`}`;
+  },
+
+  getNotFoundMessage({ library }) {
+    return library && library.startsWith('groups/') ? 'Zotero group not found' : 'Invalid Zotero User ID';
+  },
+
+  /**
+   * The libraries the API key can save to: the user's own library and the group
+   * libraries it has write access to, either for all groups or group by group
+   * @param {Object} credentials - { apiKey, userId }
+   * @param {string} [access] - 'library' for the libraries it can read instead
+   * @returns {Object[]} [{ path, name }], path being 'users/<id>' or 'groups/<id>'
+   */
+  async getLibraries({ apiKey, userId }, access = 'write') {
+    const keyResponse = await fetch(`${this.API_BASE}/keys/${apiKey}`, {
+      headers: { 'Zotero-API-Version': '3' }
+    });
+    if (!keyResponse.ok) {
+      throw new Error(keyResponse.status === 404 ? 'Invalid API key' : `Failed to verify API key (${keyResponse.status})`);
+    }
+    const { access: keyAccess = {} } = await keyResponse.json();
+
+    const libraries = [];
+    if (keyAccess.user && keyAccess.user[access]) {
+      libraries.push({ path: `users/${userId}`, name: 'My Library' });
+    }
+
+    const groupAccess = keyAccess.groups || {};
+    if (Object.keys(groupAccess).length === 0) return libraries;
+
+    const response = await fetch(`${this.API_BASE}/users/${userId}/groups?limit=100`, {
+      headers: this.getHeaders(apiKey)
+    });
+    if (!response.ok) {
+      console.error('Failed to fetch Zotero groups:', response.status);
+      return libraries;
+    }
+    (await response.json()).forEach(group => {
+      const allowed = (groupAccess[group.id] || groupAccess.all || {})[access];
+      // Groups can limit editing to their admins
+      const admins = [group.data.owner, ...(group.data.admins || [])].map(String);
+      const adminsOnly = access === 'write' && group.data.libraryEditing === 'admins';
+      if (!allowed || (adminsOnly && !admins.includes(String(userId)))) return;
+      libraries.push({ path: `groups/${group.id}`, name: group.data.name });
+    });
+    return libraries;
+  },
+
+  /**
+   * Collections of the library, unsorted
+   * @returns {Object[]} [{ key, data: { name, parentCollection } }]
+   */
+  async getCollections({ apiKey, ...credentials }) {
+    const response = await fetch(`${this.getLibraryPath(credentials)}/collections?limit=100`, {
+      headers: this.getHeaders(apiKey)
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch collections (${response.status})`);
+    }
+    return response.json();
+  },
+
+  /**
+   * Convert metadata to Zotero item format
+   */
+  toItem(metadata) {
+    // Determine item type based on source type
+    let itemType = 'webpage';
+    const sourceType = CitationFormatter.getSourceType(metadata);
+    
+    switch (sourceType) {
+      case 'article':
+      case 'journal':
+        itemType = metadata.journal ? 'journalArticle' : 'conferencePaper';
+        break;
+      case 'book':
+        itemType = 'book';
+        break;
+      case 'chapter':
+        itemType = 'bookSection';
+        break;
+      case 'conference':
+        itemType = 'conferencePaper';
+        break;
+      case 'thesis':
+      case 'report':
+      case 'dataset':
+      case 'preprint':
+        itemType = sourceType;
+        break;
+      case 'software':
+        itemType = 'computerProgram';
+        break;
+      case 'news':
+        itemType = 'newspaperArticle';
+        break;
+      default:
+        itemType = 'webpage';
+    }
+
+    // Organizations become single-field creators
+    const creators = Creators.fromMetadata(metadata).map(creator => Creators.toZoteroCreator(creator, itemType));
+
+    // Build the Zotero item
+    const item = {
+      itemType: itemType,
+      title: metadata.title || '',
+      creators: creators,
+      date: metadata.date || '',
+      url: metadata.url || '',
+      accessDate: new Date().toISOString().split('T')[0],
+      tags: [],
+      relations: {}
+    };
+
+    // Add type-specific fields
+    if (metadata.doi) item.DOI = metadata.doi;
+    if (metadata.isbn) item.ISBN = metadata.isbn;
+
+    // Zotero names the publisher after its role for these item types
+    const publisherField = {
+      thesis: 'university',
+      report: 'institution',
+      dataset: 'repository',
+      computerProgram: 'company',
+      preprint: 'repository'
+    }[itemType] || 'publisher';
+    if (metadata.publisher) item[publisherField] = metadata.publisher;
+    
+    if (itemType === 'journalArticle') {
+      if (metadata.journal) item.publicationTitle = metadata.journal;
+      if (metadata.volume) item.volume = metadata.volume;
+      if (metadata.issue) item.issue = metadata.issue;
+      if (metadata.pages) item.pages = metadata.pages;
+    } else if (itemType === 'conferencePaper') {
+      if (metadata.journal) item.proceedingsTitle = metadata.journal;
+      else if (metadata.publisher) item.conferenceName = metadata.publisher;
+      if (metadata.volume) item.volume = metadata.volume;
+      if (metadata.place) item.place = metadata.place;
+      if (metadata.pages) item.pages = metadata.pages;
+    } else if (itemType === 'book') {
+      if (metadata.edition) item.edition = metadata.edition;
+      if (metadata.place) item.place = metadata.place;
+    } else if (itemType === 'bookSection') {
+      if (metadata.journal) item.bookTitle = metadata.journal;
+      if (metadata.edition) item.edition = metadata.edition;
+      if (metadata.volume) item.volume = metadata.volume;
+      if (metadata.place) item.place = metadata.place;
+      if (metadata.pages) item.pages = metadata.pages;
+    } else if (itemType === 'thesis') {
+      item.thesisType = CitationFormatter.getThesisLabel(metadata, 'harvard');
+      if (metadata.place) item.place = metadata.place;
+    } else if (itemType === 'report') {
+      if (metadata.number) item.reportNumber = metadata.number;
+      if (metadata.place) item.place = metadata.place;
+    } else if (itemType === 'dataset' || itemType === 'computerProgram') {
+      if (metadata.version) item.versionNumber = metadata.version;
+      if (itemType === 'computerProgram' && metadata.place) item.place = metadata.place;
+    } else if (itemType === 'preprint') {
+      if (metadata.number) item.archiveID = metadata.number;
+    } else if (itemType === 'webpage') {
+      if (metadata.publisher) item.websiteTitle = metadata.publisher;
+    }
+
+    return item;
+  },
+
+  /**
+   * A child note for an item already in the library
+   * @param {string} html - the note's content
+   * @param {string} parentKey - key of the item from saveItem()
+   */
+  toNote(html, parentKey) {
+    return {
+      itemType: 'note',
+      parentItem: parentKey,
+      note: html,
+      tags: [],
+      relations: {}
+    };
+  },
+
+  /**
+   * A child attachment that links to a web page or PDF. Snapshots and PDF copies
+   * would have to be uploaded as files, which the Web API only does with a file
+   * storage quota, so JustCite links to the original instead.
+   * @param {string} url
+   * @param {string} parentKey - key of the item from saveItem()
+   */
+  toLinkAttachment(url, parentKey) {
+    const isPdf = PdfMetadata.isPdfUrl(url);
+    return {
+      itemType: 'attachment',
+      parentItem: parentKey,
+      linkMode: 'linked_url',
+      title: isPdf ? 'Full Text PDF' : 'Web Page',
+      url,
+      accessDate: new Date().toISOString().split('T')[0],
+      contentType: isPdf ? 'application/pdf' : 'text/html',
+      note: '',
+      tags: [],
+      relations: {}
+    };
+  },
+
+  /**
+   * An item's tags plus the given ones, or null if it already has them all
+   * @param {Object[]} existing - the item's tags, [{ tag }]
+   * @param {string[]} tags
+   */
+  mergeTags(existing = [], tags) {
+    const names = existing.map(({ tag }) => tag.toLowerCase());
+    const added = tags.filter(tag => !names.includes(tag.toLowerCase()));
+    return added.length > 0 ? [...existing, ...added.map(tag => ({ tag }))] : null;
+  },
+
+  /**
+   * Tags used in the library, most used first, for autocomplete
+   * @returns {string[]}
+   */
+  async getTags({ apiKey, ...credentials }) {
+    const response = await fetch(`${this.getLibraryPath(credentials)}/tags?limit=100&sort=numItems&direction=desc`, {
+      headers: this.getHeaders(apiKey)
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch tags (${response.status})`);
+    }
+    return (await response.json()).map(({ tag }) => tag);
+  },
+
+  /**
+   * Create an item in the library
+   * @param {Object} item - a Zotero item from toItem()
+   * @param {Object} credentials - { apiKey, userId, library }
+   * @returns {Object} { status: 'saved' | 'unchanged', key }
+   * @throws {Error} with a message fit to show the user
+   */
+  async saveItem(item, { apiKey, ...credentials }) {
+    // Log the item being sent for debugging
+    console.log('Sending to Zotero:', JSON.stringify([item], null, 2));
+
+    let response;
+    try {
+      response = await fetch(`${this.getLibraryPath(credentials)}/items`, {
+        method: 'POST',
+        headers: { ...this.getHeaders(apiKey), 'Content-Type': 'application/json' },
+        body: JSON.stringify([item])
+      });
+    } catch (error) {
+      console.error('Error saving to Zotero:', error);
+      throw new Error('Failed to connect to Zotero');
+    }
+
+    const responseText = await response.text();
+    console.log('Zotero API response:', response.status, responseText);
+
+    if (!response.ok) {
+      if (response.status === 403) throw new Error('Invalid API key or no write permission');
+      if (response.status === 404) throw new Error(this.getNotFoundMessage(credentials));
+      if (response.status === 400) throw new Error('Invalid item format');
+      throw new Error(`Failed to save (${response.status})`);
+    }
+
+    let result;
+    try {
+      result = JSON.parse(responseText);
+    } catch (parseError) {
+      // If we can't parse, assume success since response was OK
+      console.error('Error parsing Zotero response:', parseError);
+      return { status: 'saved', key: null };
+    }
+
+    if (result.successful && Object.keys(result.successful).length > 0) {
+      const savedItem = Object.values(result.successful)[0];
+      return { status: 'saved', key: savedItem?.key || null };
+    }
+    if (result.failed && Object.keys(result.failed).length > 0) {
+      const failedItem = Object.values(result.failed)[0];
+      console.error('Zotero item failed:', failedItem);
+      throw new Error(`Failed: ${failedItem?.message || failedItem?.code || 'Unknown error'}`);
+    }
+    if (result.unchanged && Object.keys(result.unchanged).length > 0) {
+      return { status: 'unchanged', key: Object.values(result.unchanged)[0] };
+    }
+
+    // Unknown response format (or the older array format), assume success
+    console.warn('Unknown Zotero response format:', result);
+    return { status: 'saved', key: null };
+  },
+
+  /**
+   * Find items already in the library that are the same source: the same DOI, the
+   * same URL, or the same title once case, accents and punctuation are ignored
+   * @param {Object} metadata
+   * @param {Object} credentials - { apiKey, userId, library }
+   * @returns {Object[]} [{ key, version, data, matchedBy }], DOI matches first
+   */
+  async findDuplicates(metadata, credentials) {
+    const doi = this.normalizeDoi(metadata.doi);
+    const url = this.normalizeUrl(metadata.url);
+    const title = this.normalizeTitle(metadata.title);
+    // Items without a DOI field keep it in Extra ("DOI: 10.1000/xyz")
+    const itemDoi = data => this.normalizeDoi(data.DOI || ((data.extra || '').match(/^DOI:\s*(\S+)/im) || [])[1]);
+
+    const searches = [
+      doi && { matchedBy: 'DOI', query: { q: doi, qmode: 'everything' }, test: data => itemDoi(data) === doi },
+      url && { matchedBy: 'URL', query: { q: metadata.url, qmode: 'everything' }, test: data => this.normalizeUrl(data.url) === url },
+      // Quick search matches words, so search for the title's first words and compare all of it
+      title && { matchedBy: 'title', query: { q: title.split(' ').slice(0, 8).join(' ') }, test: data => this.normalizeTitle(data.title) === title }
+    ].filter(Boolean);
+
+    const found = new Map();
+    for (const { matchedBy, query, test } of searches) {
+      const items = await this.searchItems(query, credentials);
+      items
+        .filter(item => !found.has(item.key) && test(item.data))
+        .forEach(item => found.set(item.key, { key: item.key, version: item.version, data: item.data, matchedBy }));
+    }
+    return [...found.values()];
+  },
+
+  /**
+   * Search the top-level items of the library, or of one of its collections
+   * (standalone notes and attachments are top-level items too)
+   * @param {Object} query - Zotero search parameters, e.g. { q, qmode, limit }
+   * @param {Object} credentials - { apiKey, userId, library }
+   * @param {string} [collectionKey]
+   */
+  async searchItems(query, { apiKey, ...credentials }, collectionKey = '') {
+    const params = new URLSearchParams({ limit: '25', ...query });
+    const collection = collectionKey ? `/collections/${collectionKey}` : '';
+    let response;
+    try {
+      response = await fetch(`${this.getLibraryPath(credentials)}${collection}/items/top?${params}`, {
+        headers: this.getHeaders(apiKey)
+      });
+    } catch (error) {
+      console.error('Error searching Zotero:', error);
+      throw new Error('Failed to connect to Zotero');
+    }
+
+    if (!response.ok) {
+      if (response.status === 403) throw new Error('Invalid API key or no read permission');
+      if (response.status === 404) throw new Error(this.getNotFoundMessage(credentials));
+      throw new Error(`Failed to search Zotero (${response.status})`);
+    }
+    return response.json();
+  },
+
+  /**
+   * Change some fields of an item in the library
+   * @param {Object} existing - { key, version } from findDuplicates()
+   * @param {Object} changes - the fields to set
+   * @throws {Error} with a message fit to show the user
+   */
+  async updateItem({ key, version }, changes, { apiKey, ...credentials }) {
+    let response;
+    try {
+      response = await fetch(`${this.getLibraryPath(credentials)}/items/${key}`, {
+        method: 'PATCH',
+        headers: {
+          ...this.getHeaders(apiKey),
+          'Content-Type': 'application/json',
+          // Refuse the change if the item was edited since it was read
+          'If-Unmodified-Since-Version': String(version)
+        },
+        body: JSON.stringify(changes)
+      });
+    } catch (error) {
+      console.error('Error updating Zotero item:', error);
+      throw new Error('Failed to connect to Zotero');
+    }
+
+    if (!response.ok) {
+      console.log('Zotero API response:', response.status, await response.text());
+      if (response.status === 403) throw new Error('Invalid API key or no write permission');
+      if (response.status === 404) throw new Error('The item is no longer in Zotero');
+      if (response.status === 412) throw new Error('The item was changed in Zotero in the meantime; try again');
+      if (response.status === 400) throw new Error('Invalid item format');
+      throw new Error(`Failed to update (${response.status})`);
+    }
+  },
+
+  /**
+   * Add an existing item to a collection, keeping the collections it is in
+   * @returns {boolean} false if it was already in the collection
+   */
+  async addToCollection(existing, collectionKey, credentials) {
+    const collections = existing.data.collections || [];
+    if (collections.includes(collectionKey)) return false;
+    await this.updateItem(existing, { collections: [...collections, collectionKey] }, credentials);
+    return true;
+  },
+
+  /**
+   * Fields of a new item (from toItem()) that would change an existing one. Only
+   * fields the existing item's type has are compared, and empty values never
+   * replace what is in the library.
+   */
+  getChangedFields(existingData, item) {
+    const skip = ['key', 'version', 'itemType', 'collections', 'tags', 'relations', 'accessDate'];
+    const changes = {};
+    Object.entries(item).forEach(([field, value]) => {
+      if (skip.includes(field) || !(field in existingData)) return;
+      if (!value || (Array.isArray(value) && value.length === 0)) return;
+      if (JSON.stringify(value) !== JSON.stringify(existingData[field])) changes[field] = value;
+    });
+    return changes;
+  },
+
+  normalizeDoi(doi) {
+    return (doi || '').trim().toLowerCase().replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/, '');
+  },
+
+  /**
+   * Compare URLs without their scheme, "www.", fragment or trailing slash
+   */
+  normalizeUrl(url) {
+    if (!url) return '';
+    try {
+      const parsed = new URL(url);
+      return parsed.hostname.replace(/^www\./, '') + parsed.pathname.replace(/\/+$/, '') + parsed.search;
+    } catch (e) {
+      return url.trim().toLowerCase();
+    }
+  },
+
+  normalizeTitle(title) {
+    return (title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+};
+
+// Export for use in popup.js (the background worker loads it with importScripts)
+if (typeof window !== 'undefined') {
+  window.ZoteroClient = ZoteroClient;
+}
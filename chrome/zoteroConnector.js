@@ -0,0 +1,140 @@
+/**
+ * JustCite - Zotero Connector
+ * Saves through the connector server of the Zotero desktop app, as Zotero's own
+ * browser connector does: no API key, and items go into the collection selected in Zotero
+ */
+
+const ZoteroConnector = {
+  DEFAULT_URL: 'http://127.0.0.1:23119',
+  API_VERSION: '3',
+  PING_TIMEOUT: 2000,
+
+  /**
+   * Whether the popup settings save to Zotero desktop instead of the Web API
+   */
+  async isEnabled() {
+    const { zoteroTarget } = await chrome.storage.local.get(['zoteroTarget']);
+    return zoteroTarget === 'desktop';
+  },
+
+  /**
+   * The connector server's address: Zotero's own port, unless zoteroConnectorUrl is
+   * set in storage (another port, or a fake connector server while testing)
+   */
+  async getBaseUrl() {
+    const { zoteroConnectorUrl } = await chrome.storage.local.get(['zoteroConnectorUrl']);
+    return (zoteroConnectorUrl || this.DEFAULT_URL).replace(/\/+$/, '');
+  },
+
+  /**
+   * POST JSON to a connector endpoint
+   * @param {string} endpoint - e.g. 'ping', 'saveItems'
+   * @param {number} [timeout] - give up after this many ms
+   * @returns {Response}
+   * @throws {Error} if Zotero isn't running
+   */
+  async request(endpoint, body = {}, timeout = 0) {
+    const controller = new AbortController();
+    const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+    try {
+      return await fetch(`${await this.getBaseUrl()}/connector/${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          // Zotero refuses requests from web pages that lack this header
+          'X-Zotero-Connector-API-Version': this.API_VERSION
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      console.error(`Error calling the Zotero connector (${endpoint}):`, error);
+      throw new Error('Zotero desktop is not running');
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+
+  /**
+   * Check that Zotero desktop is running
+   */
+  async ping() {
+    try {
+      return (await this.request('ping', {}, this.PING_TIMEOUT)).ok;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * The library and collection selected in Zotero, where saved items go
+   * @returns {Object} { library, collection, editable }, collection '' for the library root
+   */
+  async getSelectedCollection() {
+    const response = await this.request('getSelectedCollection');
+    if (!response.ok) {
+      throw new Error(`Failed to read the selected collection (${response.status})`);
+    }
+    const data = await response.json();
+    return {
+      library: data.libraryName || 'My Library',
+      // Without a collection id the library itself is selected, and name is the library's
+      collection: data.id ? data.name : '',
+      editable: data.libraryEditable !== false && data.editable !== false
+    };
+  },
+
+  /**
+   * "My Library › Reading", for showing where items will be saved
+   */
+  describeTarget({ library, collection }) {
+    return collection ? `${library} › ${collection}` : library;
+  },
+
+  /**
+   * A Web API item (ZoteroClient.toItem) in the connector's format, with its child
+   * notes and link attachments (ZoteroClient.toNote, toLinkAttachment) inlined, as
+   * the connector creates them together with the item
+   * @param {Object} item
+   * @param {Object[]} [children]
+   */
+  toConnectorItem(item, children = []) {
+    const { collections, relations, ...fields } = item;
+    return {
+      ...fields,
+      id: this.createId(),
+      notes: children.filter(child => child.itemType === 'note').map(({ note }) => ({ note })),
+      attachments: children
+        .filter(child => child.itemType === 'attachment')
+        .map(({ title, url, contentType }) => ({ title, url, mimeType: contentType, snapshot: false }))
+    };
+  },
+
+  createId() {
+    return Math.random().toString(36).slice(2, 10);
+  },
+
+  /**
+   * Save items into the collection selected in Zotero
+   * @param {Object[]} items - from toConnectorItem()
+   * @param {string} uri - the page they were cited from
+   * @throws {Error} with a message fit to show the user
+   */
+  async saveItems(items, uri) {
+    const response = await this.request('saveItems', { sessionID: this.createId(), uri: uri || '', items });
+
+    if (!response.ok) {
+      const responseText = await response.text();
+      // The connector answers a read-only target with { libraryEditable: false }
+      if (/"libraryEditable"\s*:\s*false/.test(responseText)) {
+        throw new Error('The library selected in Zotero is read-only');
+      }
+      throw new Error(`Failed to save to Zotero desktop (${response.status})`);
+    }
+  }
+};
+
+// Export for use in popup.js (the background worker loads it with importScripts)
+if (typeof window !== 'undefined') {
+  window.ZoteroConnector = ZoteroConnector;
+}
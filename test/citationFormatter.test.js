@@ -0,0 +1,50 @@
+/**
+ * JustCite - Citation formatter tests
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./loadScripts');
+
+const window = loadPage('<!DOCTYPE html><html><head></head><body></body></html>', 'https://example.org/',
+  ['cslEngine.js', 'creators.js', 'citationFormatter.js']);
+const { CitationFormatter } = window;
+
+const report = {
+  title: 'Coronavirus disease 2019 (COVID-19) situation report 51',
+  author: '{World Health Organization}',
+  year: '2020',
+  date: '2020-03-11',
+  publisher: 'World Health Organization',
+  url: 'https://www.who.int/docs/default-source/coronaviruse/situation-reports/20200311-sitrep-51-covid-19.pdf',
+  sourceType: 'webpage'
+};
+
+test('APA ends an organization author with a period', () => {
+  assert.match(CitationFormatter.toAPA(report), /^World Health Organization\. \(2020\)\. /);
+});
+
+test('APA keeps the single period after initials', () => {
+  assert.match(CitationFormatter.toAPA({ ...report, author: 'Jane Smith' }), /^Smith, J\. \(2020\)\. /);
+});
+
+test('wraps every export format as a code block', () => {
+  const ris = CitationFormatter.toRIS(report);
+  assert.strictEqual(CitationFormatter.wrapOutput(ris, 'ris', 'markdown'), '```text\n' + ris + '\n```');
+  assert.match(CitationFormatter.wrapOutput('[{"id":"who2020"}]', 'csljson', 'html'),
+    /^<pre><code class="language-json">\[\{&quot;id&quot;:&quot;who2020&quot;\}\]<\/code><\/pre>$/);
+  assert.match(CitationFormatter.wrapOutput('<record/>', 'endnote', 'html'), /^<pre><code class="language-xml">&lt;record\/&gt;/);
+});
+
+test('wraps other styles as a quote or paragraph', () => {
+  assert.strictEqual(CitationFormatter.wrapOutput('Citation.', 'apa', 'markdown'), '> Citation.');
+  assert.strictEqual(CitationFormatter.wrapOutput('Citation.', 'apa', 'html'), '<p class="citation">Citation.</p>');
+});
+
+test('Chicago gives journal issues as "no." and page ranges with an en dash', () => {
+  const article = {
+    title: 'An Article', author: 'Ann Author', year: '2021', journal: 'Journal of Tests',
+    volume: '3', issue: '2', pages: '10-20', sourceType: 'journal'
+  };
+  assert.strictEqual(CitationFormatter.toChicagoAuthorDate(article), 'Author, Ann. 2021. "An Article." Journal of Tests 3, no. 2: 10–20.');
+  assert.strictEqual(CitationFormatter.toChicago(article), 'Author, Ann. "An Article." Journal of Tests 3, no. 2 (2021): 10–20.');
+});
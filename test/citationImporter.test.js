@@ -0,0 +1,49 @@
+/**
+ * JustCite - Citation import tests
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./loadScripts');
+
+const window = loadPage('<!DOCTYPE html><html><head></head><body></body></html>', 'https://example.org/',
+  ['cslEngine.js', 'creators.js', 'citationFormatter.js', 'citationImporter.js']);
+const { CitationImporter, CitationFormatter } = window;
+
+const names = creators => [...creators].map(({ given, family, literal }) => ({ given, family, literal }));
+
+test('reads RIS names written in natural order as people', () => {
+  // As exported by IEEE Xplore
+  const [record] = CitationImporter.parse(`TY  - CONF
+TI  - Deep Residual Learning for Image Recognition
+T2  - 2016 IEEE Conference on Computer Vision and Pattern Recognition (CVPR)
+AU  - K. He
+AU  - X. Zhang
+AU  - S. Ren
+PY  - 2016
+SP  - 770
+EP  - 778
+ER  - `, 'export.ris');
+
+  assert.deepStrictEqual(names(record.creators), [
+    { given: 'K.', family: 'He', literal: '' },
+    { given: 'X.', family: 'Zhang', literal: '' },
+    { given: 'S.', family: 'Ren', literal: '' }
+  ]);
+  assert.match(CitationFormatter.toAPA(record), /^He, K\., Zhang, X\., & Ren, S\. \(2016\)/);
+});
+
+test('keeps corporate RIS names whole', () => {
+  const [record] = CitationImporter.parse(`TY  - RPRT
+TI  - Situation report 51
+AU  - World Health Organization
+AU  - Smith, Jane
+AU  - NASA
+PY  - 2020
+ER  - `, 'export.ris');
+
+  assert.deepStrictEqual(names(record.creators), [
+    { given: '', family: '', literal: 'World Health Organization' },
+    { given: 'Jane', family: 'Smith', literal: '' },
+    { given: '', family: '', literal: 'NASA' }
+  ]);
+});
@@ -0,0 +1,80 @@
+/**
+ * JustCite - CSL engine tests
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage } = require('./loadScripts');
+
+const window = loadPage('<!DOCTYPE html><html><head></head><body></body></html>', 'https://example.org/',
+  ['cslEngine.js', 'creators.js', 'citationFormatter.js']);
+const { CSLEngine, CitationFormatter } = window;
+
+// Unmodified styles from the Zotero Style Repository
+const STYLES_DIR = path.join(__dirname, 'fixtures', 'styles');
+['apa', 'nlm-citation-sequence'].forEach(id => {
+  CitationFormatter.registerCSLStyle(id, fs.readFileSync(path.join(STYLES_DIR, `${id}.csl`), 'utf8'));
+});
+
+const book = {
+  title: 'The Book', author: 'Ann Author', editor: 'Ed Itor', year: '2020', date: '2020',
+  publisher: 'Press', place: 'Boston', edition: '2', sourceType: 'book'
+};
+const article = {
+  title: 'An article', author: 'Ann Author; Bo Lee', year: '2021', date: '2021-03-04', journal: 'Journal of Tests',
+  volume: '3', issue: '2', pages: '10-20', doi: '10.1000/xyz', sourceType: 'journal'
+};
+
+/**
+ * A style whose bibliography layout is the given CSL
+ */
+function styleWith(layout, locale = '') {
+  return CSLEngine.parse(`<?xml version="1.0" encoding="utf-8"?>
+<style xmlns="http://purl.org/net/xbiblio/csl" class="in-text" version="1.0">
+  <info><title>Test</title><id>test</id></info>
+  ${locale}
+  <citation><layout><text variable="title"/></layout></citation>
+  <bibliography><layout>${layout}</layout></bibliography>
+</style>`);
+}
+
+const item = { id: 'item-1', type: 'webpage', title: 'Situation report', edition: '2', URL: 'https://example.org/report' };
+
+test('falls back to the en-US terms', () => {
+  const style = styleWith('<text variable="title" suffix=" "/><text term="internet" prefix="[" suffix="]. "/><text term="cited" text-case="capitalize-first"/>');
+  assert.strictEqual(CSLEngine.renderBibliography(style, item), 'Situation report [internet]. Cited');
+});
+
+test('spells out long ordinals up to ten', () => {
+  const style = styleWith('<number variable="edition" form="long-ordinal" suffix=" "/><label variable="edition" form="long"/>');
+  assert.strictEqual(CSLEngine.renderBibliography(style, item), 'second edition');
+  assert.strictEqual(CSLEngine.renderBibliography(style, { ...item, edition: '12' }), '12th edition');
+});
+
+test("prefers the style's own locale terms", () => {
+  const locale = '<locale xml:lang="en"><terms><term name="internet">Internet</term></terms></locale>';
+  const style = styleWith('<text term="internet"/>', locale);
+  assert.strictEqual(CSLEngine.renderBibliography(style, item), 'Internet');
+});
+
+test('keeps the group delimiter between the parts of a chosen branch', () => {
+  assert.strictEqual(CitationFormatter.toCSL(book, 'apa'), 'Author, A. (2020). The Book (E. Itor, Ed.; 2nd ed.). Press.');
+  assert.strictEqual(CitationFormatter.toCSL(article, 'apa'),
+    'Author, A., & Lee, B. (2021). An article. Journal of Tests, 3(2), 10–20. https://doi.org/10.1000/xyz');
+  assert.strictEqual(CitationFormatter.toCSL(book, 'nlm-citation-sequence'), 'Author A. The Book. 2nd ed. Itor E, editor. Boston: Press; 2020.');
+});
+
+test("renders localized dates in the style's locale format", () => {
+  assert.strictEqual(CitationFormatter.toCSL(article, 'nlm-citation-sequence'),
+    'Author A, Lee B. An article. Journal of Tests. 2021 Mar 4;3(2):10–20. doi:10.1000/xyz');
+});
+
+test('falls back to the en-US date formats', () => {
+  const dated = { ...item, issued: { 'date-parts': [[2021, 3, 4]] } };
+  const render = layout => CSLEngine.renderBibliography(styleWith(layout), dated);
+  assert.strictEqual(render('<date variable="issued" form="text"/>'), 'March 4, 2021');
+  assert.strictEqual(render('<date variable="issued" form="numeric"/>'), '03/04/2021');
+  assert.strictEqual(render('<date variable="issued" form="text" date-parts="year-month"/>'), 'March 2021');
+  assert.strictEqual(render('<date variable="issued" form="text"><date-part name="month" form="short" suffix="!"/></date>'), 'Mar. 4, 2021');
+});
@@ -0,0 +1,152 @@
+/**
+ * JustCite - Identifier resolver tests
+ * Checks which identifiers IdentifierResolvers.findAll() picks out of a pasted list,
+ * and runs the lookups against a local stub of each service
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { loadPage } = require('./loadScripts');
+
+const window = loadPage('<!DOCTYPE html><html><head></head><body></body></html>', 'https://example.org/',
+  ['cslEngine.js', 'creators.js', 'citationImporter.js', 'metadataService.js', 'identifierResolvers.js']);
+window.fetch = fetch;
+const findAll = text => JSON.parse(JSON.stringify(window.IdentifierResolvers.findAll(text)));
+
+test('reads bare arXiv IDs and ISBNs on their own line', () => {
+  assert.deepStrictEqual(findAll('[3] 2301.00001v2\n9780140449136'), [
+    { type: 'arxiv', value: '2301.00001' },
+    { type: 'isbn', value: '9780140449136' }
+  ]);
+});
+
+test('reads PubMed IDs only with their prefix or link', () => {
+  assert.deepStrictEqual(findAll('12\n2016\n1. 26017442\nPMID: 26017442\nhttps://pubmed.ncbi.nlm.nih.gov/31452104/'), [
+    { type: 'pmid', value: '26017442' },
+    { type: 'pmid', value: '31452104' }
+  ]);
+});
+
+test('still detects a bare PubMed ID typed on its own', () => {
+  assert.deepStrictEqual({ ...window.IdentifierResolvers.detect('26017442') }, { type: 'pmid', value: '26017442' });
+});
+
+// Stub services: each request is answered by the route registered for its path
+let routes = {};
+const requests = [];
+const server = http.createServer((request, response) => {
+  requests.push(request);
+  const url = new URL(request.url, 'http://localhost');
+  const route = routes[url.pathname];
+  if (!route) {
+    response.writeHead(404).end('Not found');
+    return;
+  }
+  const [status, body] = route(url);
+  response.writeHead(status).end(body);
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(window.IdentifierResolvers.endpoints, {
+    doi: `${base}/doi`, arxiv: `${base}/arxiv`, pubmed: `${base}/pubmed`, openLibrary: `${base}/openlibrary`
+  });
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.beforeEach(() => {
+  routes = {};
+  requests.length = 0;
+});
+
+const resolve = (method, id) => window.IdentifierResolvers[method](id).then(metadata => ({ ...metadata }));
+
+test('looks up a DOI as BibTeX', async () => {
+  routes['/doi/10.1000/xyz'] = () => [200, '@article{Author2021, title = {An article}, author = {Author, Ann}, year = {2021}, journal = {Journal of Tests}}'];
+  const metadata = await resolve('fromDoi', '10.1000/xyz');
+  assert.strictEqual(requests[0].headers.accept, 'application/x-bibtex');
+  assert.strictEqual(metadata.title, 'An article');
+  assert.strictEqual(metadata.doi, '10.1000/xyz');
+  assert.strictEqual(metadata.url, 'https://doi.org/10.1000/xyz');
+  assert.strictEqual(metadata.citationKey, undefined);
+});
+
+test('escapes DOIs that contain URL syntax', async () => {
+  const doi = '10.1002/(SICI)1097-4571(199806)49:8<693::AID-ASI4>3.0.CO;2-#?%';
+  routes[`/doi/${doi.split('/').map(encodeURIComponent).join('/')}`] = () => [200, '@article{key, title = {Escaped}}'];
+  const metadata = await resolve('fromDoi', doi);
+  assert.strictEqual(decodeURIComponent(requests[0].url), `/doi/${doi}`);
+  assert.strictEqual(metadata.title, 'Escaped');
+  assert.strictEqual(metadata.doi, doi);
+});
+
+test('reports DOIs the resolver does not know or cannot describe', async () => {
+  await assert.rejects(resolve('fromDoi', '10.1000/missing'), { message: 'DOI 10.1000/missing could not be looked up (404)' });
+  routes['/doi/10.1000/html'] = () => [200, '<html><body>Landing page</body></html>'];
+  await assert.rejects(resolve('fromDoi', '10.1000/html'), { message: 'No citation data for DOI 10.1000/html' });
+});
+
+test('looks up an arXiv ID in the arXiv API', async () => {
+  routes['/arxiv/query'] = url => [200, `<feed><entry>
+    <id>http://arxiv.org/abs/${url.searchParams.get('id_list')}v1</id>
+    <published>2023-01-02T00:00:00Z</published>
+    <title>A preprint</title>
+    <author><name>Ann Author</name></author><author><name>Bo Lee</name></author>
+  </entry></feed>`];
+  assert.deepStrictEqual(await resolve('fromArxiv', '2301.00001'), {
+    title: 'A preprint', author: 'Ann Author; Bo Lee', date: '2023-01-02', year: '2023', publisher: 'arXiv',
+    url: 'https://arxiv.org/abs/2301.00001', doi: '10.48550/arXiv.2301.00001', number: 'arXiv:2301.00001',
+    sourceType: 'preprint'
+  });
+});
+
+test('reports unknown arXiv IDs and failed arXiv lookups', async () => {
+  routes['/arxiv/query'] = () => [200, '<feed><entry><id>http://arxiv.org/api/errors#incorrect_id_format</id></entry></feed>'];
+  await assert.rejects(resolve('fromArxiv', '2301.99999'), { message: 'No paper found for arXiv ID 2301.99999' });
+  routes['/arxiv/query'] = () => [200, 'Rate exceeded.'];
+  await assert.rejects(resolve('fromArxiv', '2301.00001'), { message: 'No paper found for arXiv ID 2301.00001' });
+  routes['/arxiv/query'] = () => [503, ''];
+  await assert.rejects(resolve('fromArxiv', '2301.00001'), { message: 'arXiv ID 2301.00001 could not be looked up (503)' });
+});
+
+test('looks up a PubMed ID in E-utilities', async () => {
+  routes['/pubmed/esummary.fcgi'] = url => [200, JSON.stringify({ result: { [url.searchParams.get('id')]: {
+    title: 'A trial.', pubdate: '2020 Jan 15', fulljournalname: 'Journal of Tests', volume: '3', issue: '2', pages: '10-20',
+    authors: [{ name: 'Smith JH', authtype: 'Author' }, { name: 'WHO Study Group', authtype: 'CollectiveName' }],
+    articleids: [{ idtype: 'doi', value: '10.1000/trial' }]
+  } } })];
+  assert.deepStrictEqual(await resolve('fromPubMed', '26017442'), {
+    title: 'A trial', author: 'Smith, J. H.; {WHO Study Group}', date: '2020-01-15', year: '2020',
+    journal: 'Journal of Tests', volume: '3', issue: '2', pages: '10-20', doi: '10.1000/trial',
+    url: 'https://pubmed.ncbi.nlm.nih.gov/26017442/', sourceType: 'journal'
+  });
+});
+
+test('reports unknown PMIDs and unreadable PubMed responses', async () => {
+  routes['/pubmed/esummary.fcgi'] = () => [200, JSON.stringify({ result: { 1: { error: 'cannot get document summary' } } })];
+  await assert.rejects(resolve('fromPubMed', '1'), { message: 'No article found for PMID 1' });
+  routes['/pubmed/esummary.fcgi'] = () => [200, '<html>Service unavailable</html>'];
+  await assert.rejects(resolve('fromPubMed', '1'), { message: 'PMID 1 could not be looked up (unreadable response)' });
+  routes['/pubmed/esummary.fcgi'] = () => [429, '{"error":"API rate limit exceeded"}'];
+  await assert.rejects(resolve('fromPubMed', '1'), { message: 'PMID 1 could not be looked up (429)' });
+});
+
+test('looks up an ISBN in Open Library', async () => {
+  routes['/openlibrary/api/books'] = url => [200, JSON.stringify({ [url.searchParams.get('bibkeys')]: {
+    title: 'The Odyssey', subtitle: 'A new translation', authors: [{ name: 'Homer' }], publish_date: 'March 1, 2003',
+    publishers: [{ name: 'Penguin' }], publish_places: [{ name: 'London' }], url: 'https://openlibrary.org/books/OL1M'
+  } })];
+  assert.deepStrictEqual(await resolve('fromIsbn', '9780140449136'), {
+    title: 'The Odyssey: A new translation', author: 'Homer', date: 'March 1, 2003', year: '2003', publisher: 'Penguin',
+    place: 'London', isbn: '9780140449136', url: 'https://openlibrary.org/books/OL1M', sourceType: 'book'
+  });
+});
+
+test('reports unknown ISBNs and unreadable Open Library responses', async () => {
+  routes['/openlibrary/api/books'] = () => [200, '{}'];
+  await assert.rejects(resolve('fromIsbn', '9780140449136'), { message: 'No book found for ISBN 9780140449136' });
+  routes['/openlibrary/api/books'] = () => [200, 'var _OLBookInfo = {};'];
+  await assert.rejects(resolve('fromIsbn', '9780140449136'), { message: 'ISBN 9780140449136 could not be looked up (unreadable response)' });
+  routes['/openlibrary/api/books'] = () => [500, ''];
+  await assert.rejects(resolve('fromIsbn', '9780140449136'), { message: 'ISBN 9780140449136 could not be looked up (500)' });
+});
@@ -0,0 +1,84 @@
+/**
+ * JustCite - Citation library page tests
+ * Runs library.html against an in-memory chrome.storage that reports changes
+ * the way Chrome does, as when the popup records a citation
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage } = require('./loadScripts');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'chrome');
+const SCRIPTS = ['cslEngine.js', 'creators.js', 'citationFormatter.js', 'cslStyles.js', 'citationImporter.js',
+  'citationLibrary.js', 'library.js'];
+
+/**
+ * Open the library page with an empty library
+ */
+async function openLibrary() {
+  const html = fs.readFileSync(path.join(EXTENSION_DIR, 'library.html'), 'utf8').replace(/<script\b[^>]*><\/script>/g, '');
+  const window = loadPage(html, 'chrome-extension://justcite/library.html', SCRIPTS);
+
+  const data = {};
+  const listeners = [];
+  const copy = value => JSON.parse(JSON.stringify(value));
+  window.chrome = {
+    runtime: { getURL: file => file },
+    tabs: { create() {} },
+    storage: {
+      local: {
+        async get(keys) {
+          return Object.fromEntries([].concat(keys).filter(key => key in data).map(key => [key, copy(data[key])]));
+        },
+        async set(values) {
+          const changes = {};
+          Object.entries(values).forEach(([key, value]) => {
+            changes[key] = { oldValue: data[key], newValue: copy(value) };
+            data[key] = copy(value);
+          });
+          listeners.forEach(listener => listener(changes, 'local'));
+        }
+      },
+      onChanged: { addListener: listener => listeners.push(listener) }
+    }
+  };
+  window.fetch = async file => ({ ok: true, text: async () => fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8') });
+
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await settle();
+  return window;
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('keeps unsaved edits when another citation is recorded', async () => {
+  const window = await openLibrary();
+  const { CitationLibrary, document } = window;
+
+  await CitationLibrary.record({ metadata: { title: 'First', url: 'https://example.org/a' }, style: 'apa', citation: 'First.' });
+  await settle();
+  document.querySelector('.library-item').click();
+  const title = document.querySelector('input[data-field="title"]');
+  title.value = 'Unsaved title';
+
+  await CitationLibrary.record({ metadata: { title: 'Second', url: 'https://example.org/b' }, style: 'apa', citation: 'Second.' });
+  await settle();
+
+  assert.strictEqual(document.querySelectorAll('.library-item').length, 2);
+  assert.strictEqual(title.value, 'Unsaved title');
+});
+
+test('refills the form when the open entry changes in storage', async () => {
+  const window = await openLibrary();
+  const { CitationLibrary, document } = window;
+
+  const entry = await CitationLibrary.record({ metadata: { title: 'First', url: 'https://example.org/a' }, style: 'apa', citation: 'First.' });
+  await settle();
+  document.querySelector('.library-item').click();
+
+  await CitationLibrary.update(entry.id, { metadata: { title: 'Renamed', url: 'https://example.org/a' } });
+  await settle();
+
+  assert.strictEqual(document.querySelector('input[data-field="title"]').value, 'Renamed');
+});
@@ -0,0 +1,28 @@
+/**
+ * JustCite - Test script loader
+ * Runs extension scripts in a jsdom window, in the order popup.html loads them,
+ * so tests see the same globals (PageMetadata, SiteTranslators, ...) the popup does
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'chrome');
+
+/**
+ * Open an HTML page at a URL and run the given scripts in it
+ * @param {string} html
+ * @param {string} url - the address the page was saved from
+ * @param {string[]} scripts - file names in chrome/, in load order
+ * @returns {Window}
+ */
+function loadPage(html, url, scripts) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+  scripts.forEach(file => {
+    dom.window.eval(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'));
+  });
+  return dom.window;
+}
+
+module.exports = { loadPage };
@@ -0,0 +1,70 @@
+/**
+ * JustCite - Page metadata tests
+ * Checks when a COinS span or a linked citation file is read as the page's own citation
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./loadScripts');
+
+const SCRIPTS = ['pageMetadata.js', 'creators.js', 'citationImporter.js', 'metadataService.js'];
+
+const COINS = '<span class="Z3988" title="ctx_ver=Z39.88-2004&amp;rft.genre=article&amp;rft.jtitle=Science' +
+  '&amp;rft.atitle=Electric+Field+Effect+in+Atomically+Thin+Carbon+Films&amp;rft.date=2004' +
+  '&amp;rft_id=info%3Adoi%2F10.1126%2Fscience.1102896"></span>';
+
+const BIBTEX = `@article{novoselov2004,
+  title = {Electric Field Effect in Atomically Thin Carbon Films},
+  author = {Novoselov, K. S. and Geim, A. K.},
+  journal = {Science},
+  year = {2004},
+  doi = {10.1126/science.1102896}
+}`;
+
+/**
+ * Extract a page's metadata and read the citation file it links to, served as BIBTEX
+ */
+async function extractWithLinks(html, url) {
+  const window = loadPage(html, url, SCRIPTS);
+  window.fetch = async () => ({ ok: true, url: 'https://example.org/refs.bib', text: async () => BIBTEX });
+  return window.MetadataService.addLinkedCitation(window.PageMetadata.extract(window.document, url));
+}
+
+test('reads a lone COinS span titled as the page', () => {
+  const html = `<html><head><title>Electric field effect in atomically thin carbon films | Library</title></head><body>${COINS}</body></html>`;
+  const window = loadPage(html, 'https://library.example.org/record/1', SCRIPTS);
+  const metadata = window.PageMetadata.extract(window.document, 'https://library.example.org/record/1');
+
+  assert.strictEqual(metadata.doi, '10.1126/science.1102896');
+  assert.strictEqual(metadata.journal, 'Science');
+  assert.strictEqual(metadata.provenance.doi, 'COinS');
+});
+
+test('ignores a lone COinS span for another work', () => {
+  const html = `<html><head><title>Graphene notes - My Blog</title></head><body><p>Reading list</p>${COINS}</body></html>`;
+  const window = loadPage(html, 'https://blog.example.org/graphene', SCRIPTS);
+  const metadata = window.PageMetadata.extract(window.document, 'https://blog.example.org/graphene');
+
+  assert.strictEqual(metadata.title, 'Graphene notes');
+  assert.strictEqual(metadata.doi, '');
+  assert.strictEqual(metadata.journal, '');
+});
+
+test('reads a linked .bib file titled as the page', async () => {
+  const html = '<html><head><title>Electric Field Effect in Atomically Thin Carbon Films - Lab</title></head>' +
+    '<body><a href="/novoselov2004.bib">BibTeX</a></body></html>';
+  const metadata = await extractWithLinks(html, 'https://lab.example.org/papers/novoselov2004');
+
+  assert.strictEqual(metadata.doi, '10.1126/science.1102896');
+  assert.strictEqual(metadata.provenance.doi, 'BibTeX link');
+});
+
+test('ignores a linked refs.bib for another work', async () => {
+  const html = '<html><head><title>Notes on graphene - My Blog</title></head>' +
+    '<body><a href="/refs.bib">References</a></body></html>';
+  const metadata = await extractWithLinks(html, 'https://blog.example.org/graphene');
+
+  assert.strictEqual(metadata.title, 'Notes on graphene');
+  assert.strictEqual(metadata.doi, '');
+  assert.strictEqual(metadata.journal, '');
+  assert.strictEqual(metadata.citationLinks, undefined);
+});
@@ -0,0 +1,91 @@
+/**
+ * JustCite - PDF metadata tests
+ * Reads small PDFs built in the test: an XMP packet, an Info dictionary and a
+ * Flate-compressed page
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { loadPage } = require('./loadScripts');
+
+const window = loadPage('<!DOCTYPE html><html><head></head><body></body></html>', 'https://example.org/',
+  ['metadataService.js', 'pdfMetadata.js']);
+const { PdfMetadata } = window;
+Object.assign(window, { Blob, DecompressionStream, Response, TextDecoder });
+
+/**
+ * A PDF file with one page
+ * @param {Object} parts - { info: Info dictionary entries, xmp: XMP packet, text: page text }
+ * @returns {ArrayBuffer}
+ */
+function buildPdf({ info = '', xmp = '', text = '' }) {
+  const page = zlib.deflateSync(Buffer.from(`BT /F1 10 Tf 72 720 Td (${text}) Tj ET`, 'latin1')).toString('latin1');
+  const objects = [
+    `<< /Type /Catalog /Pages 2 0 R${xmp ? ' /Metadata 5 0 R' : ''} >>`,
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R >>',
+    `<< /Length ${page.length} /Filter /FlateDecode >>\nstream\n${page}\nendstream`,
+    `<< /Type /Metadata /Subtype /XML /Length ${xmp.length} >>\nstream\n${xmp}\nendstream`,
+    `<< ${info} >>`
+  ];
+
+  let file = '%PDF-1.7\n';
+  const offsets = objects.map((object, i) => {
+    const offset = file.length;
+    file += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = file.length;
+  file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  file += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = Buffer.from(file, 'latin1');
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+}
+
+const read = async pdf => JSON.parse(JSON.stringify(await PdfMetadata.parse(pdf, 'https://example.org/paper.pdf')));
+
+test('prefers the XMP packet to the Info dictionary', async () => {
+  const metadata = await read(buildPdf({
+    info: '/Title (Microsoft Word - spaces.docx) /Author (Admin)',
+    xmp: `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+      <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:prism="http://prismstandard.org/namespaces/basic/2.0/"
+        prism:doi="10.1000/spaces.2019.3" prism:volume="12" prism:startingPage="45" prism:endingPage="67">
+        <dc:title><rdf:Alt><rdf:li xml:lang="x-default">Untitled Spaces: Art in Ruins</rdf:li></rdf:Alt></dc:title>
+        <dc:creator><rdf:Seq><rdf:li>Ann Smith</rdf:li><rdf:li>Bo Lee</rdf:li></rdf:Seq></dc:creator>
+        <prism:publicationName>Journal of Tests &amp; Trials</prism:publicationName>
+        <prism:coverDate>2019-05-01</prism:coverDate>
+      </rdf:Description>
+    </rdf:RDF></x:xmpmeta>`
+  }));
+
+  assert.strictEqual(metadata.title, 'Untitled Spaces: Art in Ruins');
+  assert.strictEqual(metadata.author, 'Ann Smith; Bo Lee');
+  assert.strictEqual(metadata.journal, 'Journal of Tests & Trials');
+  assert.strictEqual(metadata.doi, '10.1000/spaces.2019.3');
+  assert.strictEqual(metadata.pages, '45-67');
+  assert.strictEqual(metadata.year, '2019');
+  assert.deepStrictEqual(metadata.provenance, {
+    title: 'XMP', author: 'XMP', date: 'XMP', doi: 'XMP', journal: 'XMP', volume: 'XMP', pages: 'XMP', year: 'XMP'
+  });
+});
+
+test('reads the Info dictionary and a DOI printed on the first page', async () => {
+  const metadata = await read(buildPdf({
+    info: '/Title (Title IX and campus sexual assault) /Author (Ann Smith and Bo Lee) /Producer (pdfTeX-1.40.25)',
+    text: 'Journal of Tests 4\\(2\\), https://doi.org/10.1000/ix.2020.5'
+  }));
+
+  assert.strictEqual(metadata.title, 'Title IX and campus sexual assault');
+  assert.strictEqual(metadata.author, 'Ann Smith; Bo Lee');
+  assert.strictEqual(metadata.doi, '10.1000/ix.2020.5');
+  assert.deepStrictEqual(metadata.provenance, { title: 'PDF Info', author: 'PDF Info', doi: 'PDF text' });
+});
+
+test('drops placeholder titles but keeps real ones that start like them', () => {
+  ['Untitled', 'untitled document', 'Untitled-1', 'Title', 'Microsoft Word - Final paper', 'draft.docx', 'paper.pdf']
+    .forEach(title => assert.strictEqual(PdfMetadata.cleanTitle(title), '', title));
+  ['Title IX and campus sexual assault', 'Untitled Spaces: Art in Ruins', 'Titles of nobility']
+    .forEach(title => assert.strictEqual(PdfMetadata.cleanTitle(title), title));
+});
@@ -0,0 +1,48 @@
+/**
+ * JustCite - Site translator tests
+ * Runs PageMetadata.extract() on a saved page from each translator's site and
+ * compares the result with the fixture's expected values
+ *
+ * Each test/fixtures/translators/<name>.json has:
+ *   url         - the address the page was saved from
+ *   translator  - the translator expected to provide the values
+ *   expected    - field values extract() should return; '' for fields that must stay empty
+ *   provenance  - optional; sources of expected values that come from another extractor
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage } = require('./loadScripts');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'translators');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => file.replace(/\.json$/, ''));
+
+fixtures.forEach(name => {
+  test(`${name} page`, () => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+    const window = loadPage(html, fixture.url, ['pageMetadata.js', 'siteTranslators.js']);
+
+    const metadata = window.PageMetadata.extract(window.document, fixture.url);
+
+    Object.entries(fixture.expected).forEach(([field, value]) => {
+      assert.strictEqual(metadata[field], value, `${field}`);
+      const source = value ? (fixture.provenance || {})[field] || fixture.translator : undefined;
+      assert.strictEqual(metadata.provenance[field], source, `source of ${field}`);
+    });
+  });
+});
+
+test('every translator has a saved page', () => {
+  const html = '<!DOCTYPE html><html><head></head><body></body></html>';
+  const window = loadPage(html, 'https://example.org/', ['pageMetadata.js', 'siteTranslators.js']);
+  const tested = fixtures.map(name => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8')).translator);
+
+  window.SiteTranslators.translators.forEach(translator => {
+    assert.ok(tested.includes(translator.name), `no saved page for ${translator.name}`);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * JustCite - Zotero desktop connector tests
+ * Runs ZoteroConnector against a fake connector server on a local port
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { loadPage } = require('./loadScripts');
+
+const window = loadPage('<!DOCTYPE html><html><head></head><body></body></html>', 'chrome-extension://justcite/popup.html',
+  ['zoteroConnector.js']);
+const { ZoteroConnector } = window;
+window.fetch = fetch;
+window.AbortController = AbortController;
+
+const storage = {};
+window.chrome = { storage: { local: { get: async keys => Object.fromEntries(keys.map(key => [key, storage[key]])) } } };
+
+// Fake connector: records each request and answers from the route registered for its endpoint
+let routes = {};
+const requests = [];
+const server = http.createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => {
+    requests.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(body) });
+    const [status, reply] = routes[request.url] || [404, 'No endpoint'];
+    response.writeHead(status, { 'Content-Type': 'application/json' }).end(reply);
+  });
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  storage.zoteroConnectorUrl = `http://127.0.0.1:${server.address().port}/`;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.beforeEach(() => {
+  routes = {};
+  requests.length = 0;
+});
+
+/**
+ * Point the connector at a port nothing listens on, as when Zotero is closed
+ */
+async function withZoteroClosed(callback) {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const { zoteroConnectorUrl } = storage;
+  const { error } = window.console;
+  storage.zoteroConnectorUrl = `http://127.0.0.1:${port}`;
+  window.console.error = () => {};
+  try {
+    await callback();
+  } finally {
+    storage.zoteroConnectorUrl = zoteroConnectorUrl;
+    window.console.error = error;
+  }
+}
+
+test('pings Zotero with the connector API header', async () => {
+  routes['/connector/ping'] = [200, ''];
+  assert.strictEqual(await ZoteroConnector.ping(), true);
+  assert.strictEqual(requests[0].method, 'POST');
+  assert.strictEqual(requests[0].headers['x-zotero-connector-api-version'], '3');
+  assert.strictEqual(requests[0].headers['content-type'], 'application/json');
+
+  routes['/connector/ping'] = [403, ''];
+  assert.strictEqual(await ZoteroConnector.ping(), false);
+  await withZoteroClosed(async () => {
+    assert.strictEqual(await ZoteroConnector.ping(), false);
+  });
+});
+
+test('reads the library and collection selected in Zotero', async () => {
+  routes['/connector/getSelectedCollection'] = [200, JSON.stringify({
+    libraryID: 1, libraryName: 'My Library', libraryEditable: true, editable: true, id: 5, name: 'Reading'
+  })];
+  assert.deepStrictEqual({ ...await ZoteroConnector.getSelectedCollection() },
+    { library: 'My Library', collection: 'Reading', editable: true });
+
+  // A library root is selected, in a group the user can only read
+  routes['/connector/getSelectedCollection'] = [200, JSON.stringify({
+    libraryID: 2, libraryName: 'Lab Group', libraryEditable: false, editable: false, name: 'Lab Group'
+  })];
+  assert.deepStrictEqual({ ...await ZoteroConnector.getSelectedCollection() },
+    { library: 'Lab Group', collection: '', editable: false });
+});
+
+test('reports a failed or unreachable collection lookup', async () => {
+  routes['/connector/getSelectedCollection'] = [500, ''];
+  await assert.rejects(ZoteroConnector.getSelectedCollection(), { message: 'Failed to read the selected collection (500)' });
+  await withZoteroClosed(async () => {
+    await assert.rejects(ZoteroConnector.getSelectedCollection(), { message: 'Zotero desktop is not running' });
+  });
+});
+
+test('saves items with their notes and link attachments', async () => {
+  routes['/connector/saveItems'] = [201, ''];
+  const item = ZoteroConnector.toConnectorItem(
+    { itemType: 'journalArticle', title: 'An article', collections: ['ABCD1234'], relations: {} },
+    [
+      { itemType: 'note', note: '<p>Cited in chapter 2</p>' },
+      { itemType: 'attachment', linkMode: 'linked_url', title: 'Full Text', url: 'https://example.org/a.pdf', contentType: 'application/pdf' }
+    ]
+  );
+  await ZoteroConnector.saveItems([item], 'https://example.org/a');
+
+  const { url, headers, body } = requests[0];
+  assert.strictEqual(url, '/connector/saveItems');
+  assert.strictEqual(headers['x-zotero-connector-api-version'], '3');
+  assert.deepStrictEqual(Object.keys(body), ['sessionID', 'uri', 'items']);
+  assert.match(body.sessionID, /^[a-z0-9]+$/);
+  assert.strictEqual(body.uri, 'https://example.org/a');
+  assert.deepStrictEqual(body.items, [{
+    itemType: 'journalArticle',
+    title: 'An article',
+    id: item.id,
+    notes: [{ note: '<p>Cited in chapter 2</p>' }],
+    attachments: [{ title: 'Full Text', url: 'https://example.org/a.pdf', mimeType: 'application/pdf', snapshot: false }]
+  }]);
+});
+
+test('reports read-only, failed and unreachable saves', async () => {
+  routes['/connector/saveItems'] = [500, JSON.stringify({ libraryEditable: false })];
+  await assert.rejects(ZoteroConnector.saveItems([], ''), { message: 'The library selected in Zotero is read-only' });
+  routes['/connector/saveItems'] = [500, 'An error occurred'];
+  await assert.rejects(ZoteroConnector.saveItems([], ''), { message: 'Failed to save to Zotero desktop (500)' });
+  await withZoteroClosed(async () => {
+    await assert.rejects(ZoteroConnector.saveItems([], ''), { message: 'Zotero desktop is not running' });
+  });
+});